@@ -0,0 +1,163 @@
+// lib/auth.js - API key + optional HMAC authentication for the send endpoints
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Parse caller credentials from EMAIL_API_KEYS
+ *
+ * Format: comma-separated `caller_id:api_key[:signing_secret]` entries, e.g.
+ *   EMAIL_API_KEYS=mpesa-callback:k_live_1:s_live_1,admin-dashboard:k_live_2
+ *
+ * A caller may be listed more than once. That is how keys are rotated: add the
+ * new entry, move the client over, then drop the old entry.
+ * When an entry has a signing secret, requests using that key must also carry
+ * a valid HMAC signature.
+ */
+function parseApiKeys(raw) {
+	if (!raw) return [];
+
+	return String(raw)
+		.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const [callerId, key, secret] = entry.split(':').map((part) => part.trim());
+			return { callerId, key, secret: secret || null };
+		})
+		.filter(({ callerId, key }) => {
+			if (!callerId || !key) {
+				logger.warn('Ignoring malformed EMAIL_API_KEYS entry (expected caller_id:api_key[:signing_secret])');
+				return false;
+			}
+			return true;
+		});
+}
+
+// Constant-time string comparison (lengths are hashed first so they never leak)
+function safeEqual(a, b) {
+	const hashA = crypto.createHash('sha256').update(String(a)).digest();
+	const hashB = crypto.createHash('sha256').update(String(b)).digest();
+	return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Compute the request signature a caller must send in X-Signature
+ * HMAC-SHA256 over `${timestamp}.${rawBody}`, hex encoded, prefixed with "sha256="
+ */
+function signRequest(secret, timestamp, rawBody) {
+	const digest = crypto
+		.createHmac('sha256', secret)
+		.update(`${timestamp}.${rawBody || ''}`)
+		.digest('hex');
+	return `sha256=${digest}`;
+}
+
+function unauthorized(res, error) {
+	return res.status(401).json({ success: false, error });
+}
+
+/**
+ * Build the authentication middleware
+ *
+ * Headers:
+ *   X-API-Key             // required - caller API key
+ *   X-Signature-Timestamp // required when the key has a signing secret - unix seconds
+ *   X-Signature           // required when the key has a signing secret - sha256=<hex hmac>
+ *
+ * On success sets req.caller = { id, signed }.
+ */
+function createApiKeyAuth({ apiKeys, toleranceSeconds = 300 } = {}) {
+	const credentials = parseApiKeys(apiKeys);
+
+	if (credentials.length === 0) {
+		logger.warn('EMAIL_API_KEYS not set. All authenticated endpoints will reject requests.');
+	}
+
+	return function requireApiKey(req, res, next) {
+		const providedKey = req.get('x-api-key');
+		if (!providedKey) {
+			return unauthorized(res, 'Missing API key');
+		}
+
+		// Check every entry so timing doesn't reveal which key matched
+		let credential = null;
+		for (const entry of credentials) {
+			if (safeEqual(entry.key, providedKey) && !credential) {
+				credential = entry;
+			}
+		}
+
+		if (!credential) {
+			return unauthorized(res, 'Invalid API key');
+		}
+
+		if (credential.secret) {
+			const timestamp = req.get('x-signature-timestamp');
+			const signature = req.get('x-signature');
+
+			if (!timestamp || !signature) {
+				return unauthorized(res, 'Missing request signature');
+			}
+
+			const ts = Number(timestamp);
+			const now = Math.floor(Date.now() / 1000);
+			if (!Number.isFinite(ts) || Math.abs(now - ts) > toleranceSeconds) {
+				return unauthorized(res, 'Request signature timestamp outside allowed window');
+			}
+
+			const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+			const expected = signRequest(credential.secret, timestamp, rawBody);
+			if (!safeEqual(expected, signature)) {
+				return unauthorized(res, 'Invalid request signature');
+			}
+		}
+
+		req.caller = { id: credential.callerId, signed: Boolean(credential.secret) };
+		return next();
+	};
+}
+
+/**
+ * Build the shared-token middleware for inbound provider webhooks
+ * Providers can't send our API keys or signatures, so the token goes in the
+ * X-Webhook-Token header or the webhook URL's ?token= query parameter.
+ * `setting` names the env var holding the token, for the startup warning.
+ */
+function createWebhookTokenAuth({ token, setting = 'BOUNCE_WEBHOOK_TOKEN' } = {}) {
+	if (!token) {
+		logger.warn(`${setting} not set. Its webhook endpoints will reject requests.`);
+	}
+
+	return function requireWebhookToken(req, res, next) {
+		const provided = req.get('x-webhook-token') || req.query.token;
+		if (!token || !provided || !safeEqual(token, provided)) {
+			return unauthorized(res, 'Invalid webhook token');
+		}
+		return next();
+	};
+}
+
+/**
+ * Build the bearer token middleware for scrapers (GET /metrics)
+ * Prometheus sends `Authorization: Bearer <token>` (its authorization / bearer_token setting).
+ * Without a token configured the endpoint is open, for scrapes over a private network.
+ */
+function createBearerTokenAuth({ token } = {}) {
+	return function requireBearerToken(req, res, next) {
+		if (!token) return next();
+
+		const [scheme, provided] = (req.get('authorization') || '').split(' ');
+		if (scheme !== 'Bearer' || !provided || !safeEqual(token, provided)) {
+			return unauthorized(res, 'Invalid bearer token');
+		}
+		return next();
+	};
+}
+
+module.exports = {
+	createApiKeyAuth,
+	createWebhookTokenAuth,
+	createBearerTokenAuth,
+	parseApiKeys,
+	signRequest
+};
@@ -0,0 +1,200 @@
+// lib/bounces.js - Bounce and complaint webhook payloads, normalized
+//
+// Every adapter turns its provider's payload into a list of events:
+//   { type: 'bounce' | 'complaint', email, bounce_type: 'hard' | 'soft' | null, provider, detail, occurred_at }
+// Events the service doesn't act on (deliveries, opens, ...) are dropped by the adapter.
+//
+// Adapters (the :provider part of the webhook URL):
+//   normalized  // the format above, one event, an array, or { events: [...] }
+//   ses         // Amazon SES notifications, directly or wrapped in an SNS envelope
+//   sendgrid    // SendGrid event webhook (array of events)
+//   mailgun     // Mailgun webhooks ({ 'event-data': { ... } })
+//   postmark    // Postmark bounce and spam complaint webhooks
+//   resend      // Resend email.bounced / email.complained webhooks
+const { logger } = require('./logger');
+
+function toIso(value) {
+	if (value === undefined || value === null || value === '') return new Date().toISOString();
+	// Unix seconds (SendGrid, Mailgun) or anything Date understands
+	const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+	return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+function event(provider, { type, email, bounce_type = null, detail = null, occurred_at }) {
+	return {
+		type,
+		email: String(email).trim().toLowerCase(),
+		bounce_type: type === 'bounce' ? bounce_type : null,
+		provider,
+		detail: detail ? String(detail) : null,
+		occurred_at: toIso(occurred_at)
+	};
+}
+
+function asList(value) {
+	if (Array.isArray(value)) return value;
+	return value === undefined || value === null ? [] : [value];
+}
+
+function parseNormalized(body) {
+	const items = Array.isArray(body) ? body : asList(body?.events ?? body);
+	return items.map((item, index) => {
+		if (!item || typeof item !== 'object') {
+			throw new Error(`events[${index}] must be an object`);
+		}
+		if (!['bounce', 'complaint'].includes(item.type)) {
+			throw new Error(`events[${index}].type must be one of: bounce, complaint`);
+		}
+		if (typeof item.email !== 'string' || !item.email.includes('@')) {
+			throw new Error(`events[${index}].email must be an email address`);
+		}
+		if (item.type === 'bounce' && !['hard', 'soft'].includes(item.bounce_type)) {
+			throw new Error(`events[${index}].bounce_type must be one of: hard, soft`);
+		}
+		return event(item.provider || 'normalized', item);
+	});
+}
+
+// SNS posts the SES notification as a JSON string in Message (and as text/plain)
+function parseSes(body) {
+	const envelope = typeof body === 'string' ? JSON.parse(body) : body;
+	if (envelope?.Type === 'SubscriptionConfirmation') {
+		logger.info('SES bounce topic subscription - confirm it at subscribeUrl', { subscribeUrl: envelope.SubscribeURL });
+		return [];
+	}
+
+	const message = typeof envelope?.Message === 'string' ? JSON.parse(envelope.Message) : envelope;
+	const kind = message?.notificationType || message?.eventType;
+
+	if (kind === 'Bounce') {
+		const { bounce = {} } = message;
+		return asList(bounce.bouncedRecipients).map((recipient) => event('ses', {
+			type: 'bounce',
+			email: recipient.emailAddress,
+			bounce_type: bounce.bounceType === 'Permanent' ? 'hard' : 'soft',
+			detail: recipient.diagnosticCode || bounce.bounceSubType,
+			occurred_at: bounce.timestamp
+		}));
+	}
+
+	if (kind === 'Complaint') {
+		const { complaint = {} } = message;
+		return asList(complaint.complainedRecipients).map((recipient) => event('ses', {
+			type: 'complaint',
+			email: recipient.emailAddress,
+			detail: complaint.complaintFeedbackType,
+			occurred_at: complaint.timestamp
+		}));
+	}
+
+	return [];
+}
+
+function parseSendgrid(body) {
+	return asList(body).flatMap((item) => {
+		if (item?.event === 'bounce') {
+			return [event('sendgrid', {
+				type: 'bounce',
+				email: item.email,
+				// 'blocked' is a temporary refusal by the receiving server
+				bounce_type: item.type === 'blocked' ? 'soft' : 'hard',
+				detail: item.reason,
+				occurred_at: item.timestamp
+			})];
+		}
+		if (item?.event === 'spamreport') {
+			return [event('sendgrid', { type: 'complaint', email: item.email, occurred_at: item.timestamp })];
+		}
+		return [];
+	});
+}
+
+function parseMailgun(body) {
+	const data = body?.['event-data'];
+	if (data?.event === 'failed') {
+		return [event('mailgun', {
+			type: 'bounce',
+			email: data.recipient,
+			bounce_type: data.severity === 'permanent' ? 'hard' : 'soft',
+			detail: data['delivery-status']?.description || data['delivery-status']?.message || data.reason,
+			occurred_at: data.timestamp
+		})];
+	}
+	if (data?.event === 'complained') {
+		return [event('mailgun', { type: 'complaint', email: data.recipient, occurred_at: data.timestamp })];
+	}
+	return [];
+}
+
+const POSTMARK_HARD_BOUNCES = new Set(['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated']);
+
+function parsePostmark(body) {
+	if (body?.RecordType === 'Bounce') {
+		return [event('postmark', {
+			type: 'bounce',
+			email: body.Email,
+			bounce_type: POSTMARK_HARD_BOUNCES.has(body.Type) ? 'hard' : 'soft',
+			detail: body.Description,
+			occurred_at: body.BouncedAt
+		})];
+	}
+	if (body?.RecordType === 'SpamComplaint') {
+		return [event('postmark', { type: 'complaint', email: body.Email, occurred_at: body.BouncedAt })];
+	}
+	return [];
+}
+
+function parseResend(body) {
+	const data = body?.data || {};
+	if (body?.type === 'email.bounced') {
+		return asList(data.to).map((email) => event('resend', {
+			type: 'bounce',
+			email,
+			bounce_type: data.bounce?.type === 'Transient' ? 'soft' : 'hard',
+			detail: data.bounce?.message,
+			occurred_at: body.created_at
+		}));
+	}
+	if (body?.type === 'email.complained') {
+		return asList(data.to).map((email) => event('resend', { type: 'complaint', email, occurred_at: body.created_at }));
+	}
+	return [];
+}
+
+const ADAPTERS = {
+	normalized: parseNormalized,
+	ses: parseSes,
+	sendgrid: parseSendgrid,
+	mailgun: parseMailgun,
+	postmark: parsePostmark,
+	resend: parseResend
+};
+
+/**
+ * Normalize a webhook payload with the named adapter
+ * Returns { events } or { error } for an unknown adapter or a payload it can't read.
+ */
+function parseBounceEvents(adapter, body) {
+	const parse = ADAPTERS[adapter];
+	if (!parse) {
+		return { error: `Unknown bounce provider "${adapter}" (expected ${Object.keys(ADAPTERS).join(', ')})` };
+	}
+
+	try {
+		return { events: parse(body).filter((item) => item.email.includes('@')) };
+	} catch (err) {
+		return { error: `Unreadable ${adapter} payload: ${err?.message ?? err}` };
+	}
+}
+
+// Soft bounces are left to the retry logic; hard bounces and complaints stop future sends
+function suppressionReason(bounceEvent) {
+	if (bounceEvent.type === 'complaint') return 'complaint';
+	return bounceEvent.bounce_type === 'hard' ? 'hard_bounce' : null;
+}
+
+module.exports = {
+	BOUNCE_ADAPTERS: Object.keys(ADAPTERS),
+	parseBounceEvents,
+	suppressionReason
+};
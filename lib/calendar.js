@@ -0,0 +1,124 @@
+// lib/calendar.js - Calendar invites (.ics, RFC 5545) for booking emails
+//
+// Templates about a stay export calendar(data, i18n), returning null when the email
+// shouldn't carry an invite or:
+//   { summary, details?: [lines for the description], cancelled? }
+// The dates, location and uid come from the request: check_in, check_out, address and
+// booking_id. Stays are all-day events from check_in to check_out (the checkout day is
+// the exclusive end, as booking sites export them). Dates must be ISO ('2025-11-14') or
+// have a written month ('Fri, 14 Nov 2025'); without a readable check_in there's no invite.
+//
+// A booking's invites share one UID per audience (guest or host), so a cancellation
+// removes the event the confirmation added; SEQUENCE is the send time, so the newest email wins.
+const crypto = require('crypto');
+const { createI18n } = require('../templates/i18n');
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})/;
+// 'Nov' or 'November'; numeric forms like 03/04/2025 are ambiguous and skipped
+const WRITTEN_MONTH = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+
+// '2025-11-14', '2025-11-14T14:00:00+03:00' or 'Fri, 14 Nov 2025' -> Date at UTC midnight of that calendar day
+function calendarDay(value) {
+	if (typeof value !== 'string') return null;
+
+	let day = null;
+	const iso = value.match(ISO_DATE);
+	if (iso) {
+		day = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+	} else if (WRITTEN_MONTH.test(value) && !Number.isNaN(Date.parse(value))) {
+		const parsed = new Date(value);
+		day = new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+	}
+	return day && !Number.isNaN(day.getTime()) ? day : null;
+}
+
+function formatDay(day) {
+	return day.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+	return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+	return String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+	const parts = [];
+	let current = '';
+	for (const char of line) {
+		const limit = parts.length === 0 ? 75 : 74;
+		if (Buffer.byteLength(current + char) > limit) {
+			parts.push(current);
+			current = '';
+		}
+		current += char;
+	}
+	parts.push(current);
+	return parts.join('\r\n ');
+}
+
+/**
+ * Build the invite attachment for a template and its render data
+ * Returns { filename, content, contentType }, or null when the template has no invite for this data.
+ */
+function renderCalendarInvite(template, data) {
+	if (!template.calendar) return null;
+
+	const start = calendarDay(data.check_in);
+	if (!start) return null;
+
+	const i18n = createI18n(data.locale, template.id);
+	const event = template.calendar(data, i18n);
+	if (!event) return null;
+
+	const checkout = calendarDay(data.check_out);
+	const end = checkout && checkout > start ? checkout : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+	const now = new Date();
+	const method = event.cancelled ? 'CANCEL' : 'PUBLISH';
+	const uid = data.booking_id
+		? `booking-${String(data.booking_id).replace(/[^\w.-]/g, '_')}-${template.group}@mystay`
+		: `${crypto.randomUUID()}@mystay`;
+	const description = [
+		data.booking_id && `${i18n.t('common.bookingId')}: ${data.booking_id}`,
+		...(event.details || [])
+	].filter(Boolean).join('\n');
+
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//MyStay//Email Service//EN',
+		'CALSCALE:GREGORIAN',
+		`METHOD:${method}`,
+		'BEGIN:VEVENT',
+		`UID:${uid}`,
+		`SEQUENCE:${Math.floor(now.getTime() / 1000)}`,
+		`DTSTAMP:${formatTimestamp(now)}`,
+		`DTSTART;VALUE=DATE:${formatDay(start)}`,
+		`DTEND;VALUE=DATE:${formatDay(end)}`,
+		`SUMMARY:${escapeText(event.summary)}`,
+		data.address && `LOCATION:${escapeText(data.address)}`,
+		description && `DESCRIPTION:${escapeText(description)}`,
+		`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+		'TRANSP:TRANSPARENT',
+		'END:VEVENT',
+		'END:VCALENDAR'
+	].filter(Boolean);
+
+	return {
+		filename: event.cancelled ? 'mystay-booking-cancelled.ics' : 'mystay-booking.ics',
+		content: `${lines.map(foldLine).join('\r\n')}\r\n`,
+		contentType: `text/calendar; charset=utf-8; method=${method}`
+	};
+}
+
+module.exports = {
+	renderCalendarInvite
+};
@@ -0,0 +1,159 @@
+// lib/dbWebhooks.js - Emails fired by Supabase database webhooks
+//
+// Supabase posts { type: 'INSERT' | 'UPDATE' | 'DELETE', table, schema, record, old_record }
+// for every row change on the tables a webhook watches. Each rule watches one column and
+// fires when it changes to `to` (from `from`, when set), queueing one template email:
+//
+// DB_WEBHOOK_RULES (JSON array; DEFAULT_RULES below when unset):
+//   [{ "table": "listings", "column": "status", "from": "pending", "to": "published",
+//      "group": "host", "email_type": "published", "recipient": "host_id",
+//      "fields": { "listing_name": "title" } }]
+//   table          // table name, without the schema
+//   column, to     // the column, and the value it must change to
+//   from           // optional - the previous value (or a list of them); without it any change
+//                  //   to `to` fires, including an INSERT that already has it
+//   group          // 'guest' or 'host'
+//   email_type     // a template of that group
+//   recipient      // column holding the recipient's user id (looked up in profiles)
+//   fields         // optional - template field -> column, e.g. { "listing_name": "title" }
+//   set            // optional - fixed template fields, e.g. { "transaction_type": "payment" }
+//
+// An UPDATE that leaves the column as it was doesn't fire, so later edits of a published
+// listing send nothing. DELETEs never fire. Supabase retries deliveries, so each email
+// carries a changeKey (table, row id, column value and template) to deduplicate them by.
+const { getTemplate } = require('../templates');
+
+// Column names follow the MyStay tables; set DB_WEBHOOK_RULES when yours differ
+const DEFAULT_RULES = [
+	{
+		table: 'listings', column: 'status', from: 'pending', to: 'published',
+		group: 'host', email_type: 'published', recipient: 'host_id',
+		fields: { listing_name: 'title' }
+	},
+	{
+		table: 'listings', column: 'status', from: 'pending', to: 'rejected',
+		group: 'host', email_type: 'rejected', recipient: 'host_id',
+		fields: { listing_name: 'title', rejection_reason: 'rejection_reason' }
+	},
+	{
+		table: 'host_profiles', column: 'verification_status', to: 'verified',
+		group: 'host', email_type: 'verified', recipient: 'user_id'
+	},
+	{
+		table: 'host_profiles', column: 'verification_status', to: 'rejected',
+		group: 'host', email_type: 'verification_rejected', recipient: 'user_id',
+		fields: { verification_rejection_reason: 'verification_rejection_reason' }
+	},
+	{
+		table: 'payments', column: 'status', to: 'completed',
+		group: 'guest', email_type: 'payment', recipient: 'guest_id',
+		fields: { amount: 'amount', mpesa_receipt: 'mpesa_receipt', booking_id: 'booking_id' },
+		set: { transaction_type: 'payment' }
+	}
+];
+
+const EVENT_TYPES = ['INSERT', 'UPDATE', 'DELETE'];
+
+function isPlainObject(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Rules from DB_WEBHOOK_RULES (see above)
+ */
+function parseDbWebhookRules(value) {
+	let rules = DEFAULT_RULES;
+	if (value !== undefined && value !== '') {
+		try {
+			rules = JSON.parse(value);
+		} catch (err) {
+			throw new Error(`DB_WEBHOOK_RULES is not valid JSON: ${err.message}`);
+		}
+		if (!Array.isArray(rules)) {
+			throw new Error('DB_WEBHOOK_RULES must be a JSON array');
+		}
+	}
+
+	return rules.map((rule, index) => {
+		const at = `DB_WEBHOOK_RULES[${index}]`;
+		for (const key of ['table', 'column', 'recipient']) {
+			if (typeof rule?.[key] !== 'string' || !rule[key]) {
+				throw new Error(`${at}.${key} must be a column or table name`);
+			}
+		}
+		if (rule.to === undefined) {
+			throw new Error(`${at}.to is required`);
+		}
+		if (!getTemplate(rule.group, rule.email_type)) {
+			throw new Error(`${at} names no template: ${rule.group}.${rule.email_type}`);
+		}
+		for (const key of ['fields', 'set']) {
+			if (rule[key] !== undefined && !isPlainObject(rule[key])) {
+				throw new Error(`${at}.${key} must be an object`);
+			}
+		}
+		return {
+			table: rule.table,
+			column: rule.column,
+			from: rule.from,
+			to: rule.to,
+			group: rule.group,
+			email_type: rule.email_type,
+			recipient: rule.recipient,
+			fields: rule.fields || {},
+			set: rule.set || {}
+		};
+	});
+}
+
+function matchesValue(expected, value) {
+	return Array.isArray(expected) ? expected.includes(value) : expected === value;
+}
+
+function fires(rule, record, oldRecord) {
+	const value = record[rule.column];
+	const previous = oldRecord?.[rule.column];
+	if (!matchesValue(rule.to, value) || previous === value) return false;
+	return rule.from === undefined || (oldRecord != null && matchesValue(rule.from, previous));
+}
+
+/**
+ * The emails a webhook payload fires
+ * Returns { change: { type, table }, emails: [{ rule, recipientId, data, changeKey }] }, or { error }
+ * for a payload that isn't a Supabase database webhook. data holds the template fields;
+ * changeKey is null for rows without an id column.
+ */
+function emailsForChange(rules, payload) {
+	if (!isPlainObject(payload) || !EVENT_TYPES.includes(payload.type) || typeof payload.table !== 'string') {
+		return { error: `Expected a Supabase database webhook: { type: ${EVENT_TYPES.join(' | ')}, table, record, old_record }` };
+	}
+
+	const { type, table, record, old_record: oldRecord } = payload;
+	const change = { type, table };
+	if (type === 'DELETE') return { change, emails: [] };
+	if (!isPlainObject(record)) {
+		return { error: `${type} webhook has no record` };
+	}
+
+	const emails = rules
+		.filter((rule) => rule.table === table && fires(rule, record, oldRecord))
+		.map((rule) => {
+			const data = { ...rule.set };
+			for (const [field, column] of Object.entries(rule.fields)) {
+				if (record[column] !== undefined && record[column] !== null) data[field] = record[column];
+			}
+			const recipientId = record[rule.recipient];
+			const changeKey = record.id == null
+				? null
+				: `${table}:${record.id}:${rule.column}=${JSON.stringify(record[rule.column])}:${rule.group}.${rule.email_type}`;
+			return { rule, recipientId: recipientId == null ? null : String(recipientId), data, changeKey };
+		});
+
+	return { change, emails };
+}
+
+module.exports = {
+	DEFAULT_RULES,
+	parseDbWebhookRules,
+	emailsForChange
+};
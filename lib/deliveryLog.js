@@ -0,0 +1,220 @@
+// lib/deliveryLog.js - Record of every queued email and each delivery attempt
+//
+// One entry per email (keyed by the outbox job id). Each worker attempt is
+// appended to `attempts` and updates the entry's current status.
+//
+// Statuses: scheduled | queued | retrying | sent | failed | cancelled
+//
+// Drivers: 'memory' (local dev, lost on restart), 'file' (a local JSON file, for one instance
+// running OUTBOX_STORE=file) or 'supabase' (production).
+//
+// Store interface (all async):
+//   create(entry)                      -> entry
+//   recordAttempt(id, attempt)         -> entry | null
+//   setStatus(id, status)              -> entry | null (e.g. a cancelled scheduled send)
+//   get(id)                            -> entry | null
+//   list(filters, { limit })           -> entries, newest first
+//
+// Supabase table (default name: email_deliveries):
+//
+//   create table email_deliveries (
+//     id uuid primary key,                 -- outbox job id
+//     endpoint text,
+//     caller text,
+//     recipient_id text,
+//     recipient_email text,
+//     email_type text,
+//     booking_id text,
+//     listing_name text,
+//     subject text,
+//     send_at timestamptz,                 -- scheduled sends
+//     status text not null default 'queued',
+//     message_id text,
+//     smtp_response text,
+//     error text,
+//     attempts jsonb not null default '[]'::jsonb,
+//     created_at timestamptz not null default now(),
+//     updated_at timestamptz not null default now()
+//   );
+//   create index email_deliveries_recipient_idx on email_deliveries (recipient_id, created_at desc);
+//   create index email_deliveries_booking_idx on email_deliveries (booking_id, created_at desc);
+
+const path = require('path');
+const { loadJsonArray, createSnapshotWriter } = require('./jsonFile');
+
+const FINISHED_STATUSES = ['sent', 'failed', 'cancelled'];
+const FILTER_FIELDS = ['caller', 'recipient_id', 'recipient_email', 'booking_id', 'email_type', 'status'];
+
+function applyAttempt(entry, attempt) {
+	return {
+		...entry,
+		status: attempt.status,
+		message_id: attempt.message_id ?? entry.message_id ?? null,
+		smtp_response: attempt.smtp_response ?? entry.smtp_response ?? null,
+		error: attempt.error ?? null,
+		attempts: [...(entry.attempts || []), attempt],
+		updated_at: new Date().toISOString()
+	};
+}
+
+/**
+ * Options (used by the file driver):
+ *   entries   // starting entries, e.g. loaded from disk
+ *   onChange  // async (entries Map) => void, awaited after every change
+ */
+function createMemoryDeliveryLog({ entries: initialEntries = [], onChange = async () => {} } = {}) {
+	const entries = new Map(initialEntries.map((entry) => [entry.id, entry]));
+
+	async function saved(id, entry) {
+		entries.set(id, entry);
+		await onChange(entries);
+		return { ...entry };
+	}
+
+	return {
+		driver: 'memory',
+
+		async create(entry) {
+			const now = new Date().toISOString();
+			const created = { status: 'queued', attempts: [], created_at: now, updated_at: now, ...entry };
+			return saved(created.id, created);
+		},
+
+		async recordAttempt(id, attempt) {
+			const entry = entries.get(id);
+			if (!entry) return null;
+			return saved(id, applyAttempt(entry, attempt));
+		},
+
+		async setStatus(id, status) {
+			const entry = entries.get(id);
+			if (!entry) return null;
+			return saved(id, { ...entry, status, updated_at: new Date().toISOString() });
+		},
+
+		async get(id) {
+			const entry = entries.get(id);
+			return entry ? { ...entry } : null;
+		},
+
+		async list(filters = {}, { limit = 50 } = {}) {
+			return [...entries.values()]
+				.filter((entry) => FILTER_FIELDS.every((field) => (
+					filters[field] === undefined || String(entry[field]) === String(filters[field])
+				)))
+				.sort((a, b) => b.created_at.localeCompare(a.created_at))
+				.slice(0, limit)
+				.map((entry) => ({ ...entry }));
+		}
+	};
+}
+
+// The memory log written to a JSON file after every change; finished entries are dropped after retentionMs
+function createFileDeliveryLog({ file = 'data/deliveries.json', retentionMs = 30 * 24 * 60 * 60 * 1000 } = {}) {
+	const resolved = path.resolve(file);
+	const write = createSnapshotWriter(resolved);
+
+	function save(entries) {
+		const cutoff = Date.now() - retentionMs;
+		for (const [id, entry] of entries) {
+			if (FINISHED_STATUSES.includes(entry.status) && Date.parse(entry.updated_at) < cutoff) entries.delete(id);
+		}
+		return write([...entries.values()]);
+	}
+
+	const log = createMemoryDeliveryLog({ entries: loadJsonArray(resolved, 'Delivery log file'), onChange: save });
+	return { ...log, driver: 'file', file: resolved };
+}
+
+function createSupabaseDeliveryLog({ supabase, table = 'email_deliveries' }) {
+	async function get(id) {
+		const { data, error } = await supabase
+			.from(table)
+			.select('*')
+			.eq('id', id)
+			.maybeSingle();
+
+		if (error) throw new Error(`Delivery log lookup failed: ${error.message}`);
+		return data;
+	}
+
+	return {
+		driver: 'supabase',
+		get,
+
+		async create(entry) {
+			const { data, error } = await supabase
+				.from(table)
+				.insert({ status: 'queued', attempts: [], ...entry })
+				.select()
+				.single();
+
+			if (error) throw new Error(`Delivery log insert failed: ${error.message}`);
+			return data;
+		},
+
+		// Read-modify-write is safe here: only the worker holding the job's lease writes attempts
+		async recordAttempt(id, attempt) {
+			const entry = await get(id);
+			if (!entry) return null;
+
+			const { status, message_id, smtp_response, error: attemptError, attempts, updated_at } = applyAttempt(entry, attempt);
+			const { data, error } = await supabase
+				.from(table)
+				.update({ status, message_id, smtp_response, error: attemptError, attempts, updated_at })
+				.eq('id', id)
+				.select()
+				.maybeSingle();
+
+			if (error) throw new Error(`Delivery log update failed: ${error.message}`);
+			return data;
+		},
+
+		async setStatus(id, status) {
+			const { data, error } = await supabase
+				.from(table)
+				.update({ status, updated_at: new Date().toISOString() })
+				.eq('id', id)
+				.select()
+				.maybeSingle();
+
+			if (error) throw new Error(`Delivery log update failed: ${error.message}`);
+			return data;
+		},
+
+		async list(filters = {}, { limit = 50 } = {}) {
+			let query = supabase.from(table).select('*');
+			for (const field of FILTER_FIELDS) {
+				if (filters[field] !== undefined) query = query.eq(field, filters[field]);
+			}
+
+			const { data, error } = await query
+				.order('created_at', { ascending: false })
+				.limit(limit);
+
+			if (error) throw new Error(`Delivery log query failed: ${error.message}`);
+			return data || [];
+		}
+	};
+}
+
+/**
+ * Pick the delivery log store by driver name ('memory', 'file' or 'supabase')
+ */
+function createDeliveryLog({ driver = 'memory', supabase, table, file, retentionMs } = {}) {
+	switch (driver) {
+		case 'memory':
+			return createMemoryDeliveryLog();
+		case 'file':
+			return createFileDeliveryLog({ file, retentionMs });
+		case 'supabase':
+			return createSupabaseDeliveryLog({ supabase, table });
+		default:
+			throw new Error(`Unknown DELIVERY_LOG_STORE "${driver}" (expected memory, file or supabase)`);
+	}
+}
+
+module.exports = {
+	createDeliveryLog,
+	FILTER_FIELDS
+};
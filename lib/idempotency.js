@@ -0,0 +1,241 @@
+// lib/idempotency.js - Idempotency keys so retried callbacks don't send the same email twice
+//
+// A request is keyed by its Idempotency-Key header, or by a natural key derived
+// from the body (e.g. M-Pesa receipt + booking id). The first request reserves the
+// key; repeats inside the window get the original response back instead of a
+// second email.
+//
+// Store interface (all async):
+//   reserve({ key, requestHash, expiresAt }) -> { created: true } | { created: false, record }
+//   complete(key, response)                  -> void
+//   release(key)                             -> void
+//
+// Supabase table (default name: email_idempotency_keys):
+//
+//   create table email_idempotency_keys (
+//     key text primary key,
+//     status text not null default 'pending',   -- pending | completed
+//     request_hash text,
+//     response jsonb,                            -- { status_code, body }
+//     created_at timestamptz not null default now(),
+//     expires_at timestamptz not null
+//   );
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// A "pending" reservation older than this is assumed abandoned (process died mid-request)
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+function isReusable(record, now) {
+	if (Date.parse(record.expires_at) <= now) return true;
+	return record.status === 'pending' && Date.parse(record.created_at) + PENDING_TIMEOUT_MS <= now;
+}
+
+function createMemoryIdempotencyStore() {
+	const records = new Map();
+
+	return {
+		driver: 'memory',
+
+		async reserve({ key, requestHash, expiresAt }) {
+			const now = Date.now();
+			const existing = records.get(key);
+			if (existing && !isReusable(existing, now)) {
+				return { created: false, record: { ...existing } };
+			}
+
+			// Drop expired entries while we're here so the Map doesn't grow forever
+			for (const [k, record] of records) {
+				if (Date.parse(record.expires_at) <= now) records.delete(k);
+			}
+
+			records.set(key, {
+				key,
+				status: 'pending',
+				request_hash: requestHash,
+				response: null,
+				created_at: new Date(now).toISOString(),
+				expires_at: expiresAt.toISOString()
+			});
+			return { created: true };
+		},
+
+		async complete(key, response) {
+			const record = records.get(key);
+			if (record) records.set(key, { ...record, status: 'completed', response });
+		},
+
+		async release(key) {
+			records.delete(key);
+		}
+	};
+}
+
+function createSupabaseIdempotencyStore({ supabase, table = 'email_idempotency_keys' }) {
+	return {
+		driver: 'supabase',
+
+		async reserve({ key, requestHash, expiresAt }) {
+			const row = {
+				key,
+				status: 'pending',
+				request_hash: requestHash,
+				response: null,
+				created_at: new Date().toISOString(),
+				expires_at: expiresAt.toISOString()
+			};
+
+			const { error } = await supabase.from(table).insert(row);
+			if (!error) return { created: true };
+			if (error.code !== '23505') {
+				throw new Error(`Idempotency reserve failed: ${error.message}`);
+			}
+
+			const { data: existing, error: selectErr } = await supabase
+				.from(table)
+				.select('*')
+				.eq('key', key)
+				.maybeSingle();
+
+			if (selectErr) throw new Error(`Idempotency lookup failed: ${selectErr.message}`);
+			if (!existing) return this.reserve({ key, requestHash, expiresAt });
+			if (!isReusable(existing, Date.now())) return { created: false, record: existing };
+
+			// Take over an expired/abandoned key, unless another request just did
+			const { data: taken, error: takeErr } = await supabase
+				.from(table)
+				.update(row)
+				.eq('key', key)
+				.eq('created_at', existing.created_at)
+				.select()
+				.maybeSingle();
+
+			if (takeErr) throw new Error(`Idempotency reserve failed: ${takeErr.message}`);
+			return taken ? { created: true } : { created: false, record: existing };
+		},
+
+		async complete(key, response) {
+			const { error } = await supabase
+				.from(table)
+				.update({ status: 'completed', response })
+				.eq('key', key);
+
+			if (error) throw new Error(`Idempotency complete failed: ${error.message}`);
+		},
+
+		async release(key) {
+			const { error } = await supabase
+				.from(table)
+				.delete()
+				.eq('key', key)
+				.eq('status', 'pending');
+
+			if (error) throw new Error(`Idempotency release failed: ${error.message}`);
+		}
+	};
+}
+
+/**
+ * Pick the idempotency store by driver name ('memory' or 'supabase')
+ */
+function createIdempotencyStore({ driver = 'memory', supabase, table } = {}) {
+	switch (driver) {
+		case 'memory':
+			return createMemoryIdempotencyStore();
+		case 'supabase':
+			return createSupabaseIdempotencyStore({ supabase, table });
+		default:
+			throw new Error(`Unknown IDEMPOTENCY_STORE "${driver}" (expected memory or supabase)`);
+	}
+}
+
+// Store key for a natural key; shared with callers that reserve keys outside the middleware
+function naturalIdempotencyKey(scope, natural) {
+	return `${scope}:natural:${natural}`;
+}
+
+/**
+ * Build the idempotency middleware for one endpoint
+ *
+ * Options:
+ *   store          // idempotency store
+ *   scope          // namespace for keys, e.g. 'send'
+ *   windowSeconds  // how long a completed response is replayed
+ *   naturalKey     // (body) => string | null, used when no Idempotency-Key header is sent
+ *   enrichReplay   // async (body) => body, e.g. to add the messageId once the job is sent
+ *
+ * Must run after requireApiKey: header keys are scoped per caller.
+ */
+function createIdempotencyMiddleware({ store, scope, windowSeconds, naturalKey = () => null, enrichReplay = async (body) => body }) {
+	return async function idempotency(req, res, next) {
+		const headerKey = req.get('idempotency-key');
+		const natural = headerKey ? null : naturalKey(req.body || {});
+		if (!headerKey && !natural) return next();
+
+		const key = headerKey
+			? `${scope}:caller:${req.caller?.id ?? 'anonymous'}:${headerKey}`
+			: naturalIdempotencyKey(scope, natural);
+
+		// Only explicit keys promise "same key, same request"; natural keys may come with a slightly different body
+		const requestHash = headerKey
+			? crypto.createHash('sha256').update(req.rawBody || '').digest('hex')
+			: null;
+
+		let reservation;
+		try {
+			reservation = await store.reserve({
+				key,
+				requestHash,
+				expiresAt: new Date(Date.now() + windowSeconds * 1000)
+			});
+		} catch (err) {
+			logger.error('Idempotency store error', { error: err });
+			return res.status(503).json({
+				success: false,
+				error: 'Idempotency check unavailable, please retry'
+			});
+		}
+
+		if (!reservation.created) {
+			const { record } = reservation;
+
+			if (record.request_hash && requestHash && record.request_hash !== requestHash) {
+				return res.status(422).json({
+					success: false,
+					error: 'Idempotency-Key was already used with a different request body'
+				});
+			}
+
+			if (record.status !== 'completed') {
+				return res.status(409).json({
+					success: false,
+					error: 'A request with this idempotency key is still being processed'
+				});
+			}
+
+			logger.info('Idempotent replay', { key, jobId: record.response?.body?.jobId });
+			const body = await enrichReplay(record.response.body);
+			res.set('Idempotent-Replayed', 'true');
+			return res.status(record.response.status_code).json(body);
+		}
+
+		// Record successful responses for replay; free the key on errors so the caller can retry
+		const json = res.json.bind(res);
+		res.json = (body) => {
+			const statusCode = res.statusCode;
+			const done = statusCode >= 200 && statusCode < 300
+				? store.complete(key, { status_code: statusCode, body })
+				: store.release(key);
+			done.catch((err) => logger.warn('Idempotency record update failed', { key, error: err?.message ?? String(err) }));
+			return json(body);
+		};
+
+		return next();
+	};
+}
+
+module.exports = {
+	createIdempotencyStore,
+	createIdempotencyMiddleware,
+	naturalIdempotencyKey
+};
@@ -0,0 +1,52 @@
+// lib/jsonFile.js - JSON array files for the file-backed stores (outbox, delivery log)
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a JSON array of records; a missing file is an empty store
+ * `label` names the store in errors, e.g. 'Outbox file'.
+ */
+function loadJsonArray(file, label) {
+	let raw;
+	try {
+		raw = fs.readFileSync(file, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') return [];
+		throw new Error(`${label} ${file} could not be read: ${err.message}`);
+	}
+
+	try {
+		const records = JSON.parse(raw);
+		if (!Array.isArray(records)) throw new Error('expected a JSON array');
+		return records;
+	} catch (err) {
+		throw new Error(`${label} ${file} is not valid: ${err.message}`);
+	}
+}
+
+/**
+ * Writer that replaces the file with a snapshot of records
+ * Returns write(records) -> Promise. Writes are chained so an older snapshot never lands after
+ * a newer one, and go to a temp file first so a crash mid-write leaves the previous file intact.
+ */
+function createSnapshotWriter(file) {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const temp = `${file}.tmp`;
+	let writing = Promise.resolve();
+
+	return function write(records) {
+		const snapshot = JSON.stringify(records);
+		writing = writing
+			.catch(() => {})
+			.then(async () => {
+				await fs.promises.writeFile(temp, snapshot);
+				await fs.promises.rename(temp, file);
+			});
+		return writing;
+	};
+}
+
+module.exports = {
+	loadJsonArray,
+	createSnapshotWriter
+};
@@ -0,0 +1,166 @@
+// lib/logger.js - Structured JSON logs with request ids and PII redaction
+//
+// Every line is one JSON object:
+//   {"time":"2026-03-01T09:00:00.000Z","level":"info","msg":"Email queued","requestId":"…","to":"b***@example.com"}
+//
+// LOG_LEVEL      // 'debug', 'info' (default), 'warn' or 'error'
+// LOG_DEBUG_PII  // 'true' logs email addresses, phone numbers, names and free-text reasons in
+//                //   full - for local debugging only; by default they are masked
+//
+// requestContext() takes the caller's X-Request-Id (or makes one), echoes it on the response and
+// keeps it for everything that runs on behalf of the request, so every line logged meanwhile -
+// here or in lib/ - carries requestId. Queued emails keep it in their outbox metadata and the
+// worker logs their delivery under it (withContext).
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { LOG_LEVEL = 'info', LOG_DEBUG_PII } = process.env;
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[String(LOG_LEVEL).toLowerCase()] ?? LEVELS.info;
+const redactPii = LOG_DEBUG_PII !== 'true';
+
+// Caller-supplied ids are kept when they look like ids; anything else gets a fresh one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+// 9 to 15 digits, optionally with a leading + and single spaces or dashes: +254 712 345 678, 0712345678
+const PHONE_PATTERN = /(?<![\w+])\+?\d(?:[ -]?\d){8,14}(?!\w)/g;
+// Free text a recipient or admin wrote (rejection and cancellation reasons, instructions)
+const FREE_TEXT_KEY = /(^|_)(reason|instructions|message)$/;
+const NAME_KEYS = ['name', 'recipient_name', 'guest_name', 'host_name', 'full_name'];
+// What handlers log in place of a missing name; not PII, and masking it garbles the line
+const NAME_PLACEHOLDERS = ['(no name)'];
+// Codes rather than prose: suppression reasons ('hard_bounce') and error messages stay readable
+const KEPT_KEYS = ['reason', 'message', 'msg'];
+
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+
+function redactText(text) {
+	return text
+		.replace(EMAIL_PATTERN, '$1***@$2')
+		.replace(PHONE_PATTERN, (phone) => `***${phone.replace(/\D/g, '').slice(-3)}`);
+}
+
+/**
+ * Mask emails and phone numbers in strings, and names and free text by key
+ */
+function redact(value, key = '', depth = 0) {
+	if (typeof value === 'string') {
+		if (FREE_TEXT_KEY.test(key) && !KEPT_KEYS.includes(key)) return value ? '[redacted]' : value;
+		if (NAME_KEYS.includes(key)) return value && !NAME_PLACEHOLDERS.includes(value) ? `${value[0]}***` : value;
+		// Links (SES subscribe URLs, ...) hold account numbers that aren't phone numbers
+		if (/url$/i.test(key)) return value.replace(EMAIL_PATTERN, '$1***@$2');
+		return redactText(value);
+	}
+	if (!value || typeof value !== 'object' || depth >= MAX_DEPTH) return value;
+	if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1));
+	return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)]));
+}
+
+function serializeError(err) {
+	return {
+		message: err.message,
+		...(err.code !== undefined && { code: err.code }),
+		...(err.stack && { stack: err.stack })
+	};
+}
+
+// Errors anywhere at the top level become { message, code?, stack }; a bare value lands under `detail`
+function serializeFields(fields) {
+	if (fields === undefined || fields === null) return {};
+	if (fields instanceof Error) return { error: serializeError(fields) };
+	if (typeof fields !== 'object' || Array.isArray(fields)) return { detail: fields };
+
+	return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+		key,
+		value instanceof Error ? serializeError(value) : value
+	]));
+}
+
+function write(level, msg, fields) {
+	if (LEVELS[level] < threshold) return;
+
+	// requestStartedAt is for currentRequestStartedAt(), not the log line
+	const { requestStartedAt, ...context } = storage.getStore() ?? {};
+	const entry = {
+		time: new Date().toISOString(),
+		level,
+		msg,
+		...context,
+		...serializeFields(fields)
+	};
+
+	let line;
+	try {
+		line = JSON.stringify(redactPii ? redact(entry) : entry);
+	} catch (err) {
+		// Circular or otherwise unserializable fields shouldn't lose the line itself
+		line = JSON.stringify({ time: entry.time, level, msg: redactPii ? redactText(msg) : msg, logError: err.message });
+	}
+
+	(LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+	debug: (msg, fields) => write('debug', msg, fields),
+	info: (msg, fields) => write('info', msg, fields),
+	warn: (msg, fields) => write('warn', msg, fields),
+	error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Run fn with extra fields ({ requestId, jobId }) on every line it logs, including async work it starts
+ */
+function withContext(fields, fn) {
+	return storage.run({ ...storage.getStore(), ...fields }, fn);
+}
+
+// The request id of the request being handled, or null outside one
+function currentRequestId() {
+	return storage.getStore()?.requestId ?? null;
+}
+
+// When the request being handled came in (ms since epoch), or null outside one
+function currentRequestStartedAt() {
+	return storage.getStore()?.requestStartedAt ?? null;
+}
+
+/**
+ * Middleware: X-Request-Id in (optional) and out, the request's log context, and one
+ * "Request completed" line per request (GET /health only at debug level)
+ * The logged path leaves out the query string, which can carry tokens.
+ */
+function requestContext() {
+	return (req, res, next) => {
+		const provided = req.get('x-request-id');
+		const requestId = provided && REQUEST_ID_PATTERN.test(provided) ? provided : crypto.randomUUID();
+		const startedAt = Date.now();
+
+		req.id = requestId;
+		res.set('X-Request-Id', requestId);
+		res.on('finish', () => {
+			const level = req.method === 'GET' && req.path === '/health' ? 'debug' : 'info';
+			withContext({ requestId }, () => logger[level]('Request completed', {
+				method: req.method,
+				path: req.path,
+				status: res.statusCode,
+				durationMs: Date.now() - startedAt,
+				caller: req.caller?.id
+			}));
+		});
+
+		withContext({ requestId, requestStartedAt: startedAt }, next);
+	};
+}
+
+module.exports = {
+	logger,
+	redact,
+	withContext,
+	currentRequestId,
+	currentRequestStartedAt,
+	requestContext
+};
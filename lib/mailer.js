@@ -0,0 +1,153 @@
+// lib/mailer.js - Delivery of rendered messages through the configured providers (lib/providers)
+const path = require('path');
+const { providersFromEnv, createProviderRouter } = require('./providers');
+const { logger } = require('./logger');
+
+// Inline images referenced from the HTML templates via cid:
+const BRAND_ATTACHMENTS = [
+	{
+		filename: 'mystay-icon.png',
+		path: path.join(__dirname, '..', 'mystay-icon.png'),
+		cid: 'mystay-icon' // Content-ID for embedding in HTML
+	},
+	{
+		filename: 'checkmark.png',
+		path: path.join(__dirname, '..', 'checkmark.png'),
+		cid: 'checkmark-icon' // Content-ID for embedding in HTML
+	}
+];
+
+// SMTP error codes nodemailer uses for network/connection level failures
+const TRANSIENT_ERROR_CODES = new Set([
+	'ECONNECTION',
+	'ETIMEDOUT',
+	'ESOCKET',
+	'EDNS',
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'EAUTH'
+]);
+
+function fromAddress() {
+	const { FROM_EMAIL, FROM_NAME, SMTP_USER } = process.env;
+	return `${FROM_NAME || 'MyStay'} <${FROM_EMAIL || SMTP_USER}>`;
+}
+
+/**
+ * Whether a send failure is worth retrying (or failing over)
+ * 4xx SMTP replies and connection problems are temporary; 5xx replies are not.
+ * HTTP providers decide for themselves and set err.transient.
+ */
+function isTransientError(err) {
+	if (!err) return false;
+	if (typeof err.transient === 'boolean') return err.transient;
+	if (err.responseCode) {
+		return err.responseCode >= 400 && err.responseCode < 500;
+	}
+	return TRANSIENT_ERROR_CODES.has(err.code);
+}
+
+// The branding images are attached at send time so stored messages stay small
+function mailOptions(message) {
+	return {
+		from: fromAddress(),
+		to: message.to,
+		subject: message.subject,
+		text: message.text,
+		html: message.html,
+		headers: message.headers,
+		attachments: [...BRAND_ATTACHMENTS, ...(message.attachments || [])]
+	};
+}
+
+// Rebuilt when EMAIL_PROVIDERS changes; SMTP_* credentials are re-read on every send
+let current = null;
+
+function getRouter() {
+	const key = process.env.EMAIL_PROVIDERS || '';
+	if (current && current.key !== key) {
+		logger.info('EMAIL_PROVIDERS changed, rebuilding providers');
+		current.router.close();
+		current = null;
+	}
+
+	if (!current) {
+		const {
+			EMAIL_PROVIDER_FAILURE_THRESHOLD = 3,
+			EMAIL_PROVIDER_COOLDOWN_MS = 60000
+		} = process.env;
+
+		current = {
+			key,
+			router: createProviderRouter({
+				providers: providersFromEnv(key),
+				isTransient: isTransientError,
+				failureThreshold: Number(EMAIL_PROVIDER_FAILURE_THRESHOLD),
+				cooldownMs: Number(EMAIL_PROVIDER_COOLDOWN_MS)
+			})
+		};
+	}
+
+	return current.router;
+}
+
+/**
+ * Build the providers now, so a malformed EMAIL_PROVIDERS fails at startup rather than on
+ * the first send; throws with what's wrong
+ */
+function loadProviders() {
+	getRouter();
+}
+
+/**
+ * Send a stored message through the first provider that takes it
+ * message: { to, subject, text, html, headers?, attachments? }
+ * Returns the provider's info plus info.provider (its name).
+ */
+async function sendMessage(message) {
+	return getRouter().send(mailOptions(message));
+}
+
+/**
+ * Check every provider (run at startup, and by /health when not checked yet)
+ * Returns providerStatus(); never throws.
+ */
+async function verifyProviders() {
+	return getRouter().verify();
+}
+
+// Per-provider health, in routing order
+function providerStatus() {
+	return getRouter().status();
+}
+
+// Close open provider connections; the next send reopens them
+function closeProviders() {
+	if (current) current.router.close();
+}
+
+/**
+ * Send one round of messages
+ * Returns { send(message), close() }. Messages share the providers' connection pools; with
+ * closeAfter (serverless, where the instance is frozen between invocations) the pools
+ * are closed when the round ends instead of keeping sockets open across invocations.
+ */
+async function openSession({ closeAfter = false } = {}) {
+	return {
+		send: sendMessage,
+		close: () => {
+			if (closeAfter) closeProviders();
+		}
+	};
+}
+
+module.exports = {
+	fromAddress,
+	isTransientError,
+	loadProviders,
+	sendMessage,
+	openSession,
+	verifyProviders,
+	providerStatus,
+	closeProviders
+};
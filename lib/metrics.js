@@ -0,0 +1,186 @@
+// lib/metrics.js - Prometheus metrics for GET /metrics
+//
+//   mystay_email_sends_total{endpoint, email_type, outcome}
+//     requests to send, by how they were answered: queued, replayed, invalid, not_found,
+//     rejected (suppressed or opted out), rate_limited, lookup_failed, conflict or error
+//   mystay_email_deliveries_total{endpoint, email_type, outcome}
+//     outbox delivery attempts: sent, retrying or failed (dead-lettered)
+//   mystay_email_recipient_lookup_failures_total{reason}
+//     not_found (no profile), no_email (profile without an address) or error (Supabase failed)
+//   mystay_email_send_duration_seconds{endpoint, email_type}
+//     the send request coming in (recipient lookup, rendering, queueing) until delivered; a
+//     scheduled send counts from its send_at. Emails queued outside a request aren't observed.
+//   mystay_email_outbox_delivery_seconds{endpoint, email_type}
+//     queued (or, for a scheduled send, due) until delivered: the outbox part of the above
+//   mystay_email_recipient_lookup_duration_seconds{outcome}
+//     Supabase profile lookups (cache hits aren't timed); outcome ok or error
+//   mystay_email_smtp_duration_seconds{outcome}
+//     the provider send call of each delivery attempt (SMTP, or the HTTP API providers)
+//   mystay_email_outbox_jobs{status}
+//     jobs waiting (pending, including scheduled sends and retries) or being sent, read at scrape time
+// plus the prom-client process defaults (CPU, memory, event loop lag).
+//
+// Counters live in this process: serverless instances each report their own share.
+const client = require('prom-client');
+const { logger } = require('./logger');
+
+const PREFIX = 'mystay_email_';
+const OUTBOX_STATUSES = ['pending', 'sending'];
+
+// Response status of a send -> outcome label
+const SEND_OUTCOMES = {
+	200: 'queued',
+	202: 'queued',
+	400: 'invalid',
+	404: 'not_found',
+	409: 'conflict',
+	422: 'rejected',
+	429: 'rate_limited',
+	503: 'lookup_failed'
+};
+
+function sendOutcome(status) {
+	return SEND_OUTCOMES[status] ?? (status >= 500 ? 'error' : String(status));
+}
+
+const seconds = (ms) => ms / 1000;
+
+/**
+ * Create the metrics registry
+ *
+ * Options:
+ *   outbox   // outbox store, for the outbox_jobs gauge (countByStatus)
+ *
+ * Returns {
+ *   contentType, metrics() -> Promise<string>   // the /metrics response
+ *   recordSend({ endpoint, emailType, status, replayed })
+ *   recordAttempt(job, { status, durationMs })  // the outbox worker's onAttempt
+ *   recordLookup({ durationMs, recipients })     // the recipient lookup's onFetch
+ * }
+ */
+function createMetrics({ outbox }) {
+	const register = new client.Registry();
+	client.collectDefaultMetrics({ register });
+
+	const sends = new client.Counter({
+		name: `${PREFIX}sends_total`,
+		help: 'Send requests by endpoint, email type and outcome',
+		labelNames: ['endpoint', 'email_type', 'outcome'],
+		registers: [register]
+	});
+
+	const deliveries = new client.Counter({
+		name: `${PREFIX}deliveries_total`,
+		help: 'Outbox delivery attempts by endpoint, email type and outcome',
+		labelNames: ['endpoint', 'email_type', 'outcome'],
+		registers: [register]
+	});
+
+	const lookupFailures = new client.Counter({
+		name: `${PREFIX}recipient_lookup_failures_total`,
+		help: 'Recipient lookups that found no usable address, by reason',
+		labelNames: ['reason'],
+		registers: [register]
+	});
+
+	const sendDuration = new client.Histogram({
+		name: `${PREFIX}send_duration_seconds`,
+		help: 'Time from the send request (or a scheduled send_at) to delivery',
+		labelNames: ['endpoint', 'email_type'],
+		buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600],
+		registers: [register]
+	});
+
+	const outboxDelivery = new client.Histogram({
+		name: `${PREFIX}outbox_delivery_seconds`,
+		help: 'Time from queueing (or a scheduled send_at) to delivery',
+		labelNames: ['endpoint', 'email_type'],
+		buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600],
+		registers: [register]
+	});
+
+	const lookupDuration = new client.Histogram({
+		name: `${PREFIX}recipient_lookup_duration_seconds`,
+		help: 'Supabase profile lookup time',
+		labelNames: ['outcome'],
+		buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+		registers: [register]
+	});
+
+	const smtpDuration = new client.Histogram({
+		name: `${PREFIX}smtp_duration_seconds`,
+		help: 'Provider send time per delivery attempt',
+		labelNames: ['outcome'],
+		buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+		registers: [register]
+	});
+
+	new client.Gauge({
+		name: `${PREFIX}outbox_jobs`,
+		help: 'Outbox jobs waiting to be sent (pending) or being sent',
+		labelNames: ['status'],
+		registers: [register],
+		async collect() {
+			try {
+				const counts = await outbox.countByStatus(OUTBOX_STATUSES);
+				for (const status of OUTBOX_STATUSES) this.set({ status }, counts[status] ?? 0);
+			} catch (err) {
+				// Leave the gauge out of this scrape rather than fail the whole response
+				this.reset();
+				logger.warn('Outbox count for metrics failed', { error: err?.message ?? String(err) });
+			}
+		}
+	});
+
+	function recordSend({ endpoint, emailType, status, replayed = false }) {
+		sends.inc({
+			endpoint,
+			email_type: emailType || 'unknown',
+			outcome: replayed ? 'replayed' : sendOutcome(status)
+		});
+	}
+
+	function recordAttempt(job, { status, durationMs }) {
+		const labels = { endpoint: job.metadata?.endpoint ?? 'unknown', email_type: job.metadata?.email_type ?? 'unknown' };
+		deliveries.inc({ ...labels, outcome: status });
+		if (durationMs !== undefined) smtpDuration.observe({ outcome: status }, seconds(durationMs));
+
+		if (status === 'sent') {
+			const now = Date.now();
+			const scheduledAt = Date.parse(job.metadata?.send_at) || 0;
+			const queuedAt = Math.max(Date.parse(job.created_at) || 0, scheduledAt);
+			if (queuedAt > 0) outboxDelivery.observe(labels, Math.max(0, seconds(now - queuedAt)));
+
+			const requestedAt = Date.parse(job.metadata?.request_started_at) || 0;
+			if (requestedAt > 0) sendDuration.observe(labels, Math.max(0, seconds(now - Math.max(requestedAt, scheduledAt))));
+		}
+	}
+
+	function recordLookup({ durationMs, recipients }) {
+		let failed = false;
+		for (const recipient of recipients.values()) {
+			if (recipient.status === 'lookup_failed') {
+				failed = true;
+				lookupFailures.inc({ reason: 'error' });
+			} else if (recipient.status === 'not_found') {
+				lookupFailures.inc({ reason: 'not_found' });
+			} else if (!recipient.email) {
+				lookupFailures.inc({ reason: 'no_email' });
+			}
+		}
+		lookupDuration.observe({ outcome: failed ? 'error' : 'ok' }, seconds(durationMs));
+	}
+
+	return {
+		contentType: register.contentType,
+		metrics: () => register.metrics(),
+		recordSend,
+		recordAttempt,
+		recordLookup
+	};
+}
+
+module.exports = {
+	createMetrics,
+	sendOutcome
+};
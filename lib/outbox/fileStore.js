@@ -0,0 +1,32 @@
+// lib/outbox/fileStore.js - Outbox store kept in a local JSON file
+//
+// The memory store, written to disk after every change, so queued and scheduled
+// emails survive a restart without a database. One process per file: two instances
+// sharing it would overwrite each other's changes (use the supabase store for that).
+//
+// Finished jobs (sent, dead, cancelled) are dropped from the file after `retentionMs`;
+// their history stays in the delivery log. Pair it with DELIVERY_LOG_STORE=file (or
+// supabase), or the log entries of pending jobs are gone after a restart.
+const path = require('path');
+const { createMemoryOutboxStore } = require('./memoryStore');
+const { loadJsonArray, createSnapshotWriter } = require('../jsonFile');
+
+const FINISHED_STATUSES = ['sent', 'dead', 'cancelled'];
+
+function createFileOutboxStore({ file = 'data/outbox.json', retentionMs = 7 * 24 * 60 * 60 * 1000 } = {}) {
+	const resolved = path.resolve(file);
+	const write = createSnapshotWriter(resolved);
+
+	function save(jobs) {
+		const cutoff = Date.now() - retentionMs;
+		for (const [id, job] of jobs) {
+			if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.updated_at) < cutoff) jobs.delete(id);
+		}
+		return write([...jobs.values()]);
+	}
+
+	const store = createMemoryOutboxStore({ jobs: loadJsonArray(resolved, 'Outbox file'), onChange: save });
+	return { ...store, driver: 'file', file: resolved };
+}
+
+module.exports = { createFileOutboxStore };
@@ -0,0 +1,43 @@
+// lib/outbox/index.js - Durable outbound email queue
+//
+// Handlers save the rendered message here and return 202; the worker sends it.
+//
+// Store interface (all async):
+//   enqueue({ message, metadata, maxAttempts, availableAt }) -> job
+//   claimDue({ now, limit, leaseMs })                       -> jobs now in "sending"
+//   markSent(id, { messageId, response })                   -> job
+//   markRetry(id, { error, nextAttemptAt })                 -> job
+//   markDead(id, { error })                                 -> job
+//   cancel(id)                                              -> { cancelled, job } | null (only unclaimed pending jobs)
+//   get(id)                                                 -> job | null
+//   countByStatus(statuses)                                 -> { [status]: number of jobs }
+//
+// A job enqueued with a future availableAt is a scheduled send: the worker doesn't
+// claim it before then, and it can be cancelled until it does.
+const { createMemoryOutboxStore } = require('./memoryStore');
+const { createSupabaseOutboxStore } = require('./supabaseStore');
+const { createFileOutboxStore } = require('./fileStore');
+const { createOutboxWorker } = require('./worker');
+
+/**
+ * Pick the outbox store by driver name
+ * driver: 'memory' (local dev, lost on restart), 'file' (one instance, survives restarts)
+ * or 'supabase' (production)
+ */
+function createOutboxStore({ driver = 'memory', supabase, table, file, retentionMs } = {}) {
+	switch (driver) {
+		case 'memory':
+			return createMemoryOutboxStore();
+		case 'file':
+			return createFileOutboxStore({ file, retentionMs });
+		case 'supabase':
+			return createSupabaseOutboxStore({ supabase, table });
+		default:
+			throw new Error(`Unknown OUTBOX_STORE "${driver}" (expected memory, file or supabase)`);
+	}
+}
+
+module.exports = {
+	createOutboxStore,
+	createOutboxWorker
+};
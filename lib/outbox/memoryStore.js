@@ -0,0 +1,129 @@
+// lib/outbox/memoryStore.js - In-process outbox store for local development
+const crypto = require('crypto');
+
+/**
+ * Jobs live in a Map and are lost on restart, so this store is only meant for
+ * local development and single-instance testing.
+ *
+ * Options (used by the file store, lib/outbox/fileStore.js):
+ *   jobs      // starting jobs, e.g. loaded from disk
+ *   onChange  // async (jobs Map) => void, awaited after every change
+ */
+function createMemoryOutboxStore({ jobs: initialJobs = [], onChange = async () => {} } = {}) {
+	const jobs = new Map(initialJobs.map((job) => [job.id, job]));
+
+	function update(id, changes) {
+		const job = jobs.get(id);
+		if (!job) return null;
+		const updated = { ...job, ...changes, updated_at: new Date().toISOString() };
+		jobs.set(id, updated);
+		return { ...updated };
+	}
+
+	async function persisted(job) {
+		if (job) await onChange(jobs);
+		return job;
+	}
+
+	return {
+		driver: 'memory',
+
+		async enqueue({ message, metadata = {}, maxAttempts, availableAt = new Date() }) {
+			const now = new Date().toISOString();
+			const job = {
+				id: crypto.randomUUID(),
+				status: 'pending',
+				message,
+				metadata,
+				attempts: 0,
+				max_attempts: maxAttempts,
+				next_attempt_at: new Date(availableAt).toISOString(),
+				locked_until: null,
+				last_error: null,
+				message_id: null,
+				smtp_response: null,
+				created_at: now,
+				updated_at: now,
+				sent_at: null
+			};
+			jobs.set(job.id, job);
+			await onChange(jobs);
+			return { ...job };
+		},
+
+		// Claim due pending jobs, plus "sending" jobs whose lease expired (worker crashed mid-send)
+		async claimDue({ now = new Date(), limit = 10, leaseMs }) {
+			const claimed = [];
+			const nowMs = now.getTime();
+
+			for (const job of jobs.values()) {
+				if (claimed.length >= limit) break;
+
+				const isDue = job.status === 'pending' && Date.parse(job.next_attempt_at) <= nowMs;
+				const isStale = job.status === 'sending' && job.locked_until && Date.parse(job.locked_until) <= nowMs;
+				if (!isDue && !isStale) continue;
+
+				claimed.push(update(job.id, {
+					status: 'sending',
+					attempts: job.attempts + 1,
+					locked_until: new Date(nowMs + leaseMs).toISOString()
+				}));
+			}
+
+			if (claimed.length > 0) await onChange(jobs);
+			return claimed;
+		},
+
+		async markSent(id, { messageId, response }) {
+			return persisted(update(id, {
+				status: 'sent',
+				locked_until: null,
+				last_error: null,
+				message_id: messageId,
+				smtp_response: response,
+				sent_at: new Date().toISOString()
+			}));
+		},
+
+		async markRetry(id, { error, nextAttemptAt }) {
+			return persisted(update(id, {
+				status: 'pending',
+				locked_until: null,
+				last_error: error,
+				next_attempt_at: nextAttemptAt.toISOString()
+			}));
+		},
+
+		async markDead(id, { error }) {
+			return persisted(update(id, {
+				status: 'dead',
+				locked_until: null,
+				last_error: error
+			}));
+		},
+
+		// Only jobs no worker has picked up yet can be cancelled
+		async cancel(id) {
+			const job = jobs.get(id);
+			if (!job) return null;
+			if (job.status !== 'pending' || job.attempts > 0) return { cancelled: false, job: { ...job } };
+
+			return { cancelled: true, job: await persisted(update(id, { status: 'cancelled' })) };
+		},
+
+		async get(id) {
+			const job = jobs.get(id);
+			return job ? { ...job } : null;
+		},
+
+		async countByStatus(statuses) {
+			const counts = Object.fromEntries(statuses.map((status) => [status, 0]));
+			for (const job of jobs.values()) {
+				if (job.status in counts) counts[job.status] += 1;
+			}
+			return counts;
+		}
+	};
+}
+
+module.exports = { createMemoryOutboxStore };
@@ -0,0 +1,170 @@
+// lib/outbox/supabaseStore.js - Outbox store backed by a Supabase table (production)
+//
+// Expected table (default name: email_outbox):
+//
+//   create table email_outbox (
+//     id uuid primary key default gen_random_uuid(),
+//     status text not null default 'pending',       -- pending | sending | sent | dead | cancelled
+//     message jsonb not null,                         -- { to, subject, text, html, attachments }
+//     metadata jsonb not null default '{}'::jsonb,
+//     attempts integer not null default 0,
+//     max_attempts integer not null,
+//     next_attempt_at timestamptz not null default now(),
+//     locked_until timestamptz,
+//     last_error text,
+//     message_id text,
+//     smtp_response text,
+//     created_at timestamptz not null default now(),
+//     updated_at timestamptz not null default now(),
+//     sent_at timestamptz
+//   );
+//   create index email_outbox_due_idx on email_outbox (status, next_attempt_at);
+const { logger } = require('../logger');
+
+function createSupabaseOutboxStore({ supabase, table = 'email_outbox' }) {
+	async function update(id, changes) {
+		const { data, error } = await supabase
+			.from(table)
+			.update({ ...changes, updated_at: new Date().toISOString() })
+			.eq('id', id)
+			.select()
+			.maybeSingle();
+
+		if (error) throw new Error(`Outbox update failed: ${error.message}`);
+		return data;
+	}
+
+	return {
+		driver: 'supabase',
+
+		async enqueue({ message, metadata = {}, maxAttempts, availableAt = new Date() }) {
+			const { data, error } = await supabase
+				.from(table)
+				.insert({
+					status: 'pending',
+					message,
+					metadata,
+					attempts: 0,
+					max_attempts: maxAttempts,
+					next_attempt_at: new Date(availableAt).toISOString()
+				})
+				.select()
+				.single();
+
+			if (error) throw new Error(`Outbox enqueue failed: ${error.message}`);
+			return data;
+		},
+
+		// Claim due pending jobs, plus "sending" jobs whose lease expired (worker crashed mid-send)
+		async claimDue({ now = new Date(), limit = 10, leaseMs }) {
+			const nowIso = now.toISOString();
+			const { data: candidates, error } = await supabase
+				.from(table)
+				.select('*')
+				.or(`and(status.eq.pending,next_attempt_at.lte."${nowIso}"),and(status.eq.sending,locked_until.lte."${nowIso}")`)
+				.order('next_attempt_at', { ascending: true })
+				.limit(limit);
+
+			if (error) throw new Error(`Outbox claim failed: ${error.message}`);
+
+			const claimed = [];
+			for (const job of candidates || []) {
+				// Only take the job if nobody else touched it since we read it
+				const { data, error: claimErr } = await supabase
+					.from(table)
+					.update({
+						status: 'sending',
+						attempts: job.attempts + 1,
+						locked_until: new Date(now.getTime() + leaseMs).toISOString(),
+						updated_at: new Date().toISOString()
+					})
+					.eq('id', job.id)
+					.eq('updated_at', job.updated_at)
+					.select()
+					.maybeSingle();
+
+				if (claimErr) {
+					logger.warn('Outbox claim warning', { error: claimErr });
+					continue;
+				}
+				if (data) claimed.push(data);
+			}
+
+			return claimed;
+		},
+
+		async markSent(id, { messageId, response }) {
+			return update(id, {
+				status: 'sent',
+				locked_until: null,
+				last_error: null,
+				message_id: messageId,
+				smtp_response: response,
+				sent_at: new Date().toISOString()
+			});
+		},
+
+		async markRetry(id, { error, nextAttemptAt }) {
+			return update(id, {
+				status: 'pending',
+				locked_until: null,
+				last_error: error,
+				next_attempt_at: nextAttemptAt.toISOString()
+			});
+		},
+
+		async markDead(id, { error }) {
+			return update(id, {
+				status: 'dead',
+				locked_until: null,
+				last_error: error
+			});
+		},
+
+		// Only jobs no worker has picked up yet can be cancelled
+		async cancel(id) {
+			const { data, error } = await supabase
+				.from(table)
+				.update({ status: 'cancelled', updated_at: new Date().toISOString() })
+				.eq('id', id)
+				.eq('status', 'pending')
+				.eq('attempts', 0)
+				.select()
+				.maybeSingle();
+
+			if (error) throw new Error(`Outbox cancel failed: ${error.message}`);
+			if (data) return { cancelled: true, job: data };
+
+			const job = await this.get(id);
+			return job ? { cancelled: false, job } : null;
+		},
+
+		async get(id) {
+			const { data, error } = await supabase
+				.from(table)
+				.select('*')
+				.eq('id', id)
+				.maybeSingle();
+
+			if (error) throw new Error(`Outbox lookup failed: ${error.message}`);
+			return data;
+		},
+
+		// One count query per status (served by email_outbox_due_idx)
+		async countByStatus(statuses) {
+			const counts = {};
+			for (const status of statuses) {
+				const { count, error } = await supabase
+					.from(table)
+					.select('id', { count: 'exact', head: true })
+					.eq('status', status);
+
+				if (error) throw new Error(`Outbox count failed: ${error.message}`);
+				counts[status] = count ?? 0;
+			}
+			return counts;
+		}
+	};
+}
+
+module.exports = { createSupabaseOutboxStore };
@@ -0,0 +1,192 @@
+// lib/outbox/worker.js - Delivers outbox jobs with exponential backoff and dead-lettering
+const { logger, withContext } = require('../logger');
+
+// markSent tries per delivered job, and the pause before each retry (times the try number)
+const MARK_SENT_ATTEMPTS = 3;
+const MARK_SENT_RETRY_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create the outbox worker
+ *
+ * Options:
+ *   store            // outbox store (see lib/outbox/index.js)
+ *   send             // async (message) => info, throws on failure
+ *   openSession      // optional async () => { send, close } - used instead of `send` so each
+ *                    // round of jobs shares one (pooled) connection; only opened when jobs are due
+ *   isTransient      // (err) => boolean, decides retry vs dead-letter
+ *   baseDelayMs      // first retry delay, doubled per attempt
+ *   maxDelayMs       // retry delay cap
+ *   pollIntervalMs   // how often start() checks for due jobs
+ *   batchSize        // jobs claimed per round
+ *   leaseMs          // how long a claimed job is reserved before another worker may take it
+ *   onAttempt        // optional async (job, { status, info, error, nextAttemptAt, durationMs }) => void,
+ *                    // status is 'sent', 'retrying' or 'failed'; durationMs is the send call alone
+ *
+ * A delivered job whose markSent keeps failing is remembered in this process and only
+ * marked sent when the store hands it out again, so a store outage doesn't resend it.
+ */
+function createOutboxWorker({
+	store,
+	send,
+	openSession = async () => ({ send, close: () => {} }),
+	isTransient,
+	baseDelayMs = 30000,
+	maxDelayMs = 60 * 60 * 1000,
+	pollIntervalMs = 5000,
+	batchSize = 10,
+	leaseMs = 2 * 60 * 1000,
+	onAttempt = async () => {}
+}) {
+	let timer = null;
+	let running = null;
+	// Jobs the provider accepted but the store couldn't mark sent (id -> info). They stay claimable
+	// in the store, so when one comes back it's only marked sent, never delivered again.
+	const unrecorded = new Map();
+
+	function backoffDelay(attempts) {
+		const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+		// +/- 20% jitter so a burst of failures doesn't retry in lockstep
+		return Math.round(delay * (0.8 + Math.random() * 0.4));
+	}
+
+	// Attempt hooks (delivery log etc.) must never affect delivery itself
+	async function notify(job, result) {
+		try {
+			await onAttempt(job, result);
+		} catch (err) {
+			logger.warn('Outbox attempt hook failed', { jobId: job.id, error: err?.message ?? String(err) });
+		}
+	}
+
+	// Mark a delivered job sent, retrying store errors; false if it still couldn't be recorded
+	async function recordSent(job, info) {
+		for (let attempt = 1; ; attempt += 1) {
+			try {
+				await store.markSent(job.id, {
+					messageId: info?.messageId ?? null,
+					response: info?.response ?? null
+				});
+				unrecorded.delete(job.id);
+				return true;
+			} catch (err) {
+				if (attempt >= MARK_SENT_ATTEMPTS) {
+					unrecorded.set(job.id, info);
+					logger.error('Outbox job sent but not marked sent; it will not be sent again', {
+						jobId: job.id,
+						messageId: info?.messageId,
+						error: err?.message ?? String(err)
+					});
+					return false;
+				}
+				await sleep(MARK_SENT_RETRY_MS * attempt);
+			}
+		}
+	}
+
+	async function processJob(job, session) {
+		if (unrecorded.has(job.id)) {
+			if (await recordSent(job, unrecorded.get(job.id))) logger.info('Outbox job marked sent', { jobId: job.id });
+			return;
+		}
+
+		let info;
+		const startedAt = Date.now();
+		try {
+			info = await session.send(job.message);
+		} catch (err) {
+			const error = err?.message ?? String(err);
+			const durationMs = Date.now() - startedAt;
+
+			if (isTransient(err) && job.attempts < job.max_attempts) {
+				const nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts));
+				await store.markRetry(job.id, { error, nextAttemptAt });
+				logger.warn('Outbox job failed, will retry', {
+					jobId: job.id,
+					attempt: job.attempts,
+					maxAttempts: job.max_attempts,
+					nextAttemptAt: nextAttemptAt.toISOString(),
+					error
+				});
+				await notify(job, { status: 'retrying', error, nextAttemptAt, durationMs });
+			} else {
+				await store.markDead(job.id, { error });
+				logger.error('Outbox job moved to dead letter', {
+					jobId: job.id,
+					attempt: job.attempts,
+					error
+				});
+				await notify(job, { status: 'failed', error, durationMs });
+			}
+			return;
+		}
+
+		const durationMs = Date.now() - startedAt;
+
+		// Outside the try above: a store hiccup here must not be mistaken for a send failure and resent
+		await recordSent(job, info);
+
+		logger.info('Outbox job sent', {
+			jobId: job.id,
+			attempt: job.attempts,
+			messageId: info?.messageId,
+			response: info?.response
+		});
+		await notify(job, { status: 'sent', info, durationMs });
+	}
+
+	// Drain everything that is currently due. Concurrent calls share one run.
+	function tick() {
+		if (running) return running;
+
+		running = (async () => {
+			let processed = 0;
+			let session = null;
+			try {
+				for (;;) {
+					const jobs = await store.claimDue({ now: new Date(), limit: batchSize, leaseMs });
+					if (jobs.length === 0) break;
+
+					session = session || await openSession();
+					for (const job of jobs) {
+						// Logged under the request that queued the job, not whichever one kicked the worker
+						await withContext({ requestId: job.metadata?.request_id ?? null }, () => processJob(job, session));
+						processed += 1;
+					}
+				}
+			} finally {
+				if (session) session.close();
+			}
+			return processed;
+		})().finally(() => {
+			running = null;
+		});
+
+		return running;
+	}
+
+	// Process soon without blocking the caller (used right after enqueue)
+	function kick() {
+		setImmediate(() => {
+			tick().catch((err) => logger.error('Outbox worker error', { error: err }));
+		});
+	}
+
+	function start() {
+		if (timer) return;
+		timer = setInterval(() => {
+			tick().catch((err) => logger.error('Outbox worker error', { error: err }));
+		}, pollIntervalMs);
+		timer.unref();
+	}
+
+	function stop() {
+		if (timer) clearInterval(timer);
+		timer = null;
+	}
+
+	return { tick, kick, start, stop };
+}
+
+module.exports = { createOutboxWorker };
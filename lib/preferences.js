@@ -0,0 +1,110 @@
+// lib/preferences.js - Per-user email preferences by category, and signed unsubscribe links
+//
+// Every template has a category (templates/index.js). Transactional email is always
+// sent; the other categories can be turned off per user. Preferences live on the
+// profile row, missing categories count as subscribed:
+//
+//   alter table profiles add column notification_preferences jsonb not null default '{}'::jsonb;
+//   -- e.g. { "promotions": false, "reminders": true }
+//
+// Unsubscribe links carry a token signed with UNSUBSCRIBE_SECRET:
+//   base64url({ u: recipient id, c: category }) + '.' + base64url(HMAC-SHA256 of that)
+// They don't expire, so links in old emails keep working.
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { CATEGORIES } = require('../templates');
+const { logger } = require('./logger');
+
+const OPTIONAL_CATEGORIES = CATEGORIES.filter((category) => category !== 'transactional');
+
+function allowsCategory(preferences, category) {
+	return !OPTIONAL_CATEGORIES.includes(category) || preferences?.[category] !== false;
+}
+
+/**
+ * Merge changes ({ promotions: false, ... }) into a profile's preferences
+ * Returns the updated preferences, or null if there's no such profile.
+ */
+async function updatePreferences(recipientId, changes) {
+	const { data: profile, error: selectErr } = await supabase
+		.from('profiles')
+		.select('id, notification_preferences')
+		.eq('id', recipientId)
+		.maybeSingle();
+
+	if (selectErr) throw new Error(`Preferences lookup failed: ${selectErr.message}`);
+	if (!profile) return null;
+
+	const preferences = { ...profile.notification_preferences, ...changes };
+	const { error } = await supabase
+		.from('profiles')
+		.update({ notification_preferences: preferences })
+		.eq('id', recipientId);
+
+	if (error) throw new Error(`Preferences update failed: ${error.message}`);
+	return preferences;
+}
+
+function sign(secret, payload) {
+	return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Unsubscribe link helpers
+ * Without a secret or base URL, urlFor() returns null and emails go out without links.
+ *
+ * Returns {
+ *   enabled,
+ *   urlFor({ recipientId, category }) -> url | null,
+ *   verify(token)                     -> { recipientId, category } | null
+ * }
+ */
+function createUnsubscribeLinks({ secret, baseUrl }) {
+	const enabled = Boolean(secret && baseUrl);
+	if (!enabled) {
+		logger.warn('UNSUBSCRIBE_SECRET or PUBLIC_BASE_URL not set. Emails go out without unsubscribe links.');
+	}
+
+	function urlFor({ recipientId, category }) {
+		if (!enabled || !recipientId || !OPTIONAL_CATEGORIES.includes(category)) return null;
+
+		const payload = Buffer.from(JSON.stringify({ u: String(recipientId), c: category })).toString('base64url');
+		const token = `${payload}.${sign(secret, payload)}`;
+		return `${baseUrl.replace(/\/+$/, '')}/api/v1/unsubscribe?token=${token}`;
+	}
+
+	function verify(token) {
+		if (!enabled || typeof token !== 'string') return null;
+
+		const [payload, signature] = token.split('.');
+		if (!payload || !signature) return null;
+
+		const expected = Buffer.from(sign(secret, payload));
+		const provided = Buffer.from(signature);
+		if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+		try {
+			const { u, c } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+			return u && OPTIONAL_CATEGORIES.includes(c) ? { recipientId: u, category: c } : null;
+		} catch (err) {
+			return null;
+		}
+	}
+
+	return { enabled, urlFor, verify };
+}
+
+// RFC 8058 one-click headers; mail clients POST "List-Unsubscribe=One-Click" to the URL
+function listUnsubscribeHeaders(url) {
+	return url
+		? { 'List-Unsubscribe': `<${url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+		: undefined;
+}
+
+module.exports = {
+	OPTIONAL_CATEGORIES,
+	allowsCategory,
+	updatePreferences,
+	createUnsubscribeLinks,
+	listUnsubscribeHeaders
+};
@@ -0,0 +1,106 @@
+// lib/preview.js - Render email templates in the browser with sample data (no SMTP, no Supabase)
+const fs = require('fs');
+const path = require('path');
+const { listTemplates, renderTemplate } = require('../templates');
+const { escapeHtml } = require('../templates/partials');
+
+// cid: references used by the templates, and the files the mailer attaches for them
+const INLINE_IMAGES = {
+	'mystay-icon': 'mystay-icon.png',
+	'checkmark-icon': 'checkmark.png'
+};
+
+let imageDataUris = null;
+
+// Swap cid: image references for data URIs so the preview shows the images
+function inlineImages(html) {
+	if (!imageDataUris) {
+		imageDataUris = Object.fromEntries(Object.entries(INLINE_IMAGES).map(([cid, file]) => {
+			const data = fs.readFileSync(path.join(__dirname, '..', file)).toString('base64');
+			return [cid, `data:image/png;base64,${data}`];
+		}));
+	}
+
+	return Object.entries(imageDataUris).reduce(
+		(result, [cid, uri]) => result.replaceAll(`cid:${cid}`, uri),
+		html
+	);
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Query values override sample values; nested objects (promotion_details[amount]=...) merge key by key
+function mergeData(sample, overrides) {
+	const merged = { ...sample };
+	for (const [key, value] of Object.entries(overrides || {})) {
+		merged[key] = isPlainObject(value) && isPlainObject(sample[key])
+			? mergeData(sample[key], value)
+			: value;
+	}
+	return merged;
+}
+
+/**
+ * Render one template variant
+ * format: 'html' (images inlined) or 'text'
+ * Returns { subject, contentType, body }, or null when the variant doesn't exist.
+ */
+function renderPreview(template, { variant = 'default', format = 'html', overrides = {} } = {}) {
+	const sample = template.samples[variant];
+	if (!sample) return null;
+
+	const rendered = renderTemplate(template, mergeData(sample, overrides));
+
+	if (format === 'text') {
+		return { subject: rendered.subject, contentType: 'text/plain; charset=utf-8', body: `Subject: ${rendered.subject}\n\n${rendered.text}` };
+	}
+	return { subject: rendered.subject, contentType: 'text/html; charset=utf-8', body: inlineImages(rendered.html) };
+}
+
+// Index page linking every template variant as HTML and plain text
+function galleryHtml(basePath) {
+	const rows = listTemplates().flatMap((template) => Object.keys(template.samples).map((variant) => {
+		const { subject } = renderTemplate(template, template.samples[variant]);
+		const query = variant === 'default' ? '' : `?variant=${encodeURIComponent(variant)}`;
+		const href = `${basePath}/${encodeURIComponent(template.id)}/preview${query}`;
+		const textHref = `${href}${query ? '&' : '?'}format=text`;
+
+		return `<tr>
+				<td>${escapeHtml(template.group)}</td>
+				<td><code>${escapeHtml(template.type)}</code></td>
+				<td>${escapeHtml(variant)}</td>
+				<td>${escapeHtml(subject)}</td>
+				<td><a href="${escapeHtml(href)}">HTML</a> · <a href="${escapeHtml(textHref)}">Text</a></td>
+			</tr>`;
+	}));
+
+	return `<!doctype html>
+<html>
+	<head>
+		<meta charset="utf-8"/>
+		<title>MyStay email templates</title>
+		<style>
+			body { font-family: Arial, sans-serif; margin: 40px; color: #1e3a8a; background: #f0f9ff; }
+			table { border-collapse: collapse; background: #ffffff; }
+			th, td { padding: 10px 16px; border-bottom: 1px solid #e0f2fe; text-align: left; }
+			th { background: #0437F2; color: #ffffff; }
+			a { color: #0437F2; }
+		</style>
+	</head>
+	<body>
+		<h1>MyStay email templates</h1>
+		<p>Sample data can be overridden with query parameters, e.g. <code>?recipient_name=Jane&amp;amount=KES%20900</code>. Add <code>locale=sw</code> for Swahili.</p>
+		<table>
+			<tr><th>Group</th><th>Type</th><th>Variant</th><th>Subject</th><th>Preview</th></tr>
+			${rows.join('\n\t\t\t')}
+		</table>
+	</body>
+</html>`;
+}
+
+module.exports = {
+	renderPreview,
+	galleryHtml
+};
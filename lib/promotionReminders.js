@@ -0,0 +1,325 @@
+// lib/promotionReminders.js - Scheduled promotion_expiring / promotion_expired host emails
+//
+// Each run reads promotions that end within the largest reminder offset (or ended
+// recently) and queues at most one email per promotion per reminder. A reminder is
+// recorded before its email is queued, so overlapping runs or instances never send
+// it twice; the record is dropped again if queueing fails so the next run retries.
+//
+// Promotions table (default name: promotions) - columns this job reads:
+//   id, host_id, package_name, expiry_date, status ('active' | 'expired' | ...),
+//   listings (text), listings_count
+//
+// Reminder store interface (all async):
+//   claim({ promotionId, reminder })          -> true if newly recorded, false if already sent
+//   complete({ promotionId, reminder, jobId }) -> void
+//   release({ promotionId, reminder })        -> void
+//
+// Supabase table (default name: promotion_reminders):
+//
+//   create table promotion_reminders (
+//     promotion_id text not null,
+//     reminder text not null,                    -- 'expiring_7d', 'expiring_1d', 'expired'
+//     job_id text,                               -- outbox job id once queued
+//     created_at timestamptz not null default now(),
+//     primary key (promotion_id, reminder)
+//   );
+const { getTemplate, validateTemplate, renderTemplate } = require('../templates');
+const { allowsCategory, listUnsubscribeHeaders } = require('./preferences');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Promotions that ended longer ago than this don't get an expired notice (e.g. on first deploy)
+const EXPIRED_LOOKBACK_MS = 3 * DAY_MS;
+
+function reminderKey(promotionId, reminder) {
+	return `${promotionId}:${reminder}`;
+}
+
+function createMemoryReminderStore() {
+	const records = new Map();
+
+	return {
+		driver: 'memory',
+
+		async claim({ promotionId, reminder }) {
+			const key = reminderKey(promotionId, reminder);
+			if (records.has(key)) return false;
+			records.set(key, { promotion_id: promotionId, reminder, job_id: null, created_at: new Date().toISOString() });
+			return true;
+		},
+
+		async complete({ promotionId, reminder, jobId }) {
+			const record = records.get(reminderKey(promotionId, reminder));
+			if (record) record.job_id = jobId;
+		},
+
+		async release({ promotionId, reminder }) {
+			records.delete(reminderKey(promotionId, reminder));
+		}
+	};
+}
+
+function createSupabaseReminderStore({ supabase, table = 'promotion_reminders' }) {
+	return {
+		driver: 'supabase',
+
+		async claim({ promotionId, reminder }) {
+			const { error } = await supabase
+				.from(table)
+				.insert({ promotion_id: String(promotionId), reminder });
+
+			if (!error) return true;
+			if (error.code === '23505') return false;
+			throw new Error(`Promotion reminder claim failed: ${error.message}`);
+		},
+
+		async complete({ promotionId, reminder, jobId }) {
+			const { error } = await supabase
+				.from(table)
+				.update({ job_id: jobId })
+				.eq('promotion_id', String(promotionId))
+				.eq('reminder', reminder);
+
+			if (error) throw new Error(`Promotion reminder update failed: ${error.message}`);
+		},
+
+		async release({ promotionId, reminder }) {
+			const { error } = await supabase
+				.from(table)
+				.delete()
+				.eq('promotion_id', String(promotionId))
+				.eq('reminder', reminder);
+
+			if (error) throw new Error(`Promotion reminder release failed: ${error.message}`);
+		}
+	};
+}
+
+/**
+ * Pick the reminder store by driver name ('memory' or 'supabase')
+ */
+function createReminderStore({ driver = 'memory', supabase, table } = {}) {
+	switch (driver) {
+		case 'memory':
+			return createMemoryReminderStore();
+		case 'supabase':
+			return createSupabaseReminderStore({ supabase, table });
+		default:
+			throw new Error(`Unknown PROMOTION_REMINDER_STORE "${driver}" (expected memory or supabase)`);
+	}
+}
+
+// "7,1" -> [1, 7]; ignores blanks and anything that isn't a positive whole number
+function parseOffsets(value) {
+	return [...new Set(String(value || '')
+		.split(',')
+		.map((part) => Number(part.trim()))
+		.filter((days) => Number.isInteger(days) && days > 0))]
+		.sort((a, b) => a - b);
+}
+
+/**
+ * Which reminder (if any) is due for a promotion right now
+ * Before expiry: the tightest offset that still covers the time left, so a promotion
+ * bought 3 days before expiry gets the 7-day reminder now and the 1-day one later.
+ */
+function dueReminder(expiryDate, now, offsetsDays) {
+	const msLeft = Date.parse(expiryDate) - now.getTime();
+	if (Number.isNaN(msLeft)) return null;
+
+	if (msLeft <= 0) {
+		return msLeft > -EXPIRED_LOOKBACK_MS ? { reminder: 'expired', type: 'promotion_expired' } : null;
+	}
+
+	const daysLeft = Math.ceil(msLeft / DAY_MS);
+	const offset = offsetsDays.find((days) => days >= daysLeft);
+	return offset ? { reminder: `expiring_${offset}d`, type: 'promotion_expiring', daysLeft } : null;
+}
+
+/**
+ * Create the promotion reminder job
+ *
+ * Options:
+ *   supabase         // client used to read promotions
+ *   store            // reminder store (see above)
+ *   table            // promotions table name
+ *   offsetsDays      // days before expiry to remind at, e.g. [7, 1]
+ *   renewUrl         // optional link for the renew button
+ *   lookupRecipient  // async (hostId) => { status, email, name, locale, preferences } (lib/recipients.js)
+ *   unsubscribeUrlFor // optional ({ recipientId, category }) => url | null
+ *   checkSend        // optional async ({ email, template }) => { status, error } | null - the
+ *                    //   suppression list and rate limits; a 429 is retried next run, any other
+ *                    //   refusal skips the reminder for good
+ *   queueEmail       // async ({ message, metadata }) => job
+ *   intervalMs       // how often start() runs the job
+ */
+function createPromotionReminderJob({
+	supabase,
+	store,
+	table = 'promotions',
+	offsetsDays = [7, 1],
+	renewUrl,
+	lookupRecipient,
+	unsubscribeUrlFor = () => null,
+	checkSend = async () => null,
+	queueEmail,
+	intervalMs = 60 * 60 * 1000
+}) {
+	let timer = null;
+	let running = null;
+
+	async function duePromotions(now) {
+		const horizon = new Date(now.getTime() + Math.max(0, ...offsetsDays) * DAY_MS);
+		const since = new Date(now.getTime() - EXPIRED_LOOKBACK_MS);
+
+		const { data, error } = await supabase
+			.from(table)
+			.select('id, host_id, package_name, expiry_date, status, listings, listings_count')
+			.in('status', ['active', 'expired'])
+			.gte('expiry_date', since.toISOString())
+			.lte('expiry_date', horizon.toISOString())
+			.order('expiry_date', { ascending: true });
+
+		if (error) throw new Error(`Promotion lookup failed: ${error.message}`);
+		return data || [];
+	}
+
+	// Resolves to { job }, or { skipped: reason } when the host has no email, opted out of the
+	// template's category or their address is suppressed - none of which a later run would change
+	async function sendReminder(promotion, due) {
+		const template = getTemplate('host', due.type);
+		const { status, error, email, name, locale, preferences } = await lookupRecipient(String(promotion.host_id));
+		if (status === 'lookup_failed') {
+			throw new Error(`Host lookup failed: ${error}`);
+		}
+		if (!email) {
+			return { skipped: 'host email not found' };
+		}
+		if (!allowsCategory(preferences, template.category)) {
+			return { skipped: 'host opted out' };
+		}
+
+		const refused = await checkSend({ email, template });
+		if (refused?.status === 429) {
+			throw new Error(refused.error);
+		}
+		if (refused) {
+			return { skipped: refused.error };
+		}
+
+		const unsubscribeUrl = unsubscribeUrlFor({ recipientId: promotion.host_id, category: template.category });
+
+		const data = {
+			recipient_name: name || '',
+			locale,
+			days_left: due.daysLeft,
+			renew_url: renewUrl || undefined,
+			unsubscribe_url: unsubscribeUrl,
+			promotion_details: {
+				package_name: promotion.package_name,
+				expiry_date: String(promotion.expiry_date).slice(0, 10),
+				listings: promotion.listings,
+				listings_count: promotion.listings_count
+			}
+		};
+
+		const problems = validateTemplate(template, data).map((problem) => problem.message);
+		if (problems.length > 0) {
+			throw new Error(`Cannot render ${due.type}: ${problems.join('; ')}`);
+		}
+
+		const { subject, html, text } = renderTemplate(template, data);
+		const job = await queueEmail({
+			message: { to: email, subject, text, html, headers: listUnsubscribeHeaders(unsubscribeUrl) },
+			metadata: {
+				endpoint: 'promotion-reminders',
+				caller: null,
+				recipient_id: promotion.host_id ?? null,
+				email_type: due.type
+			}
+		});
+		return { job };
+	}
+
+	async function processPromotion(promotion, now) {
+		const due = dueReminder(promotion.expiry_date, now, offsetsDays);
+		// Expiring reminders only make sense while the promotion is still running
+		if (!due || (due.type === 'promotion_expiring' && promotion.status !== 'active')) return false;
+
+		const claim = { promotionId: promotion.id, reminder: due.reminder };
+		if (!(await store.claim(claim))) return false;
+
+		let sent;
+		try {
+			sent = await sendReminder(promotion, due);
+		} catch (err) {
+			await store.release(claim);
+			throw err;
+		}
+
+		try {
+			await store.complete({ ...claim, jobId: sent.job?.id ?? null });
+		} catch (err) {
+			// Already queued and claimed; only the job id link is missing
+			logger.warn('Promotion reminder update failed', { promotionId: promotion.id, error: err?.message ?? String(err) });
+		}
+
+		// No email, opted out or suppressed: the claim stays so the reminder isn't retried every run
+		if (sent.skipped) {
+			logger.info('Promotion reminder skipped', { promotionId: promotion.id, reminder: due.reminder, reason: sent.skipped });
+			return false;
+		}
+
+		logger.info('Promotion reminder queued', { promotionId: promotion.id, reminder: due.reminder, jobId: sent.job.id });
+		return true;
+	}
+
+	// One pass over the due promotions. Concurrent calls share one run.
+	function tick() {
+		if (running) return running;
+
+		running = (async () => {
+			const now = new Date();
+			const promotions = await duePromotions(now);
+			let queued = 0;
+			let failed = 0;
+
+			for (const promotion of promotions) {
+				try {
+					if (await processPromotion(promotion, now)) queued += 1;
+				} catch (err) {
+					failed += 1;
+					logger.error('Promotion reminder failed', { promotionId: promotion.id, error: err?.message ?? String(err) });
+				}
+			}
+
+			return { checked: promotions.length, queued, failed };
+		})().finally(() => {
+			running = null;
+		});
+
+		return running;
+	}
+
+	function start() {
+		if (timer) return;
+		timer = setInterval(() => {
+			tick().catch((err) => logger.error('Promotion reminder job error', { error: err }));
+		}, intervalMs);
+		timer.unref();
+	}
+
+	function stop() {
+		if (timer) clearInterval(timer);
+		timer = null;
+	}
+
+	return { tick, start, stop };
+}
+
+module.exports = {
+	createReminderStore,
+	createPromotionReminderJob,
+	parseOffsets
+};
@@ -0,0 +1,49 @@
+// lib/providers/fake.js - In-process provider for local runs and failover drills
+//
+// Keeps every accepted message in memory instead of sending it. failFirst makes the
+// first n sends fail; failWith picks how ('connection' or 'rate_limit' are transient,
+// 'rejected' is permanent).
+
+const FAILURES = {
+	connection: () => Object.assign(new Error('Fake provider connection refused'), { code: 'ECONNECTION' }),
+	rate_limit: () => Object.assign(new Error('Fake provider rate limited'), { responseCode: 421 }),
+	rejected: () => Object.assign(new Error('Fake provider rejected the message'), { responseCode: 550 })
+};
+
+function createFakeProvider({ name, failFirst = 0, failWith = 'connection' }) {
+	if (!FAILURES[failWith]) {
+		throw new Error(`Email provider ${name}: failWith must be one of ${Object.keys(FAILURES).join(', ')}`);
+	}
+
+	const sent = [];
+	let failuresLeft = Number(failFirst);
+
+	return {
+		name,
+		type: 'fake',
+		sent,
+
+		async send(mail) {
+			if (failuresLeft > 0) {
+				failuresLeft -= 1;
+				throw FAILURES[failWith]();
+			}
+
+			sent.push(mail);
+			return {
+				messageId: `<fake-${sent.length}@${name}>`,
+				response: '250 accepted by fake provider'
+			};
+		},
+
+		async verify() {},
+
+		describe() {
+			return { sent: sent.length, failuresLeft };
+		},
+
+		close: () => {}
+	};
+}
+
+module.exports = { createFakeProvider };
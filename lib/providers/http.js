@@ -0,0 +1,90 @@
+// lib/providers/http.js - Delivery through a transactional email HTTP API
+//
+// Sends one JSON POST per message (Resend-style body):
+//   Authorization: Bearer <apiKey>
+//   { from, to, subject, text, html, headers?, attachments: [{ filename, content (base64), content_type?, content_id? }] }
+// and reads the message id from the response's `id` or `messageId`.
+const fs = require('fs/promises');
+
+async function encodeAttachment(attachment) {
+	const content = attachment.path
+		? await fs.readFile(attachment.path)
+		: Buffer.from(attachment.content ?? '', attachment.encoding);
+
+	return {
+		filename: attachment.filename,
+		content: content.toString('base64'),
+		content_type: attachment.contentType,
+		content_id: attachment.cid
+	};
+}
+
+/**
+ * Create an HTTP API provider
+ * url: the provider's send endpoint; apiKey: sent as a bearer token
+ */
+function createHttpProvider({ name, url, apiKey, timeoutMs = 15000 }) {
+	if (!url) throw new Error(`Email provider ${name}: url is required for http providers`);
+
+	return {
+		name,
+		type: 'http',
+
+		async send(mail) {
+			const body = {
+				from: mail.from,
+				to: mail.to,
+				subject: mail.subject,
+				text: mail.text,
+				html: mail.html,
+				headers: mail.headers,
+				attachments: await Promise.all((mail.attachments || []).map(encodeAttachment))
+			};
+
+			let response;
+			try {
+				response = await fetch(url, {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+						Authorization: `Bearer ${apiKey}`
+					},
+					body: JSON.stringify(body),
+					signal: AbortSignal.timeout(Number(timeoutMs))
+				});
+			} catch (err) {
+				const error = new Error(`HTTP provider ${name} unreachable: ${err?.message ?? err}`);
+				error.code = 'ECONNECTION';
+				error.transient = true;
+				throw error;
+			}
+
+			const payload = await response.json().catch(() => null);
+			if (!response.ok) {
+				const error = new Error(`HTTP provider ${name} responded ${response.status}: ${payload?.message || payload?.error || response.statusText}`);
+				error.statusCode = response.status;
+				// Rate limits and server errors are worth retrying; other 4xx mean the request itself is wrong
+				error.transient = response.status === 429 || response.status >= 500;
+				throw error;
+			}
+
+			return {
+				messageId: payload?.id ?? payload?.messageId ?? null,
+				response: `${response.status} ${response.statusText}`.trim()
+			};
+		},
+
+		async verify() {
+			// No standard health endpoint across APIs; configuration is all that can be checked offline
+			if (!apiKey) throw new Error(`HTTP provider ${name} has no apiKey`);
+		},
+
+		describe() {
+			return { url };
+		},
+
+		close: () => {}
+	};
+}
+
+module.exports = { createHttpProvider };
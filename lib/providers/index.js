@@ -0,0 +1,222 @@
+// lib/providers/index.js - Delivery providers with priority routing and failover
+//
+// Provider interface:
+//   name, type                 // 'smtp' | 'http' | 'fake'
+//   send(mail)    -> info      // async; mail is nodemailer-style { from, to, subject, text, html, headers?, attachments }
+//   verify()                   // async; throws if the provider can't be used
+//   describe()    -> object    // config summary for /health (no secrets)
+//   close()                    // drop open connections
+//
+// EMAIL_PROVIDERS (JSON array, lower `priority` first; an entry without one ranks by its position, 1, 2, ...):
+//   [{ "name": "primary", "type": "smtp", "host": "...", "port": 465, "user": "...", "pass": "...",
+//      "maxConnections": 5, "maxMessages": 100 },
+//    { "name": "backup", "type": "http", "url": "https://api.example.com/emails", "apiKey": "..." },
+//    { "name": "drill", "type": "fake", "failFirst": 2, "failWith": "connection" }]
+// Without it a single SMTP provider named "smtp" is built from SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS.
+const { createSmtpProvider } = require('./smtp');
+const { createHttpProvider } = require('./http');
+const { createFakeProvider } = require('./fake');
+const { logger } = require('../logger');
+
+function smtpSettings({ host, port, user, pass, secure, maxConnections = 5, maxMessages = 100 }) {
+	const resolvedPort = port ? Number(port) : 465;
+	return {
+		host,
+		port: resolvedPort,
+		secure: secure ?? resolvedPort === 465,
+		auth: { user, pass },
+		maxConnections: Number(maxConnections),
+		maxMessages: Number(maxMessages)
+	};
+}
+
+/**
+ * Build one provider from its EMAIL_PROVIDERS entry
+ */
+function createProvider(config) {
+	const name = config.name || config.type;
+	switch (config.type) {
+		case 'smtp':
+			return createSmtpProvider({ name, settings: () => smtpSettings(config) });
+		case 'http':
+			return createHttpProvider({ ...config, name });
+		case 'fake':
+			return createFakeProvider({ ...config, name });
+		default:
+			throw new Error(`Unknown email provider type "${config.type}" (expected smtp, http or fake)`);
+	}
+}
+
+// The SMTP_* settings, read per send so rotated credentials are picked up without a restart
+function envSmtpProvider() {
+	return createSmtpProvider({
+		name: 'smtp',
+		settings: () => smtpSettings({
+			host: process.env.SMTP_HOST,
+			port: process.env.SMTP_PORT,
+			user: process.env.SMTP_USER,
+			pass: process.env.SMTP_PASS,
+			maxConnections: process.env.SMTP_MAX_CONNECTIONS,
+			maxMessages: process.env.SMTP_MAX_MESSAGES
+		})
+	});
+}
+
+/**
+ * Providers in routing order from EMAIL_PROVIDERS (see above)
+ */
+function providersFromEnv(value = process.env.EMAIL_PROVIDERS) {
+	if (!value) return [envSmtpProvider()];
+
+	let configs;
+	try {
+		configs = JSON.parse(value);
+	} catch (err) {
+		throw new Error(`EMAIL_PROVIDERS is not valid JSON: ${err.message}`);
+	}
+	if (!Array.isArray(configs) || configs.length === 0) {
+		throw new Error('EMAIL_PROVIDERS must be a non-empty JSON array');
+	}
+
+	return configs
+		.map((config, index) => ({ config, priority: config.priority ?? index + 1 }))
+		.sort((a, b) => a.priority - b.priority)
+		.map(({ config, priority }) => ({ ...createProvider(config), priority }));
+}
+
+/**
+ * Route sends across providers in priority order
+ *
+ * A transient failure (connection problem, SMTP 4xx, HTTP 429/5xx) moves on to the next
+ * provider; a permanent one (e.g. a rejected recipient) stops, since the others would
+ * reject it too. After failureThreshold transient failures in a row a provider is skipped
+ * for cooldownMs, then tried again. If every provider is cooling down they're all tried.
+ *
+ * Providers are told apart by name (health, /health, info.provider), so names must be unique.
+ *
+ * Returns { send(mail) -> info (with info.provider), verify(), status(), close() }.
+ */
+function createProviderRouter({ providers, isTransient, failureThreshold = 3, cooldownMs = 60 * 1000 }) {
+	const names = new Set();
+	for (const provider of providers) {
+		if (names.has(provider.name)) {
+			throw new Error(`Duplicate email provider name "${provider.name}"; give each EMAIL_PROVIDERS entry its own name`);
+		}
+		names.add(provider.name);
+	}
+
+	const health = new Map(providers.map((provider) => [provider.name, {
+		state: 'unverified',
+		consecutiveFailures: 0,
+		unhealthyUntil: null,
+		lastError: null,
+		lastFailureAt: null,
+		lastSuccessAt: null,
+		sent: 0,
+		failed: 0
+	}]));
+
+	function recordSuccess(provider) {
+		const entry = health.get(provider.name);
+		entry.state = 'ok';
+		entry.consecutiveFailures = 0;
+		entry.unhealthyUntil = null;
+		entry.lastSuccessAt = new Date().toISOString();
+		entry.sent += 1;
+	}
+
+	function recordFailure(provider, err) {
+		const entry = health.get(provider.name);
+		entry.state = 'failed';
+		entry.consecutiveFailures += 1;
+		entry.lastError = err?.message ?? String(err);
+		entry.lastFailureAt = new Date().toISOString();
+		entry.failed += 1;
+		if (entry.consecutiveFailures >= failureThreshold) {
+			entry.unhealthyUntil = Date.now() + cooldownMs;
+		}
+	}
+
+	function routingOrder() {
+		const now = Date.now();
+		const available = providers.filter((provider) => !(health.get(provider.name).unhealthyUntil > now));
+		return available.length > 0 ? available : providers;
+	}
+
+	async function send(mail) {
+		const failures = [];
+		let lastError = null;
+		for (const provider of routingOrder()) {
+			try {
+				const info = await provider.send(mail);
+				recordSuccess(provider);
+				if (failures.length > 0) {
+					logger.warn('Email sent after failover', { provider: provider.name, failed: failures.map((failure) => failure.provider) });
+				}
+				return { ...info, provider: provider.name };
+			} catch (err) {
+				const transient = isTransient(err);
+				lastError = err;
+				// A permanent rejection says nothing about the provider's health
+				if (transient) recordFailure(provider, err);
+				failures.push({ provider: provider.name, error: err?.message ?? String(err) });
+
+				if (!transient) {
+					err.provider = provider.name;
+					throw err;
+				}
+				logger.warn('Email provider failed, trying next', { provider: provider.name, error: err?.message ?? String(err) });
+			}
+		}
+
+		const error = new Error(`All email providers failed: ${failures.map((failure) => `${failure.provider}: ${failure.error}`).join('; ')}`);
+		error.code = lastError?.code;
+		error.transient = true;
+		throw error;
+	}
+
+	// Checks every provider; never throws
+	async function verify() {
+		await Promise.all(providers.map(async (provider) => {
+			const entry = health.get(provider.name);
+			try {
+				await provider.verify();
+				entry.state = 'ok';
+				entry.lastError = null;
+			} catch (err) {
+				logger.warn('Email provider verify warning', { provider: provider.name, error: err?.message ?? String(err) });
+				entry.state = 'failed';
+				entry.lastError = err?.message ?? String(err);
+			}
+		}));
+		return status();
+	}
+
+	function status() {
+		const now = Date.now();
+		return providers.map((provider, index) => {
+			const { unhealthyUntil, ...entry } = health.get(provider.name);
+			return {
+				name: provider.name,
+				type: provider.type,
+				priority: provider.priority ?? index + 1,
+				healthy: !(unhealthyUntil > now),
+				...entry,
+				unhealthyUntil: unhealthyUntil > now ? new Date(unhealthyUntil).toISOString() : null,
+				...provider.describe()
+			};
+		});
+	}
+
+	function close() {
+		for (const provider of providers) provider.close();
+	}
+
+	return { providers, send, verify, status, close };
+}
+
+module.exports = {
+	createProvider,
+	providersFromEnv,
+	createProviderRouter
+};
@@ -0,0 +1,81 @@
+// lib/providers/smtp.js - SMTP delivery over a pooled nodemailer transporter
+const nodemailer = require('nodemailer');
+const { logger } = require('../logger');
+
+/**
+ * Create an SMTP provider
+ * settings: () => { host, port, secure, auth: { user, pass }, maxConnections, maxMessages }
+ * Settings are read per send so rotated credentials are picked up without a restart;
+ * when they change the pool is closed and reopened.
+ */
+function createSmtpProvider({ name, settings }) {
+	let shared = null;
+
+	function configKey({ host, port, auth }) {
+		return JSON.stringify([host, port, auth?.user, auth?.pass]);
+	}
+
+	// Only closes `transporter` if given and still the shared one (a failed send racing a rebuild)
+	function close(transporter) {
+		if (!shared || (transporter && shared.transporter !== transporter)) return;
+		shared.transporter.close();
+		shared = null;
+	}
+
+	// The pool replaces connections the server drops while idle
+	function getTransporter() {
+		const config = settings();
+		const key = configKey(config);
+		if (shared && shared.key !== key) {
+			logger.info('SMTP settings changed, reopening connection pool', { provider: name });
+			close();
+		}
+
+		if (!shared) {
+			const transporter = nodemailer.createTransport({ ...config, pool: true });
+			// Without a listener a pool-level error would crash the process
+			transporter.on('error', (err) => {
+				logger.warn('SMTP pool error', { provider: name, error: err?.message ?? String(err) });
+				close(transporter);
+			});
+			shared = { key, transporter };
+		}
+
+		return shared.transporter;
+	}
+
+	return {
+		name,
+		type: 'smtp',
+
+		async send(mail) {
+			const transporter = getTransporter();
+			try {
+				return await transporter.sendMail(mail);
+			} catch (err) {
+				// Connection and login failures get a fresh pool on the next send (idle drops, rotated credentials)
+				if (!err?.responseCode || err.code === 'EAUTH') close(transporter);
+				throw err;
+			}
+		},
+
+		async verify() {
+			const transporter = getTransporter();
+			try {
+				await transporter.verify();
+			} catch (err) {
+				close(transporter);
+				throw err;
+			}
+		},
+
+		describe() {
+			const { host, port, maxConnections, maxMessages } = settings();
+			return { host: host || null, port, pool: { open: Boolean(shared), maxConnections, maxMessages } };
+		},
+
+		close: () => close()
+	};
+}
+
+module.exports = { createSmtpProvider };
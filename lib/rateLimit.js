@@ -0,0 +1,181 @@
+// lib/rateLimit.js - Per-caller and per-recipient send limits
+//
+// Each rule counts sends in fixed windows, keyed by the API caller or the recipient
+// address, optionally only for one email type:
+//
+// RATE_LIMITS (JSON array; DEFAULT_RULES below when unset, [] turns limits off):
+//   [{ "by": "recipient", "email_type": "payment", "limit": 5, "window_seconds": 600 },
+//    { "by": "caller", "limit": 1000, "window_seconds": 60 }]
+//   by             // 'caller' (API key id) or 'recipient' (email address)
+//   email_type     // optional - a type ('payment') or template id ('host.booking_cancelled');
+//                  //   without it the rule counts every email
+//
+// Store interface (async):
+//   hit(key, windowMs) -> { count, resetAt }  // counts one send, returns the window's total
+//
+// The memory store only limits within one process. With several instances use the
+// supabase store, which counts through this function (atomic per key):
+//
+//   create table email_rate_limits (
+//     key text primary key,
+//     count integer not null,
+//     reset_at timestamptz not null
+//   );
+//
+//   create function email_rate_limit_hit(p_key text, p_window_ms bigint)
+//   returns table (count integer, reset_at timestamptz) language sql as $$
+//     insert into email_rate_limits as r (key, count, reset_at)
+//     values (p_key, 1, now() + p_window_ms * interval '1 millisecond')
+//     on conflict (key) do update set
+//       count = case when r.reset_at <= now() then 1 else r.count + 1 end,
+//       reset_at = case when r.reset_at <= now() then excluded.reset_at else r.reset_at end
+//     returning r.count, r.reset_at;
+//   $$;
+const { normalizeEmail } = require('./suppressions');
+
+const DEFAULT_RULES = [
+	{ by: 'recipient', email_type: 'payment', limit: 5, window_seconds: 600 },
+	{ by: 'recipient', limit: 50, window_seconds: 3600 },
+	{ by: 'caller', limit: 1000, window_seconds: 60 }
+];
+
+const RULE_KEYS = ['caller', 'recipient'];
+
+function createMemoryRateLimitStore() {
+	const windows = new Map();
+
+	return {
+		driver: 'memory',
+
+		async hit(key, windowMs) {
+			const now = Date.now();
+			const current = windows.get(key);
+			if (current && current.resetAt > now) {
+				current.count += 1;
+				return { count: current.count, resetAt: new Date(current.resetAt) };
+			}
+
+			// Drop finished windows while we're here so the Map doesn't grow forever
+			for (const [k, entry] of windows) {
+				if (entry.resetAt <= now) windows.delete(k);
+			}
+
+			windows.set(key, { count: 1, resetAt: now + windowMs });
+			return { count: 1, resetAt: new Date(now + windowMs) };
+		}
+	};
+}
+
+function createSupabaseRateLimitStore({ supabase, fn = 'email_rate_limit_hit' }) {
+	return {
+		driver: 'supabase',
+
+		async hit(key, windowMs) {
+			const { data, error } = await supabase.rpc(fn, { p_key: key, p_window_ms: windowMs });
+			if (error) throw new Error(`Rate limit update failed: ${error.message}`);
+
+			const row = Array.isArray(data) ? data[0] : data;
+			return { count: Number(row.count), resetAt: new Date(row.reset_at) };
+		}
+	};
+}
+
+/**
+ * Pick the rate limit store by driver name ('memory' or 'supabase')
+ */
+function createRateLimitStore({ driver = 'memory', supabase, fn } = {}) {
+	switch (driver) {
+		case 'memory':
+			return createMemoryRateLimitStore();
+		case 'supabase':
+			return createSupabaseRateLimitStore({ supabase, fn });
+		default:
+			throw new Error(`Unknown RATE_LIMIT_STORE "${driver}" (expected memory or supabase)`);
+	}
+}
+
+/**
+ * Rules from RATE_LIMITS (see above)
+ */
+function parseRateLimits(value) {
+	if (value === undefined || value === '') return DEFAULT_RULES;
+
+	let rules;
+	try {
+		rules = JSON.parse(value);
+	} catch (err) {
+		throw new Error(`RATE_LIMITS is not valid JSON: ${err.message}`);
+	}
+	if (!Array.isArray(rules)) {
+		throw new Error('RATE_LIMITS must be a JSON array');
+	}
+
+	return rules.map((rule, index) => {
+		if (!RULE_KEYS.includes(rule?.by)) {
+			throw new Error(`RATE_LIMITS[${index}].by must be one of: ${RULE_KEYS.join(', ')}`);
+		}
+		if (!Number.isInteger(rule.limit) || rule.limit < 1) {
+			throw new Error(`RATE_LIMITS[${index}].limit must be a positive whole number`);
+		}
+		if (!Number.isInteger(rule.window_seconds) || rule.window_seconds < 1) {
+			throw new Error(`RATE_LIMITS[${index}].window_seconds must be a positive whole number`);
+		}
+		return { by: rule.by, email_type: rule.email_type || null, limit: rule.limit, window_seconds: rule.window_seconds };
+	});
+}
+
+function describeWindow(seconds) {
+	const [size, unit] = seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+		: seconds % 60 === 0 ? [seconds / 60, 'minute']
+			: [seconds, 'second'];
+	return size === 1 ? unit : `${size} ${unit}s`;
+}
+
+function describeRule(rule) {
+	const emails = rule.email_type ? `"${rule.email_type}" emails` : 'emails';
+	return `at most ${rule.limit} ${emails} per ${rule.by} per ${describeWindow(rule.window_seconds)}`;
+}
+
+/**
+ * Check sends against the rules
+ *
+ * Returns {
+ *   rules,
+ *   check({ caller, email, template }) -> null | { rule, retryAfter, error }
+ * }
+ * check() counts the send against every matching rule; retryAfter is in seconds.
+ */
+function createRateLimiter({ store, rules }) {
+	function appliesTo(rule, template) {
+		return !rule.email_type || rule.email_type === template.type || rule.email_type === template.id;
+	}
+
+	async function check({ caller, email, template }) {
+		let blocked = null;
+
+		for (const rule of rules.filter((candidate) => appliesTo(candidate, template))) {
+			const subject = rule.by === 'caller' ? caller ?? 'anonymous' : normalizeEmail(email);
+			const key = `${rule.by}:${subject}:${rule.email_type ?? '*'}:${rule.limit}/${rule.window_seconds}`;
+
+			const { count, resetAt } = await store.hit(key, rule.window_seconds * 1000);
+			if (count <= rule.limit) continue;
+
+			const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+			if (!blocked || retryAfter > blocked.retryAfter) {
+				blocked = { rule, retryAfter, error: `Rate limit exceeded: ${describeRule(rule)}` };
+			}
+		}
+
+		return blocked;
+	}
+
+	return { rules, check };
+}
+
+module.exports = {
+	DEFAULT_RULES,
+	createRateLimitStore,
+	parseRateLimits,
+	createRateLimiter,
+	describeRule
+};
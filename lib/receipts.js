@@ -0,0 +1,114 @@
+// lib/receipts.js - PDF receipts attached to payment emails
+//
+// Templates that can produce a receipt export receipt(data, i18n), returning null when
+// the email isn't one (payouts, chargebacks) or:
+//   { title, amountLabel, amount, rows: [{ label, value }], reference }
+// `reference` (usually the M-Pesa receipt) makes the receipt number stable, so a
+// resent email carries the same number. Callers may send their own receipt_number.
+//
+// The PDF goes out as a regular attachment next to the inline brand images (lib/mailer.js).
+// Its content is stored base64-encoded so the message survives the outbox's JSON column.
+const crypto = require('crypto');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createI18n } = require('../templates/i18n');
+
+const ICON_PATH = path.join(__dirname, '..', 'mystay-icon.png');
+
+const COLORS = {
+	brand: '#0437F2',
+	text: '#1f2937',
+	muted: '#6b7280',
+	divider: '#e0f2fe',
+	amountBackground: '#f0f9ff'
+};
+
+function receiptNumber(template, reference) {
+	const seed = reference ? `${template.id}:${reference}` : crypto.randomUUID();
+	return `MSR-${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 10).toUpperCase()}`;
+}
+
+function buildPdf({ title, number, issued, issuedTo, amountLabel, amount, rows, labels }) {
+	return new Promise((resolve, reject) => {
+		const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${title} ${number}`, Author: 'MyStay' } });
+		const chunks = [];
+		doc.on('data', (chunk) => chunks.push(chunk));
+		doc.on('end', () => resolve(Buffer.concat(chunks)));
+		doc.on('error', reject);
+
+		const left = doc.page.margins.left;
+		const width = doc.page.width - left - doc.page.margins.right;
+
+		// Header: logo and name, receipt title on the right
+		doc.image(ICON_PATH, left, 45, { width: 48 });
+		doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.brand).text('MyStay', left + 60, 58);
+		doc.fontSize(16).fillColor(COLORS.text).text(title, left, 62, { width, align: 'right' });
+		doc.moveTo(left, 110).lineTo(left + width, 110).lineWidth(2).strokeColor(COLORS.brand).stroke();
+
+		// Receipt number, date and recipient
+		let y = 130;
+		for (const [label, value] of [[labels.number, number], [labels.issued, issued], [labels.issuedTo, issuedTo]]) {
+			if (!value) continue;
+			doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(label, left, y, { width: 150 });
+			doc.font('Helvetica-Bold').fillColor(COLORS.text).text(value, left + 160, y, { width: width - 160 });
+			y = doc.y + 8;
+		}
+
+		// What was paid for
+		y += 12;
+		for (const row of rows) {
+			doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted).text(row.label, left, y, { width: 150 });
+			doc.fillColor(COLORS.text).text(row.value, left + 160, y, { width: width - 160 });
+			y = Math.max(doc.y, y + 14) + 8;
+			doc.moveTo(left, y - 4).lineTo(left + width, y - 4).lineWidth(1).strokeColor(COLORS.divider).stroke();
+		}
+
+		// Amount
+		y += 12;
+		doc.rect(left, y, width, 50).fillColor(COLORS.amountBackground).fill();
+		doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.muted).text(amountLabel, left + 15, y + 19, { width: width / 2 });
+		doc.fontSize(18).fillColor(COLORS.brand).text(amount, left + width / 2, y + 15, { width: width / 2 - 15, align: 'right' });
+
+		doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(labels.footer, left, y + 80, { width, align: 'center' });
+		doc.end();
+	});
+}
+
+/**
+ * Render a template's PDF receipt as a mail attachment
+ * data: the render data (request body plus recipient_name, locale)
+ * Returns { filename, content, encoding: 'base64', contentType }, or null if the template has no receipt for this data.
+ */
+async function renderReceipt(template, data) {
+	if (!template.receipt) return null;
+
+	const i18n = createI18n(data.locale, template.id);
+	const receipt = template.receipt(data, i18n);
+	if (!receipt) return null;
+
+	const { t } = i18n;
+	const number = data.receipt_number || receiptNumber(template, receipt.reference);
+	const pdf = await buildPdf({
+		...receipt,
+		number,
+		issued: i18n.date(new Date().toISOString()),
+		issuedTo: data.recipient_name,
+		labels: {
+			number: t('common.receipt.number'),
+			issued: t('common.receipt.issued'),
+			issuedTo: t('common.receipt.issuedTo'),
+			footer: t('common.receipt.footer')
+		}
+	});
+
+	return {
+		filename: `mystay-receipt-${number}.pdf`,
+		content: pdf.toString('base64'),
+		encoding: 'base64',
+		contentType: 'application/pdf'
+	};
+}
+
+module.exports = {
+	renderReceipt
+};
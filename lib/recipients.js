@@ -0,0 +1,214 @@
+// lib/recipients.js - Recipient email and display name lookup from Supabase profiles
+//
+// Every lookup resolves to a recipient with a status:
+//   { status: 'found', email, name, locale, preferences, role }
+//   { status: 'not_found', ... }            // no profile with that id
+//   { status: 'lookup_failed', error, ... } // Supabase didn't answer; worth retrying
+// locale is profiles.locale (may be null), preferences profiles.notification_preferences
+// (see lib/preferences.js). The display name comes from the role's profile table
+// (NAME_SOURCES below); other roles keep their email and locale with no name.
+//
+// Found recipients are cached for `ttlMs`. The cache is per process: invalidate(id) after
+// changing a profile here (unsubscribe), and point the database webhook at the profile
+// tables so other changes drop their entry too (recipientIdForRow).
+const { logger } = require('./logger');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+// Display name per role: the table keyed by user_id and how to read the name from its row
+const NAME_SOURCES = {
+	guest: { table: 'guest_profiles', columns: 'user_id, full_name', name: (row) => row.full_name ?? null },
+	host: {
+		table: 'host_profiles',
+		columns: 'user_id, first_name, last_name',
+		name: (row) => `${row.first_name || ''} ${row.last_name || ''}`.trim()
+	},
+	admin: { table: 'admin_profiles', columns: 'user_id, full_name', name: (row) => row.full_name ?? null }
+};
+
+function emptyRecipient(status, error) {
+	return { status, email: null, name: null, locale: null, preferences: {}, role: null, ...(error && { error }) };
+}
+
+function fromProfile(profile) {
+	return {
+		status: 'found',
+		email: profile.email ?? null,
+		name: null,
+		locale: profile.locale ?? null,
+		preferences: profile.notification_preferences ?? {},
+		role: profile.role ?? null
+	};
+}
+
+/**
+ * The recipient id a row of a profile table belongs to, or null for other tables
+ * (used to drop cache entries when the database webhook reports a change)
+ */
+function recipientIdForRow(table, row) {
+	if (!row) return null;
+	if (table === 'profiles') return row.id == null ? null : String(row.id);
+
+	const isNameTable = Object.values(NAME_SOURCES).some((source) => source.table === table);
+	return isNameTable && row.user_id != null ? String(row.user_id) : null;
+}
+
+/**
+ * Create the cached recipient lookup
+ *
+ * Options:
+ *   supabase     // client used to read profiles
+ *   ttlMs        // how long found recipients are cached; 0 turns the cache off
+ *   maxEntries   // the oldest entries are dropped past this many
+ *   onFetch      // optional ({ durationMs, recipients }) => void after every Supabase round
+ *                //   (not cache hits); recipients is the Map of what it returned
+ *
+ * Returns {
+ *   lookup(id)        -> recipient (see above)
+ *   lookupMany(ids)   -> Map of id -> recipient, one query per table for the ids not cached
+ *   invalidate(id)    // drop one recipient from the cache
+ *   clear()           // drop every cached recipient
+ * }
+ */
+function createRecipientLookup({ supabase, ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES, onFetch = () => {} }) {
+	const cache = new Map();
+	// Bumped by invalidate/clear, so a lookup that started before them doesn't cache what it read
+	let generation = 0;
+
+	function cached(id) {
+		const entry = cache.get(id);
+		if (!entry) return null;
+		if (entry.expiresAt <= Date.now()) {
+			cache.delete(id);
+			return null;
+		}
+		return { ...entry.recipient, preferences: { ...entry.recipient.preferences } };
+	}
+
+	function remember(id, recipient, startedAt) {
+		if (ttlMs <= 0 || startedAt !== generation) return;
+		cache.delete(id);
+		while (cache.size >= maxEntries) cache.delete(cache.keys().next().value);
+		cache.set(id, { recipient, expiresAt: Date.now() + ttlMs });
+	}
+
+	// Names for found recipients, one query per role; a failed name lookup leaves the name out
+	async function addNames(recipients) {
+		let complete = true;
+
+		for (const [role, source] of Object.entries(NAME_SOURCES)) {
+			const ids = [...recipients].filter(([, recipient]) => recipient.role === role).map(([id]) => id);
+			if (ids.length === 0) continue;
+
+			const { data: rows, error } = await supabase
+				.from(source.table)
+				.select(source.columns)
+				.in('user_id', ids);
+
+			if (error) {
+				logger.warn('Profile name lookup warning', { table: source.table, error });
+				complete = false;
+				continue;
+			}
+			for (const row of rows || []) {
+				recipients.get(String(row.user_id)).name = source.name(row) || null;
+			}
+		}
+
+		return complete;
+	}
+
+	async function fetchRecipients(ids) {
+		const found = new Map();
+
+		const { data: profiles, error: profileErr } = await supabase
+			.from('profiles')
+			.select('id, email, role, locale, notification_preferences')
+			.in('id', ids);
+
+		if (profileErr) {
+			logger.error('Supabase profiles lookup error', { error: profileErr });
+			const failed = emptyRecipient('lookup_failed', profileErr.message);
+			return { recipients: new Map(ids.map((id) => [id, { ...failed }])), complete: false };
+		}
+
+		for (const profile of profiles || []) {
+			found.set(String(profile.id), fromProfile(profile));
+		}
+		const complete = await addNames(found);
+
+		for (const id of ids) {
+			if (!found.has(id)) found.set(id, emptyRecipient('not_found'));
+		}
+		return { recipients: found, complete };
+	}
+
+	async function lookupMany(recipientIds) {
+		const ids = [...new Set(recipientIds.filter((id) => id !== undefined && id !== null && id !== '').map(String))];
+		const results = new Map();
+		const missing = [];
+
+		for (const id of ids) {
+			const recipient = cached(id);
+			if (recipient) results.set(id, recipient);
+			else missing.push(id);
+		}
+		if (missing.length === 0) return results;
+
+		const startedAt = generation;
+		const fetchStartedAt = Date.now();
+		const fetched = new Map();
+		try {
+			const { recipients, complete } = await fetchRecipients(missing);
+			for (const [id, recipient] of recipients) {
+				// New sign-ups shouldn't wait out the TTL, and a partial result is retried next time
+				if (recipient.status === 'found' && complete) remember(id, recipient, startedAt);
+				fetched.set(id, recipient);
+			}
+		} catch (err) {
+			logger.error('Recipient lookup unexpected error', { error: err });
+			for (const id of missing) {
+				fetched.set(id, emptyRecipient('lookup_failed', err?.message ?? String(err)));
+			}
+		}
+
+		try {
+			onFetch({ durationMs: Date.now() - fetchStartedAt, recipients: fetched });
+		} catch (err) {
+			logger.warn('Recipient lookup hook failed', { error: err?.message ?? String(err) });
+		}
+
+		for (const [id, recipient] of fetched) {
+			results.set(id, { ...recipient, preferences: { ...recipient.preferences } });
+		}
+		return results;
+	}
+
+	async function lookup(recipientId) {
+		if (!recipientId) return emptyRecipient('not_found');
+		const results = await lookupMany([recipientId]);
+		return results.get(String(recipientId));
+	}
+
+	return {
+		lookup,
+		lookupMany,
+
+		invalidate(recipientId) {
+			generation += 1;
+			cache.delete(String(recipientId));
+		},
+
+		clear() {
+			generation += 1;
+			cache.clear();
+		}
+	};
+}
+
+module.exports = {
+	NAME_SOURCES,
+	createRecipientLookup,
+	recipientIdForRow
+};
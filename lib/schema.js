@@ -0,0 +1,196 @@
+// lib/schema.js - Declarative request validation
+//
+// A schema maps field names to rules built with the helpers below. validate() checks
+// every field and returns all problems instead of stopping at the first:
+//   [{ path: 'promotion_details.amount', code: 'required', message: 'promotion_details.amount is required' }]
+//
+// Codes: required, type, format, enum, min_length, max_length, min, max, min_items, max_items
+//
+// Every rule takes `required`: true, or (data) => boolean when it depends on other
+// fields (data is the whole request). Missing means undefined, null or ''.
+// Fields the schema doesn't mention are passed through unchecked.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+// ISO 8601 date-time with a timezone: '2026-03-01T09:00:00+03:00', '2026-03-01T06:00Z'
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isMissing(value) {
+	return value === undefined || value === null || value === '';
+}
+
+function problem(path, code, message) {
+	return { path, code, message: `${path} ${message}` };
+}
+
+function rule(options, check) {
+	return { required: options.required ?? false, check };
+}
+
+// Numbers, or numeric strings like '12,500' (amounts arrive both ways)
+function toNumber(value) {
+	if (typeof value === 'number') return value;
+	if (typeof value !== 'string' || value.trim() === '') return NaN;
+	return Number(value.replace(/,/g, '').trim());
+}
+
+function checkRange(path, number, { min, max, exclusiveMin }) {
+	if (exclusiveMin !== undefined && !(number > exclusiveMin)) {
+		return [problem(path, 'min', `must be greater than ${exclusiveMin}`)];
+	}
+	if (min !== undefined && number < min) return [problem(path, 'min', `must be at least ${min}`)];
+	if (max !== undefined && number > max) return [problem(path, 'max', `must be at most ${max}`)];
+	return [];
+}
+
+/**
+ * string({ required, min, max = 200, values, format: 'email' | 'url' })
+ */
+function string(options = {}) {
+	const { min, max = 200, values, format } = options;
+	return rule(options, (value, path) => {
+		if (typeof value !== 'string') return [problem(path, 'type', 'must be a string')];
+		if (values && !values.includes(value)) return [problem(path, 'enum', `must be one of: ${values.join(', ')}`)];
+
+		const errors = [];
+		if (min !== undefined && value.trim().length < min) {
+			errors.push(problem(path, 'min_length', `must be at least ${min} characters`));
+		}
+		if (value.length > max) {
+			errors.push(problem(path, 'max_length', `must be at most ${max} characters`));
+		}
+		if (format === 'email' && !EMAIL_PATTERN.test(value)) {
+			errors.push(problem(path, 'format', 'must be an email address'));
+		}
+		if (format === 'url' && !URL_PATTERN.test(value)) {
+			errors.push(problem(path, 'format', 'must be an http(s) URL'));
+		}
+		return errors;
+	});
+}
+
+/**
+ * timestamp({ required, maxDaysAhead }) - ISO 8601 date-time with a timezone
+ */
+function timestamp(options = {}) {
+	const { maxDaysAhead } = options;
+	return rule(options, (value, path) => {
+		if (typeof value !== 'string') return [problem(path, 'type', 'must be a string')];
+		if (!TIMESTAMP_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+			return [problem(path, 'format', 'must be an ISO 8601 timestamp with a timezone')];
+		}
+		if (maxDaysAhead !== undefined && Date.parse(value) > Date.now() + maxDaysAhead * 24 * 60 * 60 * 1000) {
+			return [problem(path, 'max', `must be at most ${maxDaysAhead} days ahead`)];
+		}
+		return [];
+	});
+}
+
+/**
+ * boolean({ required }) - JSON true/false only
+ */
+function boolean(options = {}) {
+	return rule(options, (value, path) => (typeof value === 'boolean' ? [] : [problem(path, 'type', 'must be true or false')]));
+}
+
+/**
+ * number({ required, integer, min, max, exclusiveMin }) - JSON numbers only
+ */
+function number(options = {}) {
+	return rule(options, (value, path) => {
+		if (typeof value !== 'number' || !Number.isFinite(value)) return [problem(path, 'type', 'must be a number')];
+		if (options.integer && !Number.isInteger(value)) return [problem(path, 'type', 'must be a whole number')];
+		return checkRange(path, value, options);
+	});
+}
+
+/**
+ * amount({ required, min, max, exclusiveMin })
+ * A number or a display string ('KES 2,500'); with a range it must be numeric ('2,500' is fine).
+ */
+function amount(options = {}) {
+	const { min, max, exclusiveMin } = options;
+	const numeric = min !== undefined || max !== undefined || exclusiveMin !== undefined;
+	return rule(options, (value, path) => {
+		if (typeof value !== 'number' && typeof value !== 'string') {
+			return [problem(path, 'type', 'must be a number or an amount string')];
+		}
+		if (typeof value === 'string' && value.length > 50) {
+			return [problem(path, 'max_length', 'must be at most 50 characters')];
+		}
+		if (!numeric) return [];
+
+		const parsed = toNumber(value);
+		return Number.isFinite(parsed) ? checkRange(path, parsed, options) : [problem(path, 'type', 'must be a number')];
+	});
+}
+
+function items(count) {
+	return count === 1 ? '1 item' : `${count} items`;
+}
+
+/**
+ * array(itemRule, { required, min, max }) - without an itemRule the entries aren't checked
+ */
+function array(item, options = {}) {
+	const { min, max } = options;
+	return rule(options, (value, path, root) => {
+		if (!Array.isArray(value)) return [problem(path, 'type', 'must be an array')];
+		if (min !== undefined && value.length < min) return [problem(path, 'min_items', `must have at least ${items(min)}`)];
+		if (max !== undefined && value.length > max) return [problem(path, 'max_items', `must have at most ${items(max)}`)];
+		return item ? value.flatMap((entry, index) => checkField(item, entry, `${path}[${index}]`, root)) : [];
+	});
+}
+
+/**
+ * object(shape, { required }) - nested schema
+ */
+function object(shape, options = {}) {
+	return rule(options, (value, path, root) => {
+		if (!value || typeof value !== 'object' || Array.isArray(value)) return [problem(path, 'type', 'must be an object')];
+		return validateFields(shape, value, `${path}.`, root);
+	});
+}
+
+/**
+ * oneOf([rules], { required }) - valid if any rule accepts the value; otherwise the first rule's errors
+ */
+function oneOf(rules, options = {}) {
+	return rule(options, (value, path, root) => {
+		const results = rules.map((candidate) => candidate.check(value, path, root));
+		return results.find((errors) => errors.length === 0) || results[0];
+	});
+}
+
+function checkField(fieldRule, value, path, root) {
+	if (isMissing(value)) {
+		const required = typeof fieldRule.required === 'function' ? fieldRule.required(root) : fieldRule.required;
+		return required ? [problem(path, 'required', 'is required')] : [];
+	}
+	return fieldRule.check(value, path, root);
+}
+
+function validateFields(shape, data, prefix, root) {
+	return Object.entries(shape).flatMap(([field, fieldRule]) => checkField(fieldRule, data[field], `${prefix}${field}`, root));
+}
+
+/**
+ * Check data against a schema
+ * Returns every problem found, [] when valid.
+ */
+function validate(schema, data) {
+	const body = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+	return validateFields(schema, body, '', body);
+}
+
+module.exports = {
+	string,
+	boolean,
+	timestamp,
+	number,
+	amount,
+	array,
+	object,
+	oneOf,
+	validate
+};
@@ -0,0 +1,6 @@
+// lib/supabase.js - Shared Supabase client using the service role key (server-side only)
+const { createClient } = require('@supabase/supabase-js');
+
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+
+module.exports = createClient(SUPABASE_URL || '', SUPABASE_SERVICE_ROLE_KEY || '');
@@ -0,0 +1,122 @@
+// lib/suppressions.js - Addresses we stop sending non-critical email to
+//
+// Hard bounces and spam complaints (from the bounce webhook) put an address here.
+// Critical templates (receipts, booking and payout changes) are still sent; see the
+// `critical` flag in templates/index.js.
+//
+// Store interface (all async):
+//   add({ email, reason, provider, detail }) -> entry (a repeat updates reason/detail)
+//   get(email)                               -> entry | null
+//   remove(email)                            -> true if it was suppressed
+//
+// Supabase table (default name: email_suppressions):
+//
+//   create table email_suppressions (
+//     email text primary key,                    -- lower-cased
+//     reason text not null,                      -- 'hard_bounce' | 'complaint'
+//     provider text,                             -- webhook adapter that reported it
+//     detail text,                               -- bounce diagnostic, if any
+//     created_at timestamptz not null default now(),
+//     updated_at timestamptz not null default now()
+//   );
+
+function normalizeEmail(email) {
+	return String(email || '').trim().toLowerCase();
+}
+
+function createMemorySuppressionStore() {
+	const entries = new Map();
+
+	return {
+		driver: 'memory',
+
+		async add({ email, reason, provider = null, detail = null }) {
+			const key = normalizeEmail(email);
+			const now = new Date().toISOString();
+			const entry = {
+				created_at: now,
+				...entries.get(key),
+				email: key,
+				reason,
+				provider,
+				detail,
+				updated_at: now
+			};
+			entries.set(key, entry);
+			return { ...entry };
+		},
+
+		async get(email) {
+			const entry = entries.get(normalizeEmail(email));
+			return entry ? { ...entry } : null;
+		},
+
+		async remove(email) {
+			return entries.delete(normalizeEmail(email));
+		}
+	};
+}
+
+function createSupabaseSuppressionStore({ supabase, table = 'email_suppressions' }) {
+	return {
+		driver: 'supabase',
+
+		async add({ email, reason, provider = null, detail = null }) {
+			const { data, error } = await supabase
+				.from(table)
+				.upsert({
+					email: normalizeEmail(email),
+					reason,
+					provider,
+					detail,
+					updated_at: new Date().toISOString()
+				}, { onConflict: 'email' })
+				.select()
+				.single();
+
+			if (error) throw new Error(`Suppression add failed: ${error.message}`);
+			return data;
+		},
+
+		async get(email) {
+			const { data, error } = await supabase
+				.from(table)
+				.select('*')
+				.eq('email', normalizeEmail(email))
+				.maybeSingle();
+
+			if (error) throw new Error(`Suppression lookup failed: ${error.message}`);
+			return data || null;
+		},
+
+		async remove(email) {
+			const { data, error } = await supabase
+				.from(table)
+				.delete()
+				.eq('email', normalizeEmail(email))
+				.select('email');
+
+			if (error) throw new Error(`Suppression remove failed: ${error.message}`);
+			return (data || []).length > 0;
+		}
+	};
+}
+
+/**
+ * Pick the suppression store by driver name ('memory' or 'supabase')
+ */
+function createSuppressionStore({ driver = 'memory', supabase, table } = {}) {
+	switch (driver) {
+		case 'memory':
+			return createMemorySuppressionStore();
+		case 'supabase':
+			return createSupabaseSuppressionStore({ supabase, table });
+		default:
+			throw new Error(`Unknown SUPPRESSION_STORE "${driver}" (expected memory or supabase)`);
+	}
+}
+
+module.exports = {
+	createSuppressionStore,
+	normalizeEmail
+};
@@ -2,1097 +2,1708 @@
 // Handles both guest and host emails with proper name lookup
 require('dotenv').config();
 const express = require('express');
-const nodemailer = require('nodemailer');
-const { createClient } = require('@supabase/supabase-js');
-const path = require('path');
+const supabase = require('./lib/supabase');
+const { createRecipientLookup, recipientIdForRow } = require('./lib/recipients');
+const { sendMessage, openSession, isTransientError, fromAddress, loadProviders, verifyProviders, providerStatus, closeProviders } = require('./lib/mailer');
+const { createApiKeyAuth, createWebhookTokenAuth, createBearerTokenAuth } = require('./lib/auth');
+const { createOutboxStore, createOutboxWorker } = require('./lib/outbox');
+const { createIdempotencyStore, createIdempotencyMiddleware, naturalIdempotencyKey } = require('./lib/idempotency');
+const { createDeliveryLog, FILTER_FIELDS: DELIVERY_FILTER_FIELDS } = require('./lib/deliveryLog');
+const { createSuppressionStore } = require('./lib/suppressions');
+const { allowsCategory, updatePreferences, createUnsubscribeLinks, listUnsubscribeHeaders } = require('./lib/preferences');
+const { BOUNCE_ADAPTERS, parseBounceEvents, suppressionReason } = require('./lib/bounces');
+const { parseDbWebhookRules, emailsForChange } = require('./lib/dbWebhooks');
+const { createRateLimitStore, parseRateLimits, createRateLimiter, describeRule } = require('./lib/rateLimit');
+const { renderReceipt } = require('./lib/receipts');
+const { renderCalendarInvite } = require('./lib/calendar');
+const { string, timestamp, array, object, validate } = require('./lib/schema');
+const { createReminderStore, createPromotionReminderJob, parseOffsets } = require('./lib/promotionReminders');
+const { LOCALES, normalizeLocale, getTemplate, findTemplate, listTemplates, renderTemplate } = require('./templates');
+const { createI18n } = require('./templates/i18n');
+const { escapeHtml } = require('./templates/partials');
+const { renderPreview, galleryHtml } = require('./lib/preview');
+const { logger, currentRequestId, currentRequestStartedAt, requestContext } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
 
 const app = express();
-app.use(express.json());
+// X-Request-Id in and out; every log line written for the request carries it (lib/logger.js)
+app.use(requestContext());
+// Keep the raw body around so HMAC signatures can be checked against the exact bytes sent
+app.use(express.json({
+	verify: (req, res, buf) => {
+		req.rawBody = buf;
+	}
+}));
 
 const {
 	SUPABASE_URL,
 	SUPABASE_SERVICE_ROLE_KEY,
 	SMTP_HOST,
-	SMTP_PORT,
 	SMTP_USER,
 	SMTP_PASS,
-	FROM_EMAIL,
-	FROM_NAME,
+	EMAIL_PROVIDERS,
+	EMAIL_API_KEYS,
+	EMAIL_SIGNATURE_TOLERANCE_SECONDS = 300,
+	SUPPORT_CALLERS,
+	OUTBOX_STORE = 'memory',
+	OUTBOX_TABLE = 'email_outbox',
+	OUTBOX_FILE = 'data/outbox.json',
+	OUTBOX_FILE_RETENTION_DAYS = 7,
+	OUTBOX_MAX_ATTEMPTS = 5,
+	OUTBOX_RETRY_BASE_MS = 30000,
+	OUTBOX_RETRY_MAX_MS = 3600000,
+	OUTBOX_POLL_INTERVAL_MS = 5000,
+	IDEMPOTENCY_STORE = 'memory',
+	IDEMPOTENCY_TABLE = 'email_idempotency_keys',
+	IDEMPOTENCY_WINDOW_SECONDS = 86400,
+	// The file outbox keeps scheduled jobs across restarts; their log entries go with them
+	DELIVERY_LOG_STORE = OUTBOX_STORE === 'file' ? 'file' : 'memory',
+	DELIVERY_LOG_TABLE = 'email_deliveries',
+	DELIVERY_LOG_FILE = 'data/deliveries.json',
+	DELIVERY_LOG_FILE_RETENTION_DAYS = 30,
+	SUPPRESSION_STORE = 'memory',
+	SUPPRESSION_TABLE = 'email_suppressions',
+	BOUNCE_WEBHOOK_TOKEN,
+	DB_WEBHOOK_SECRET,
+	DB_WEBHOOK_RULES,
+	UNSUBSCRIBE_SECRET,
+	PUBLIC_BASE_URL,
+	RATE_LIMITS,
+	RATE_LIMIT_STORE = 'memory',
+	RECIPIENT_CACHE_TTL_SECONDS = 300,
+	RECIPIENT_CACHE_MAX_ENTRIES = 10000,
+	PROMOTIONS_TABLE = 'promotions',
+	PROMOTION_REMINDERS_ENABLED,
+	PROMOTION_REMINDER_OFFSETS_DAYS = '7,1',
+	PROMOTION_REMINDER_INTERVAL_MS = 3600000,
+	// The promotions themselves live in Supabase, so the sent-reminder records do too
+	PROMOTION_REMINDER_STORE = 'supabase',
+	PROMOTION_REMINDER_TABLE = 'promotion_reminders',
+	PROMOTION_RENEW_URL,
+	BATCH_MAX_ITEMS = 100,
+	SCHEDULE_MAX_DAYS = 90,
+	LOG_DEBUG_PII,
+	METRICS_TOKEN,
+	NODE_ENV,
+	VERCEL,
+	TEMPLATE_PREVIEW_ENABLED,
 	PORT = 8001
 } = process.env;
 
 // Basic env validation
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-	console.warn('Warning: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY not set. Profile lookups will fail.');
+	logger.warn('SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY not set. Profile lookups will fail.');
+}
+if (!EMAIL_PROVIDERS && (!SMTP_HOST || !SMTP_USER || !SMTP_PASS)) {
+	logger.warn('SMTP_HOST/SMTP_USER/SMTP_PASS not fully configured.');
 }
-if (!SMTP_HOST || !SMTP_USER || !SMTP_PASS) {
-	console.warn('Warning: SMTP_HOST/SMTP_USER/SMTP_PASS not fully configured.');
+if (LOG_DEBUG_PII === 'true') {
+	logger.warn('LOG_DEBUG_PII is on: logs include email addresses, phone numbers and names in full.');
+}
+if (OUTBOX_STORE === 'memory') {
+	// A 202 would only mean "queued in this process", lost whenever the instance is recycled
+	if (NODE_ENV === 'production') {
+		throw new Error('OUTBOX_STORE=memory is not durable; set OUTBOX_STORE=supabase (or file, for a single long-running instance) in production');
+	}
+	logger.warn('OUTBOX_STORE=memory: queued and scheduled emails are lost on every restart or cold start. Use it for local testing only.');
+}
+if (OUTBOX_STORE === 'file' && DELIVERY_LOG_STORE === 'memory') {
+	logger.warn('OUTBOX_STORE=file with DELIVERY_LOG_STORE=memory: after a restart, queued and scheduled emails have no status and can\'t be looked up or cancelled. Use DELIVERY_LOG_STORE=file or supabase.');
+}
+if (PROMOTION_REMINDER_STORE === 'memory') {
+	logger.warn('PROMOTION_REMINDER_STORE=memory: sent reminders are forgotten on every restart or cold start and sent again. Use it for local testing only.');
 }
 
-// Create supabase client using service role key (server-side)
-const supabase = createClient(SUPABASE_URL || '', SUPABASE_SERVICE_ROLE_KEY || '');
-
-// HTML email builder - Works for payments, refunds, and all transaction types
-function buildHtml({ recipientName = '', paymentTitle, mpesaReceipt, amount, bookingId, extraMessage }) {
-	// Detect if this is a refund based on the title
-	const isRefund = paymentTitle && (
-		paymentTitle.toLowerCase().includes('refund') ||
-		paymentTitle.toLowerCase().includes('reversal') ||
-		paymentTitle.toLowerCase().includes('reimbursement')
-	);
-	
-	// Determine transaction label
-	const transactionLabel = isRefund ? 'Transaction Details' : 'Payment Details';
-	const amountLabel = isRefund ? '💵 Refund Amount' : '💰 Amount Paid';
-	const bannerText = isRefund ? '✓ Refund Processed' : '✓ Transaction Successful';
-	
-	return `<!doctype html>
-<html>
-	<head>
-		<meta charset="utf-8"/>
-		<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
-		<link href="https://fonts.googleapis.com/css2?family=Sono:wght@400;500;600;700&display=swap" rel="stylesheet">
-		<style>
-			body {
-				margin: 0;
-				padding: 0;
-				background-color: #e8f4f8;
-				font-family: 'Sono', Arial, sans-serif;
+// API key (and optional HMAC signature) check for the send endpoints
+const requireApiKey = createApiKeyAuth({
+	apiKeys: EMAIL_API_KEYS,
+	toleranceSeconds: Number(EMAIL_SIGNATURE_TOLERANCE_SECONDS)
+});
+
+// Callers (EMAIL_API_KEYS ids, comma-separated) that read every caller's delivery log, e.g. support tooling
+const supportCallers = new Set(String(SUPPORT_CALLERS || '').split(',').map((id) => id.trim()).filter(Boolean));
+
+// The caller whose emails a delivery log request may see, or null for a support caller (all of them)
+function deliveryLogOwner(req) {
+	const callerId = req.caller?.id ?? null;
+	return supportCallers.has(callerId) ? null : callerId;
+}
+
+// Shared-token check for provider webhooks (bounces and complaints)
+const requireWebhookToken = createWebhookTokenAuth({ token: BOUNCE_WEBHOOK_TOKEN });
+
+// Shared-secret check for Supabase database webhooks (sent as a custom header on the webhook)
+const requireDbWebhookSecret = createWebhookTokenAuth({ token: DB_WEBHOOK_SECRET, setting: 'DB_WEBHOOK_SECRET' });
+
+// Row changes that send emails (DB_WEBHOOK_RULES, see lib/dbWebhooks.js)
+const dbWebhookRules = parseDbWebhookRules(DB_WEBHOOK_RULES);
+
+// Delivery providers (EMAIL_PROVIDERS, see lib/providers); like the rules, a bad config stops startup here
+loadProviders();
+
+// Outbound queue: handlers enqueue rendered messages, the worker delivers them
+// (also holds scheduled sends until their send_at; OUTBOX_STORE=file keeps them across restarts without a database)
+const outbox = createOutboxStore({
+	driver: OUTBOX_STORE,
+	supabase,
+	table: OUTBOX_TABLE,
+	file: OUTBOX_FILE,
+	retentionMs: Number(OUTBOX_FILE_RETENTION_DAYS) * 24 * 60 * 60 * 1000
+});
+
+// Prometheus metrics (GET /metrics, see lib/metrics.js), optionally behind METRICS_TOKEN
+const metrics = createMetrics({ outbox });
+const requireMetricsToken = createBearerTokenAuth({ token: METRICS_TOKEN });
+
+// Profile lookups (email, name, locale, preferences), cached per process for RECIPIENT_CACHE_TTL_SECONDS
+const recipientLookup = createRecipientLookup({
+	supabase,
+	ttlMs: Number(RECIPIENT_CACHE_TTL_SECONDS) * 1000,
+	maxEntries: Number(RECIPIENT_CACHE_MAX_ENTRIES),
+	onFetch: metrics.recordLookup
+});
+
+// Delivery log: what was queued for whom, and how every attempt went
+const deliveryLog = createDeliveryLog({
+	driver: DELIVERY_LOG_STORE,
+	supabase,
+	table: DELIVERY_LOG_TABLE,
+	file: DELIVERY_LOG_FILE,
+	retentionMs: Number(DELIVERY_LOG_FILE_RETENTION_DAYS) * 24 * 60 * 60 * 1000
+});
+
+const outboxWorker = createOutboxWorker({
+	store: outbox,
+	send: sendMessage,
+	// Jobs go out through the providers' shared pools; serverless invocations close them when the round ends
+	openSession: () => openSession({ closeAfter: Boolean(VERCEL) }),
+	isTransient: isTransientError,
+	baseDelayMs: Number(OUTBOX_RETRY_BASE_MS),
+	maxDelayMs: Number(OUTBOX_RETRY_MAX_MS),
+	pollIntervalMs: Number(OUTBOX_POLL_INTERVAL_MS),
+	onAttempt: (job, attempt) => {
+		const { status, info, error } = attempt;
+		metrics.recordAttempt(job, attempt);
+		return deliveryLog.recordAttempt(job.id, {
+			attempt: job.attempts,
+			status,
+			message_id: info?.messageId ?? null,
+			smtp_response: info?.response ?? null,
+			provider: info?.provider ?? null,
+			error: error ?? null,
+			at: new Date().toISOString()
+		});
+	}
+});
+
+// Hard-bounced and complaining addresses, fed by the bounce webhook
+const suppressions = createSuppressionStore({ driver: SUPPRESSION_STORE, supabase, table: SUPPRESSION_TABLE });
+
+// Signed one-click unsubscribe links for the opt-out categories
+const unsubscribeLinks = createUnsubscribeLinks({ secret: UNSUBSCRIBE_SECRET, baseUrl: PUBLIC_BASE_URL });
+
+// Send limits per API caller and per recipient (RATE_LIMITS, see lib/rateLimit.js)
+const rateLimiter = createRateLimiter({
+	store: createRateLimitStore({ driver: RATE_LIMIT_STORE, supabase }),
+	rules: parseRateLimits(RATE_LIMITS)
+});
+
+/**
+ * Refuse non-critical email to a suppressed address
+ * Returns { status: 422, error } when the send must be refused, otherwise null.
+ */
+async function checkSuppression(template, email) {
+	if (template.critical) return null;
+
+	const entry = await suppressions.get(email);
+	if (!entry) return null;
+
+	logger.warn('Refusing email to suppressed address', { email, reason: entry.reason, email_type: template.type });
+	return {
+		status: 422,
+		error: `${email} is on the suppression list (${entry.reason}); "${template.type}" emails are not sent to it`
+	};
+}
+
+/**
+ * 503 for a send whose recipient couldn't be looked up (Supabase errors or is unreachable)
+ * Unlike a 404 (no such profile, or no email on it), retrying later can succeed.
+ */
+function lookupFailed(label, recipient) {
+	logger.error(`${label} lookup failed`, { error: recipient.error });
+	return { status: 503, error: `${label} lookup failed; try again later` };
+}
+
+/**
+ * Count a send against the rate limits
+ * Returns { status: 429, error, retryAfter } when it's over a limit, otherwise null.
+ */
+async function checkRateLimit({ caller, email, template }) {
+	let blocked;
+	try {
+		blocked = await rateLimiter.check({ caller, email, template });
+	} catch (err) {
+		// A limiter outage shouldn't hold up receipts; let the send through
+		logger.error('Rate limit check error', { error: err });
+		return null;
+	}
+	if (!blocked) return null;
+
+	logger.warn('Rate limit exceeded', { caller, email, email_type: template.type, retryAfter: blocked.retryAfter });
+	return { status: 429, error: blocked.error, retryAfter: blocked.retryAfter };
+}
+
+// 429 with Retry-After (seconds) for a send over a rate limit
+function sendRateLimited(res, limited) {
+	res.set('Retry-After', String(limited.retryAfter));
+	return res.status(429).json({
+		success: false,
+		error: limited.error,
+		retryAfter: limited.retryAfter
+	});
+}
+
+// email_type label for metrics: a known template type, so arbitrary input can't add label values
+function metricsEmailType(group, emailType) {
+	return getTemplate(group, emailType) ? emailType : 'unknown';
+}
+
+/**
+ * Middleware: count the send in mystay_email_sends_total once its response is out
+ * (after requireApiKey, so unauthenticated requests aren't counted; before idempotency,
+ * so replays are counted as replayed)
+ */
+function countSends(endpoint, emailTypeOf) {
+	return (req, res, next) => {
+		res.on('finish', () => metrics.recordSend({
+			endpoint,
+			emailType: emailTypeOf(req),
+			status: res.statusCode,
+			replayed: res.get('Idempotent-Replayed') === 'true'
+		}));
+		next();
+	};
+}
+
+/**
+ * 400 for a request that failed schema validation (lib/schema.js)
+ * Returns { status: 400, error, details: [{ path, code, message }] } listing every problem.
+ */
+function invalidRequest(errors) {
+	return {
+		status: 400,
+		error: errors.map((problem) => problem.message).join('; '),
+		details: errors
+	};
+}
+
+/**
+ * Queue a rendered message for delivery and open its delivery log entry
+ * metadata: { endpoint, caller, recipient_id, email_type, booking_id, listing_name }
+ * sendAt: optional Date - the worker holds the job until then (a scheduled send)
+ * The current request id goes into the metadata so the delivery is logged under it.
+ */
+async function queueEmail({ message, metadata, sendAt = null }) {
+	// The request's start (not the queueing) is what send latency metrics measure from
+	const requestStartedAt = currentRequestStartedAt();
+	const job = await outbox.enqueue({
+		message,
+		metadata: {
+			...metadata,
+			request_id: currentRequestId(),
+			...(requestStartedAt && { request_started_at: new Date(requestStartedAt).toISOString() }),
+			...(sendAt && { send_at: sendAt.toISOString() })
+		},
+		maxAttempts: Number(OUTBOX_MAX_ATTEMPTS),
+		availableAt: sendAt ?? new Date()
+	});
+
+	try {
+		await deliveryLog.create({
+			id: job.id,
+			endpoint: metadata.endpoint,
+			caller: metadata.caller ?? null,
+			recipient_id: metadata.recipient_id ?? null,
+			recipient_email: message.to,
+			email_type: metadata.email_type ?? null,
+			booking_id: metadata.booking_id ?? null,
+			listing_name: metadata.listing_name ?? null,
+			subject: message.subject,
+			...(sendAt && { status: 'scheduled', send_at: sendAt.toISOString() })
+		});
+	} catch (err) {
+		// The email is already queued; a missing log entry shouldn't fail the request
+		logger.warn('Delivery log create failed', { error: err?.message ?? String(err) });
+	}
+
+	if (!sendAt) outboxWorker.kick();
+	return job;
+}
+
+// send_at in the future schedules the email; a past one means send now
+function scheduledAt(sendAt) {
+	if (!sendAt) return null;
+	const at = new Date(sendAt);
+	return at.getTime() > Date.now() ? at : null;
+}
+
+// Extra response fields for a scheduled send: the id to cancel it with, and when it goes out
+function scheduleFields(job, sendAt) {
+	return sendAt ? { scheduleId: job.id, sendAt: sendAt.toISOString() } : {};
+}
+
+// Caller the promotion reminder job is rate limited as
+const PROMOTION_REMINDER_CALLER = 'promotion-reminders';
+
+// Promotion expiry reminders: sent once per promotion per offset, recorded in the reminder store
+const promotionReminders = createPromotionReminderJob({
+	supabase,
+	store: createReminderStore({ driver: PROMOTION_REMINDER_STORE, supabase, table: PROMOTION_REMINDER_TABLE }),
+	table: PROMOTIONS_TABLE,
+	offsetsDays: parseOffsets(PROMOTION_REMINDER_OFFSETS_DAYS),
+	renewUrl: PROMOTION_RENEW_URL,
+	lookupRecipient: recipientLookup.lookup,
+	unsubscribeUrlFor: unsubscribeLinks.urlFor,
+	// Suppressed (bounced, complained) hosts are skipped like on every send endpoint
+	checkSend: async ({ email, template }) => (await checkSuppression(template, email))
+		?? checkRateLimit({ caller: PROMOTION_REMINDER_CALLER, email, template }),
+	queueEmail,
+	intervalMs: Number(PROMOTION_REMINDER_INTERVAL_MS)
+});
+
+// Repeated requests (same Idempotency-Key, or same payment) replay the first response
+const idempotencyStore = createIdempotencyStore({ driver: IDEMPOTENCY_STORE, supabase, table: IDEMPOTENCY_TABLE });
+
+// Add the delivery result to a replayed response once the queued job has been sent
+async function withDeliveryStatus(body) {
+	if (!body?.jobId) return body;
+	try {
+		const job = await outbox.get(body.jobId);
+		return {
+			...body,
+			deliveryStatus: job?.status ?? null,
+			messageId: job?.message_id ?? null
+		};
+	} catch (err) {
+		logger.warn('Outbox lookup for replay failed', { error: err?.message ?? String(err) });
+		return body;
+	}
+}
+
+// M-Pesa callbacks retry with the same receipt, so receipt + booking identifies the payment.
+// transaction_type is part of it because a chargeback can quote the original payment's receipt;
+// 'payment' is left out, as it's what a body without transaction_type sends.
+function paymentNaturalKey(body) {
+	if (!body.mpesa_receipt) return null;
+	const type = body.transaction_type && body.transaction_type !== 'payment' ? `:${body.transaction_type}` : '';
+	return `${body.mpesa_receipt}:${body.booking_id ?? ''}${type}`;
+}
+
+const sendIdempotency = createIdempotencyMiddleware({
+	store: idempotencyStore,
+	scope: 'send',
+	windowSeconds: Number(IDEMPOTENCY_WINDOW_SECONDS),
+	naturalKey: paymentNaturalKey,
+	enrichReplay: withDeliveryStatus
+});
+
+const guestSendIdempotency = createIdempotencyMiddleware({
+	store: idempotencyStore,
+	scope: 'guest/send',
+	windowSeconds: Number(IDEMPOTENCY_WINDOW_SECONDS),
+	enrichReplay: withDeliveryStatus
+});
+
+const hostSendIdempotency = createIdempotencyMiddleware({
+	store: idempotencyStore,
+	scope: 'host/send',
+	windowSeconds: Number(IDEMPOTENCY_WINDOW_SECONDS),
+	naturalKey: (body) => {
+		if (body.email_type === 'promotion_payment' && body.promotion_details?.mpesa_receipt) {
+			return `promotion_payment:${body.promotion_details.mpesa_receipt}`;
+		}
+		if (body.email_type === 'payout_sent' && body.payout_details?.reference) {
+			return `payout_sent:${body.payout_details.reference}`;
+		}
+		return null;
+	},
+	enrichReplay: withDeliveryStatus
+});
+
+const batchIdempotency = createIdempotencyMiddleware({
+	store: idempotencyStore,
+	scope: 'batch',
+	windowSeconds: Number(IDEMPOTENCY_WINDOW_SECONDS)
+});
+
+// Recipient fields of /api/v1/email/send; the rest comes from the guest/payment template's schema
+const SEND_SCHEMA = {
+	email: string({ required: (data) => !data.recipient_id, max: 254, format: 'email' }),
+	recipient_id: string({ max: 100 }),
+	recipient_name: string({ max: 200 }),
+	locale: string({ max: 20 }),
+	send_at: timestamp({ maxDaysAhead: Number(SCHEDULE_MAX_DAYS) })
+};
+
+/**
+ * POST /api/v1/email/send
+ *
+ * Headers:
+ *   X-API-Key                     // required - see lib/auth.js
+ *   X-Signature-Timestamp         // required if the caller has a signing secret
+ *   X-Signature                   // required if the caller has a signing secret
+ *   Idempotency-Key               // optional - defaults to mpesa_receipt + booking_id when a receipt is sent
+ *
+ * Body:
+ * {
+ *   mpesa_receipt,              // optional - M-Pesa transaction code
+ *   payment_title,              // required unless transaction_type is sent - heading (and subject without transaction_type)
+ *   amount,                     // required - formatted amount string
+ *   transaction_type,           // optional - 'payment', 'refund', 'partial_refund', 'deposit', 'payout' or 'chargeback'
+ *                               //   (without it, refund words in payment_title decide between refund and payment)
+ *   audience,                   // optional - 'guest' (default) or 'host', picks the wording
+ *   booking_id,                 // optional - booking reference
+ *   email,                      // required unless recipient_id is sent (if provided, used directly)
+ *   recipient_id,               // optional (uuid to lookup in profiles)
+ *   recipient_name,             // optional (if provided, used; otherwise looked up)
+ *   locale,                     // optional - 'en' or 'sw' ('sw-KE' works too); defaults to profiles.locale, then English
+ *   send_at,                    // optional - ISO timestamp with timezone, at most SCHEDULE_MAX_DAYS ahead; a future
+ *                               //   time schedules the email (response adds scheduleId and sendAt)
+ *   extra_message,              // optional - additional info
+ *   listing_name,               // optional - stay details; with an ISO check_in ('2025-11-14') payments and
+ *   check_in, check_out,        //   deposits get a calendar invite (.ics) for the stay
+ *   address,                    // optional - the invite's location
+ *   attach_receipt,             // optional - true attaches a PDF receipt (payments, deposits and refunds)
+ *   receipt_number              // optional - number printed on the receipt; derived from mpesa_receipt otherwise
+ * }
+ *
+ * Responds 202 with a jobId once the message is queued in the outbox. A scheduled send is
+ * rendered now and stored until send_at; cancel it with DELETE /api/v1/email/scheduled/:scheduleId.
+ * A repeat inside IDEMPOTENCY_WINDOW_SECONDS returns the original response (plus messageId once sent).
+ * An invalid body gets 400 listing every problem (types, email format, lengths, missing fields):
+ *   { success: false, error, details: [{ path: 'amount', code: 'type', message }] }
+ * Over a rate limit (RATE_LIMITS, per caller and per recipient) it gets 429 with Retry-After:
+ *   { success: false, error, retryAfter }
+ * A recipient_id without a profile (or without an email on it) gets 404; when the profile
+ * lookup itself fails (Supabase errors or is down) the response is 503, worth retrying.
+ */
+app.post('/api/v1/email/send', requireApiKey, countSends('send', () => 'payment'), sendIdempotency, async (req, res) => {
+	try {
+		const body = req.body || {};
+		const {
+			mpesa_receipt,
+			booking_id,
+			email,
+			recipient_id,
+			recipient_name
+		} = body;
+
+		// Validate every field at once (types, formats, lengths), reporting all problems
+		const template = getTemplate('guest', 'payment');
+		const errors = validate({ ...SEND_SCHEMA, ...template.schema }, body);
+		if (errors.length > 0) {
+			const invalid = invalidRequest(errors);
+			return res.status(400).json({
+				success: false,
+				error: invalid.error,
+				details: invalid.details
+			});
+		}
+
+		let targetEmail = email ?? null;
+		let finalRecipientName = recipient_name ?? '';
+		let finalLocale = normalizeLocale(body.locale);
+
+		// If email not provided, lookup using recipient_id (also done for the profile's locale when none was sent)
+		if (!targetEmail || (!finalLocale && recipient_id)) {
+			const recipient = await recipientLookup.lookup(String(recipient_id));
+			const { email: lookedUpEmail, name: lookedUpName, locale: lookedUpLocale } = recipient;
+
+			// When only the locale was missing, a failed lookup falls back to the default locale
+			if (recipient.status === 'lookup_failed' && !targetEmail) {
+				const failed = lookupFailed('Recipient', recipient);
+				return res.status(failed.status).json({
+					success: false,
+					error: failed.error
+				});
 			}
-		</style>
-	</head>
-	<body style="margin: 0; padding: 0; background-color: #e8f4f8; font-family: 'Sono', Arial, sans-serif;">
-		<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #e8f4f8; padding: 40px 20px;">
-			<tr>
-				<td align="center">
-					<!-- Main container with dark blue border -->
-					<table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="max-width: 600px; border-radius: 20px; overflow: hidden; border: 4px solid #0437F2; box-shadow: 0 8px 32px rgba(4, 55, 242, 0.15);">
-						
-						<!-- Header with light blue to green gradient and icons -->
-						<tr>
-							<td align="center" style="background: linear-gradient(135deg, #d4ebf7 0%, #c8e6d5 100%); padding: 40px 30px 30px 30px;">
-								<!-- Success Checkmark Circle -->
-								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto 20px;">
-									<tr>
-										<td align="center" style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); width: 100px; height: 100px; border-radius: 50%; box-shadow: 0 6px 20px rgba(16, 185, 129, 0.4);">
-											<img src="cid:checkmark-icon" alt="Success" style="width: 60px; height: 60px; margin-top: 20px;"/>
-										</td>
-									</tr>
-								</table>
-								
-								<!-- MyStay Branding -->
-								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto;">
-									<tr>
-										<td align="center">
-											<img src="cid:mystay-icon" alt="MyStay App Icon" style="width: 48px; height: 48px; border-radius: 10px; vertical-align: middle; margin-right: 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);"/>
-											<span style="font-size: 26px; font-weight: 700; color: #0437F2; font-family: 'Sono', Arial, sans-serif; vertical-align: middle;">MyStay App</span>
-										</td>
-									</tr>
-								</table>
-							</td>
-						</tr>
-						
-						<!-- Success Message Banner -->
-						<tr>
-							<td align="center" style="background: linear-gradient(90deg, #10b981 0%, #059669 100%); padding: 16px 30px;">
-								<h2 style="margin: 0; font-size: 20px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">${bannerText}</h2>
-							</td>
-						</tr>
-						
-						<!-- Main content with light blue-green gradient -->
-						<tr>
-							<td style="background: linear-gradient(180deg, #e0f2fe 0%, #d1fae5 100%); padding: 40px 30px;">
-								<h3 style="margin: 0 0 20px 0; font-size: 20px; font-weight: 600; color: #0437F2; font-family: 'Sono', Arial, sans-serif; text-align: center;">${escapeHtml(paymentTitle)}</h3>
-								
-								<p style="margin: 0 0 16px 0; font-size: 15px; color: #1e40af; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">
-									Hi <strong>${escapeHtml(recipientName || 'there')}</strong>,
-								</p>
-								<p style="margin: 0 0 32px 0; font-size: 14px; color: #166534; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									Thank you for using MyStay App. Your transaction has been processed successfully. Below are the details:
-								</p>
-								
-								<!-- Transaction details card with white background -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #ffffff; border-radius: 12px; overflow: hidden; border: 2px solid #0437F2; box-shadow: 0 4px 12px rgba(4, 55, 242, 0.1);">
-									<tr>
-										<td style="padding: 0;">
-											<!-- Details header -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="background: linear-gradient(90deg, #0437F2 0%, #0284c7 100%); padding: 14px 24px;">
-														<span style="font-size: 14px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">${transactionLabel}</span>
-													</td>
-												</tr>
-											</table>
-											
-											<!-- Details content -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="padding: 16px 24px; border-bottom: 1px solid #e0f2fe;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #1e40af; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">${amountLabel}</span>
-														<span style="display: block; font-size: 22px; font-weight: 700; color: #10b981; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(String(amount))}</span>
-													</td>
-												</tr>
-												${mpesaReceipt ? `
-												<tr>
-													<td style="padding: 16px 24px; ${bookingId ? 'border-bottom: 1px solid #e0f2fe;' : ''}">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #1e40af; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">📱 M-Pesa Receipt</span>
-														<span style="display: block; font-size: 15px; font-weight: 600; color: #0437F2; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(mpesaReceipt)}</span>
-													</td>
-												</tr>
-												` : ''}
-												${bookingId ? `
-												<tr>
-													<td style="padding: 16px 24px;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #1e40af; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">🏠 Booking Reference</span>
-														<span style="display: block; font-size: 15px; font-weight: 600; color: #0437F2; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(bookingId)}</span>
-													</td>
-												</tr>
-												` : ''}
-											</table>
-										</td>
-									</tr>
-								</table>
-								
-								${extraMessage ? `
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 24px; background: linear-gradient(135deg, #dbeafe 0%, #fef3c7 100%); border-radius: 10px; border: 2px solid #0437F2; border-left: 6px solid #10b981;">
-									<tr>
-										<td style="padding: 18px 24px;">
-											<p style="margin: 0; font-size: 13px; color: #1e3a8a; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">
-												<strong style="color: #0437F2; font-size: 14px;">📌 Important Note:</strong><br/>
-												<span style="margin-top: 6px; display: inline-block; font-size: 13px;">${escapeHtml(extraMessage)}</span>
-											</p>
-										</td>
-									</tr>
-								</table>
-								` : ''}
-								
-								<!-- Call to action -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 32px;">
-									<tr>
-										<td align="center" style="padding: 18px 24px; background: linear-gradient(135deg, #0437F2 0%, #0284c7 100%); border-radius: 10px; box-shadow: 0 4px 12px rgba(4, 55, 242, 0.3);">
-											<p style="margin: 0; font-size: 13px; color: #ffffff; line-height: 1.6; font-family: 'Sono', Arial, sans-serif; font-weight: 500;">
-												${isRefund ? '💙 Thank you for your understanding. We look forward to serving you again!' : '🎉 You\'re all set! Happy hosting.'}
-											</p>
-										</td>
-									</tr>
-								</table>
-							</td>
-						</tr>
-						
-						<!-- Footer -->
-						<tr>
-							<td style="background-color: #f0f9ff; padding: 28px 30px; text-align: center; border-top: 2px solid #bfdbfe;">
-								<p style="margin: 0 0 8px 0; font-size: 12px; color: #1e40af; line-height: 1.6; font-family: 'Sono', Arial, sans-serif; font-weight: 500;">
-									This is an automated confirmation from MyStay App.<br/>
-									Need help? Contact our support team anytime.
-								</p>
-								<p style="margin: 8px 0 0 0; font-size: 11px; color: #0437F2; font-family: 'Sono', Arial, sans-serif; font-weight: 600;">
-									© ${new Date().getFullYear()} MyStay. All rights reserved.
-								</p>
-							</td>
-						</tr>
-					</table>
-				</td>
-			</tr>
-		</table>
-	</body>
-</html>`;
+
+			if (!targetEmail) {
+				if (!lookedUpEmail) {
+					return res.status(404).json({
+						success: false,
+						error: 'Recipient email not found in database'
+					});
+				}
+
+				targetEmail = lookedUpEmail;
+			}
+
+			// Use looked up name only if recipient_name wasn't provided
+			if (!finalRecipientName && lookedUpName) {
+				finalRecipientName = lookedUpName;
+			}
+			finalLocale = finalLocale || normalizeLocale(lookedUpLocale);
+		}
+
+		const suppressed = await checkSuppression(template, targetEmail);
+		if (suppressed) {
+			return res.status(suppressed.status).json({
+				success: false,
+				error: suppressed.error
+			});
+		}
+
+		const limited = await checkRateLimit({ caller: req.caller?.id ?? null, email: targetEmail, template });
+		if (limited) {
+			return sendRateLimited(res, limited);
+		}
+
+		logger.info('Sending email to', {
+			email: targetEmail,
+			name: finalRecipientName || '(no name)',
+			mpesa_receipt: mpesa_receipt || '(not provided)',
+			booking_id: booking_id || '(none)'
+		});
+
+		// Render subject, HTML and plain text from the template
+		const data = {
+			...body,
+			recipient_name: finalRecipientName,
+			locale: finalLocale
+		};
+		const { subject, html, text } = renderTemplate(template, data);
+		const receipt = body.attach_receipt ? await renderReceipt(template, data) : null;
+		const invite = renderCalendarInvite(template, data);
+
+		// Queue the rendered message; the outbox worker sends it (branding images are attached at send time)
+		const sendAt = scheduledAt(body.send_at);
+		const job = await queueEmail({
+			sendAt,
+			message: {
+				to: targetEmail,
+				subject,
+				text,
+				html,
+				attachments: [receipt, invite].filter(Boolean)
+			},
+			metadata: {
+				endpoint: 'send',
+				caller: req.caller?.id ?? null,
+				recipient_id: recipient_id ?? null,
+				email_type: template.type,
+				transaction_type: body.transaction_type ?? null,
+				booking_id: booking_id ?? null
+			}
+		});
+
+		logger.info(sendAt ? 'Email scheduled' : 'Email queued', {
+			to: targetEmail,
+			jobId: job.id,
+			...(sendAt && { sendAt: sendAt.toISOString() })
+		});
+
+		return res.status(202).json({
+			success: true,
+			message: sendAt ? 'Email scheduled for delivery' : 'Email queued for delivery',
+			to: targetEmail,
+			jobId: job.id,
+			...scheduleFields(job, sendAt)
+		});
+
+	} catch (err) {
+		logger.error('Email service error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error queueing email',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+// Body field names for the recipient of each email_type-driven endpoint
+const RECIPIENT_FIELDS = {
+	guest: { id: 'guest_id', email: 'guest_email', name: 'guest_name' },
+	host: { id: 'host_id', email: 'host_email', name: 'host_name' }
+};
+
+// Fields every email_type request has; the template's schema adds its own
+// Opt-out categories need the recipient id: preferences and unsubscribe links are per user
+function needsRecipientId(group, emailType) {
+	const category = getTemplate(group, emailType)?.category;
+	return Boolean(category) && category !== 'transactional';
+}
+
+function recipientSchema(group) {
+	const fields = RECIPIENT_FIELDS[group];
+	return {
+		email_type: string({ required: true, values: listTemplates(group).map((t) => t.type) }),
+		[fields.id]: string({ required: (data) => needsRecipientId(group, data.email_type), max: 100 }),
+		[fields.email]: string({ required: (data) => !data[fields.id], max: 254, format: 'email' }),
+		[fields.name]: string({ max: 200 }),
+		locale: string({ max: 20 }),
+		send_at: timestamp({ maxDaysAhead: Number(SCHEDULE_MAX_DAYS) })
+	};
+}
+
+const GROUP_LABELS = {
+	guest: 'Guest',
+	host: 'Host'
+};
+
+/**
+ * Validate an email_type request (guest/send, host/send, batch items) and resolve its recipient
+ * lookup: async (recipientId) => recipient (lib/recipients.js) - one query, or a batch prefetch
+ * Returns { template, recipientId, email, name, locale }, or { status, error, details? } to respond with.
+ */
+async function prepareTemplatedEmail(group, body, lookup) {
+	const fields = RECIPIENT_FIELDS[group];
+	const recipientId = body[fields.id];
+
+	// Each template declares the fields it needs (listing_name, rejection_reason, check_in, ...);
+	// with an unknown email_type only the common fields can be checked
+	const template = getTemplate(group, body.email_type);
+	const errors = validate({ ...recipientSchema(group), ...template?.schema }, body);
+	if (errors.length > 0) {
+		return invalidRequest(errors);
+	}
+
+	let targetEmail = body[fields.email] ?? null;
+	let finalRecipientName = body[fields.name] ?? '';
+	let finalLocale = normalizeLocale(body.locale);
+
+	// Opt-out categories need the profile's preferences (the schema requires their recipient id)
+	const checkPreferences = template.category !== 'transactional';
+
+	// If email not provided, lookup using the recipient id (also done for the profile's locale and preferences)
+	if (!targetEmail || (!finalLocale && recipientId) || checkPreferences) {
+		const recipient = await lookup(String(recipientId));
+		const {
+			email: lookedUpEmail,
+			name: lookedUpName,
+			locale: lookedUpLocale,
+			preferences
+		} = recipient;
+
+		// Without the profile there's no address or opt-out to go by; only a missing locale can fall back
+		if (recipient.status === 'lookup_failed' && (!targetEmail || checkPreferences)) {
+			return lookupFailed(GROUP_LABELS[group], recipient);
+		}
+
+		if (checkPreferences && !allowsCategory(preferences, template.category)) {
+			return { status: 422, error: `${GROUP_LABELS[group]} has opted out of "${template.category}" emails` };
+		}
+
+		if (!targetEmail) {
+			if (!lookedUpEmail) {
+				return { status: 404, error: `${GROUP_LABELS[group]} email not found in database` };
+			}
+
+			targetEmail = lookedUpEmail;
+		}
+
+		// Use looked up name only if one wasn't provided
+		if (!finalRecipientName && lookedUpName) {
+			finalRecipientName = lookedUpName;
+		}
+		finalLocale = finalLocale || normalizeLocale(lookedUpLocale);
+	}
+
+	const suppressed = await checkSuppression(template, targetEmail);
+	if (suppressed) return suppressed;
+
+	return { template, recipientId, email: targetEmail, name: finalRecipientName, locale: finalLocale };
+}
+
+/**
+ * Render a prepared email_type request and queue it in the outbox
+ */
+async function queueTemplatedEmail({ endpoint, caller, body, prepared, sendAt = null }) {
+	const { template, recipientId, email, name, locale } = prepared;
+	const unsubscribeUrl = unsubscribeLinks.urlFor({ recipientId, category: template.category });
+
+	// Render subject, HTML and plain text from the template
+	const data = {
+		...body,
+		recipient_name: name,
+		locale,
+		unsubscribe_url: unsubscribeUrl
+	};
+	const { subject, html, text } = renderTemplate(template, data);
+	// PDF receipt for templates that have one (promotion_payment), when the request asks for it
+	const receipt = body.attach_receipt ? await renderReceipt(template, data) : null;
+	// .ics invite for booking emails with an ISO check_in
+	const invite = renderCalendarInvite(template, data);
+
+	// Queue the rendered message; the outbox worker sends it (branding images are attached at send time)
+	return queueEmail({
+		sendAt,
+		message: {
+			to: email,
+			subject,
+			text,
+			html,
+			headers: listUnsubscribeHeaders(unsubscribeUrl),
+			attachments: [receipt, invite].filter(Boolean)
+		},
+		metadata: {
+			endpoint,
+			caller,
+			recipient_id: recipientId ?? null,
+			email_type: template.type,
+			booking_id: body.booking_id ?? null,
+			listing_name: body.listing_name ?? null
+		}
+	});
+}
+
+// Handler for the single-email email_type endpoints (guest/send, host/send)
+function templatedSendHandler({ group, endpoint }) {
+	const label = GROUP_LABELS[group];
+	const lowerLabel = label.toLowerCase();
+
+	return async (req, res) => {
+		try {
+			const body = req.body || {};
+			const prepared = await prepareTemplatedEmail(group, body, recipientLookup.lookup);
+			if (prepared.error) {
+				return res.status(prepared.status).json({
+					success: false,
+					error: prepared.error,
+					details: prepared.details
+				});
+			}
+
+			const limited = await checkRateLimit({ caller: req.caller?.id ?? null, email: prepared.email, template: prepared.template });
+			if (limited) {
+				return sendRateLimited(res, limited);
+			}
+
+			logger.info(`Sending ${lowerLabel} email to`, {
+				email: prepared.email,
+				name: prepared.name || '(no name)',
+				listing_name: body.listing_name || '(N/A)',
+				email_type: body.email_type
+			});
+
+			const sendAt = scheduledAt(body.send_at);
+			const job = await queueTemplatedEmail({
+				endpoint,
+				caller: req.caller?.id ?? null,
+				body,
+				prepared,
+				sendAt
+			});
+
+			logger.info(`${label} email ${sendAt ? 'scheduled' : 'queued'}`, {
+				to: prepared.email,
+				jobId: job.id,
+				...(sendAt && { sendAt: sendAt.toISOString() })
+			});
+
+			return res.status(202).json({
+				success: true,
+				message: `${label} email ${sendAt ? 'scheduled' : 'queued'} for delivery`,
+				to: prepared.email,
+				jobId: job.id,
+				...scheduleFields(job, sendAt)
+			});
+
+		} catch (err) {
+			logger.error(`${label} email service error`, { error: err });
+			return res.status(500).json({
+				success: false,
+				error: `Server error queueing ${lowerLabel} email`,
+				details: err?.message ?? String(err)
+			});
+		}
+	};
 }
 
-// HTML email builder for host notifications (listing submission/published/rejected/verified/verification_rejected)
-function buildHostHtml({ hostName = '', listingName, emailType = 'submitted', rejectionReason = null, verificationRejectionReason = null }) {
-	const isPublished = emailType === 'published';
-	const isRejected = emailType === 'rejected';
-	const isSubmitted = emailType === 'submitted';
-	const isVerified = emailType === 'verified';
-	const isVerificationRejected = emailType === 'verification_rejected';
-	
-	// Determine banner text and styling based on email type
-	let bannerText, bannerColor, iconEmoji, iconBgColor, iconShadow;
-	
-	if (isVerified) {
-		bannerText = '✓ Host Verified';
-		bannerColor = 'linear-gradient(90deg, #10b981 0%, #059669 100%)';
-		iconEmoji = '✅';
-		iconBgColor = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
-		iconShadow = 'rgba(16, 185, 129, 0.4)';
-	} else if (isVerificationRejected) {
-		bannerText = '⚠ Verification Not Approved';
-		bannerColor = 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)';
-		iconEmoji = '❌';
-		iconBgColor = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
-		iconShadow = 'rgba(239, 68, 68, 0.4)';
-	} else if (isPublished) {
-		bannerText = '✓ Listing Published';
-		bannerColor = 'linear-gradient(90deg, #10b981 0%, #059669 100%)';
-		iconEmoji = '🎉';
-		iconBgColor = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
-		iconShadow = 'rgba(16, 185, 129, 0.4)';
-	} else if (isRejected) {
-		bannerText = '⚠ Listing Not Approved';
-		bannerColor = 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)';
-		iconEmoji = '❌';
-		iconBgColor = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
-		iconShadow = 'rgba(239, 68, 68, 0.4)';
-	} else {
-		bannerText = '✓ Listing Submitted';
-		bannerColor = 'linear-gradient(90deg, #10b981 0%, #059669 100%)';
-		iconEmoji = '📝';
-		iconBgColor = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
-		iconShadow = 'rgba(16, 185, 129, 0.4)';
+/**
+ * POST /api/v1/email/guest/send
+ *
+ * Headers: same as /api/v1/email/send
+ *   (no default idempotency key - send Idempotency-Key to make retries safe)
+ *
+ * Body:
+ * {
+ *   guest_id,                     // uuid to lookup guest email and name - required for the opt-out
+ *                                 //   categories (checkin_reminder, review_request), optional otherwise
+ *   guest_email,                  // required unless guest_id is sent (if provided, used directly)
+ *   guest_name,                   // optional (if provided, used; otherwise looked up)
+ *   locale,                       // optional - 'en' or 'sw'; defaults to profiles.locale, then English
+ *   send_at,                      // optional - schedule the email, as for /api/v1/email/send
+ *   email_type,                   // required - any guest template in templates/guest ('booking_confirmed',
+ *                                 //   'booking_cancelled', 'checkin_reminder', 'review_request', 'payment')
+ *   listing_name,                 // required for every booking email
+ *   booking_id,                   // required for 'booking_confirmed' and 'booking_cancelled', optional otherwise
+ *   mpesa_receipt,                // optional - shown with the booking reference
+ *   check_in, check_out,          // required for 'booking_confirmed'; check_in required for 'checkin_reminder'
+ *   guests,                       // optional - e.g. '2 adults' ('booking_confirmed')
+ *   amount,                       // optional - amount paid ('booking_confirmed')
+ *   cancelled_by,                 // required for 'booking_cancelled' - 'guest' or 'host'
+ *   cancellation_reason,          // optional ('booking_cancelled')
+ *   refund_amount,                // optional ('booking_cancelled')
+ *   address,                      // required for 'checkin_reminder', optional for 'booking_confirmed' (invite location)
+ *   check_in_time, host_name, host_phone, checkin_instructions, // optional ('checkin_reminder')
+ *   review_url                    // optional - http(s) link for the review button ('review_request')
+ * }
+ *
+ * Responds 202 with a jobId once the message is queued in the outbox, or 422 for a
+ * non-critical email_type (e.g. 'review_request') to an address on the suppression list,
+ * or when the recipient turned that email's category off.
+ * Booking emails with an ISO check_in carry a calendar invite (.ics), cancellations its cancellation.
+ * A repeated Idempotency-Key inside IDEMPOTENCY_WINDOW_SECONDS returns the original response.
+ * Invalid fields get 400 with every problem in details, a send over a rate limit 429
+ * with Retry-After, and a failed profile lookup 503, as for /api/v1/email/send.
+ */
+app.post('/api/v1/email/guest/send', requireApiKey, countSends('guest/send', (req) => metricsEmailType('guest', req.body?.email_type)), guestSendIdempotency, templatedSendHandler({
+	group: 'guest',
+	endpoint: 'guest/send'
+}));
+
+/**
+ * POST /api/v1/email/host/send
+ *
+ * Headers: same as /api/v1/email/send
+ *   (promotion_payment defaults its idempotency key to promotion_details.mpesa_receipt,
+ *   payout_sent to payout_details.reference)
+ *
+ * Body:
+ * {
+ *   host_id,                      // uuid to lookup host email and name - required for the opt-out
+ *                                 //   categories (submitted, published, rejected, promotion_*), optional otherwise
+ *   host_email,                   // required unless host_id is sent (if provided, used directly)
+ *   host_name,                    // optional (if provided, used; otherwise looked up)
+ *   locale,                       // optional - 'en' or 'sw'; defaults to profiles.locale, then English
+ *   send_at,                      // optional - schedule the email, as for /api/v1/email/send
+ *   listing_name,                // required for listing emails, optional for verification emails
+ *   email_type,                   // required - any host template in templates/host ('submitted', 'published', 'rejected',
+ *                                 //   'verified', 'verification_rejected', 'promotion_payment', 'promotion_expiring',
+ *                                 //   'promotion_expired', 'new_booking', 'booking_cancelled', 'payout_sent')
+ *   rejection_reason,             // optional - required if email_type is 'rejected'
+ *   verification_rejection_reason, // optional - required if email_type is 'verification_rejected'
+ *   promotion_details,            // optional - required if email_type is 'promotion_payment', 'promotion_expiring'
+ *                                 //   or 'promotion_expired' (package_name and expiry_date for the last two)
+ *   days_left,                    // required for 'promotion_expiring'
+ *   renew_url,                    // optional - http(s) link for the renew button ('promotion_expiring', 'promotion_expired')
+ *   booking_id,                   // required for 'new_booking' and 'booking_cancelled'
+ *   check_in, check_out,          // required for 'new_booking', optional for 'booking_cancelled'
+ *                                 //   (ISO dates also attach a calendar invite, or its cancellation)
+ *   address,                      // optional - invite location ('new_booking')
+ *   guest_name, guests,           // optional - who booked ('new_booking', 'booking_cancelled')
+ *   amount, payout_amount,        // optional - booking total and host earnings ('new_booking')
+ *   mpesa_receipt,                // optional - shown with the booking reference
+ *   cancelled_by,                 // required for 'booking_cancelled' - 'guest' or 'host'
+ *   cancellation_reason,          // optional ('booking_cancelled')
+ *   payout_details,               // required for 'payout_sent':
+ *                                 //   { amount, reference, fees?, method?: 'mpesa' | 'bank', booking_ids?: [], payout_date? }
+ *   attach_receipt,               // optional - true attaches a PDF receipt ('promotion_payment')
+ *   receipt_number                // optional - number printed on the receipt; derived from the M-Pesa receipt otherwise
+ * }
+ *
+ * Responds 202 with a jobId once the message is queued in the outbox, or 422 for a
+ * non-critical email_type (e.g. 'published') to an address on the suppression list,
+ * or when the recipient turned that email's category off.
+ * A repeat inside IDEMPOTENCY_WINDOW_SECONDS returns the original response (plus messageId once sent).
+ * Invalid fields get 400 with every problem in details, a send over a rate limit 429
+ * with Retry-After, and a failed profile lookup 503, as for /api/v1/email/send.
+ */
+app.post('/api/v1/email/host/send', requireApiKey, countSends('host/send', (req) => metricsEmailType('host', req.body?.email_type)), hostSendIdempotency, templatedSendHandler({
+	group: 'host',
+	endpoint: 'host/send'
+}));
+
+// Top level of /api/v1/email/batch; each item is then checked like a guest/host send
+const BATCH_SCHEMA = {
+	items: array(undefined, { required: true, min: 1, max: Number(BATCH_MAX_ITEMS) })
+};
+
+const BATCH_ITEM_SCHEMA = {
+	item: object({ group: string({ required: true, values: Object.keys(RECIPIENT_FIELDS) }) }, { required: true })
+};
+
+/**
+ * POST /api/v1/email/batch
+ *
+ * Headers: same as /api/v1/email/send
+ *   (no default idempotency key - send Idempotency-Key to make retries safe)
+ *
+ * Body:
+ * {
+ *   items: [                      // required - 1 to BATCH_MAX_ITEMS emails
+ *     {
+ *       group,                    // required - 'guest' or 'host'
+ *       email_type,               // required - as for /api/v1/email/guest/send or /api/v1/email/host/send
+ *       ...                       // the remaining fields of that endpoint (guest_id/host_id, listing_name, ...)
+ *     }
+ *   ]
+ * }
+ *
+ * Recipients are looked up with one query for the whole batch. Each item is validated
+ * and queued on its own, so one bad item doesn't fail the others:
+ *   202 { success, total, queued, failed,
+ *         results: [{ index, success, status, to?, jobId?, scheduleId?, sendAt?, error?, details?, retryAfter? }] }
+ * Item status is 202 (queued), 400 (invalid), 404 (email not found), 422 (suppressed or opted out),
+ * 429 (over a rate limit; every item counts, retryAfter in seconds), 503 (profile lookup failed;
+ * retry the item) or 500.
+ */
+app.post('/api/v1/email/batch', requireApiKey, batchIdempotency, async (req, res) => {
+	try {
+		const body = req.body || {};
+		const { items } = body;
+
+		// Items are validated one by one below, so a bad item doesn't fail the batch
+		const errors = validate(BATCH_SCHEMA, body);
+		if (errors.length > 0) {
+			const invalid = invalidRequest(errors);
+			return res.status(400).json({
+				success: false,
+				error: invalid.error,
+				details: invalid.details
+			});
+		}
+
+		// One profile lookup for every item that names a recipient id
+		const recipientIds = items
+			.filter((item) => item && RECIPIENT_FIELDS[item.group])
+			.map((item) => item[RECIPIENT_FIELDS[item.group].id]);
+		const recipients = await recipientLookup.lookupMany(recipientIds);
+		const lookup = async (recipientId) => recipients.get(recipientId) ?? recipientLookup.lookup(recipientId);
+
+		const results = [];
+		for (const [index, item] of items.entries()) {
+			try {
+				const itemErrors = validate(BATCH_ITEM_SCHEMA, { item });
+				const prepared = itemErrors.length > 0
+					? invalidRequest(itemErrors)
+					: await prepareTemplatedEmail(item.group, item, lookup);
+
+				if (prepared.error) {
+					results.push({ index, success: false, status: prepared.status, error: prepared.error, details: prepared.details });
+					continue;
+				}
+
+				const limited = await checkRateLimit({ caller: req.caller?.id ?? null, email: prepared.email, template: prepared.template });
+				if (limited) {
+					results.push({ index, success: false, status: 429, error: limited.error, retryAfter: limited.retryAfter });
+					continue;
+				}
+
+				const sendAt = scheduledAt(item.send_at);
+				const job = await queueTemplatedEmail({
+					endpoint: 'batch',
+					caller: req.caller?.id ?? null,
+					body: item,
+					prepared,
+					sendAt
+				});
+				results.push({ index, success: true, status: 202, to: prepared.email, jobId: job.id, ...scheduleFields(job, sendAt) });
+			} catch (err) {
+				logger.error('Batch item error', { index, error: err?.message ?? String(err) });
+				results.push({ index, success: false, status: 500, error: err?.message ?? String(err) });
+			}
+		}
+
+		for (const result of results) {
+			const item = items[result.index];
+			metrics.recordSend({ endpoint: 'batch', emailType: metricsEmailType(item?.group, item?.email_type), status: result.status });
+		}
+
+		const queued = results.filter((result) => result.success).length;
+		logger.info('Batch emails queued', { total: items.length, queued });
+
+		return res.status(202).json({
+			success: true,
+			total: items.length,
+			queued,
+			failed: items.length - queued,
+			results
+		});
+
+	} catch (err) {
+		logger.error('Batch email service error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error queueing batch emails',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+/**
+ * POST /api/v1/outbox/process
+ *
+ * Delivers every due outbox job now. The background worker does this on its own
+ * in long-running deployments; serverless deployments can call it from a cron.
+ */
+app.post('/api/v1/outbox/process', requireApiKey, async (req, res) => {
+	try {
+		const processed = await outboxWorker.tick();
+		return res.json({ success: true, processed });
+	} catch (err) {
+		logger.error('Outbox processing error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error processing outbox',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+/**
+ * POST /api/v1/promotions/reminders/process
+ *
+ * Queues any due promotion_expiring / promotion_expired emails now (offsets from
+ * PROMOTION_REMINDER_OFFSETS_DAYS). With PROMOTION_REMINDERS_ENABLED=true the server
+ * does this every PROMOTION_REMINDER_INTERVAL_MS; serverless deployments call it from a cron.
+ */
+app.post('/api/v1/promotions/reminders/process', requireApiKey, async (req, res) => {
+	try {
+		const result = await promotionReminders.tick();
+		return res.json({ success: true, ...result });
+	} catch (err) {
+		logger.error('Promotion reminder error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error processing promotion reminders',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+const DELIVERY_STATUSES = ['scheduled', 'queued', 'retrying', 'sent', 'failed', 'cancelled'];
+
+/**
+ * GET /api/v1/emails
+ *
+ * Query (all optional):
+ *   recipient_id, recipient_email, booking_id, email_type,
+ *   status                        // 'scheduled', 'queued', 'retrying', 'sent', 'failed' or 'cancelled'
+ *   caller                        // SUPPORT_CALLERS only - one caller's emails
+ *   limit                         // default 50, max 200
+ *
+ * Lists delivery log entries, newest first: the caller's own emails, or every caller's
+ * for the SUPPORT_CALLERS.
+ */
+app.get('/api/v1/emails', requireApiKey, async (req, res) => {
+	try {
+		const filters = {};
+		for (const field of DELIVERY_FILTER_FIELDS) {
+			if (typeof req.query[field] === 'string' && req.query[field] !== '') {
+				filters[field] = req.query[field];
+			}
+		}
+		const owner = deliveryLogOwner(req);
+		if (owner !== null) filters.caller = owner;
+
+		if (filters.status && !DELIVERY_STATUSES.includes(filters.status)) {
+			return res.status(400).json({
+				success: false,
+				error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+			});
+		}
+
+		const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+		const emails = await deliveryLog.list(filters, { limit });
+
+		return res.json({ success: true, count: emails.length, emails });
+	} catch (err) {
+		logger.error('Delivery log query error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error listing emails',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+/**
+ * GET /api/v1/email/:id
+ *
+ * Delivery status of one email, by the jobId returned from the send endpoints,
+ * including every delivery attempt (messageId, SMTP response, error). Only the API
+ * caller that queued the email, or one of the SUPPORT_CALLERS, can read it; for anyone
+ * else it's 404, as for GET /api/v1/emails.
+ */
+app.get('/api/v1/email/:id', requireApiKey, async (req, res) => {
+	try {
+		const email = await deliveryLog.get(req.params.id);
+		const owner = deliveryLogOwner(req);
+		if (!email || (owner !== null && (email.caller ?? null) !== owner)) {
+			return res.status(404).json({
+				success: false,
+				error: 'Email not found'
+			});
+		}
+
+		return res.json({ success: true, email });
+	} catch (err) {
+		logger.error('Delivery log lookup error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error looking up email',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+/**
+ * DELETE /api/v1/email/scheduled/:id
+ *
+ * Cancel a send by the scheduleId (or jobId) the send endpoints returned, e.g. a
+ * check-in reminder for a booking that was cancelled. Only the API caller that queued
+ * the email can cancel it.
+ *
+ * Responds 200 { success, scheduleId, status: 'cancelled' } (also for a repeat), 404 if
+ * there's no such email, or 409 once the worker has started sending it.
+ */
+app.delete('/api/v1/email/scheduled/:id', requireApiKey, async (req, res) => {
+	try {
+		const { id } = req.params;
+		// Check the owner before changing anything; another caller's email is reported as missing
+		const queued = await outbox.get(id);
+		if (!queued || (queued.metadata?.caller ?? null) !== (req.caller?.id ?? null)) {
+			return res.status(404).json({
+				success: false,
+				error: 'Scheduled email not found'
+			});
+		}
+
+		const result = await outbox.cancel(id);
+		if (!result) {
+			return res.status(404).json({
+				success: false,
+				error: 'Scheduled email not found'
+			});
+		}
+
+		if (!result.cancelled && result.job.status !== 'cancelled') {
+			return res.status(409).json({
+				success: false,
+				error: `Email can no longer be cancelled (status: ${result.job.status})`,
+				status: result.job.status
+			});
+		}
+
+		if (result.cancelled) {
+			logger.info('Scheduled email cancelled', { scheduleId: id, to: result.job.message?.to });
+			await deliveryLog.setStatus(id, 'cancelled').catch((err) => {
+				logger.warn('Delivery log update failed', { error: err?.message ?? String(err) });
+			});
+		}
+
+		return res.json({ success: true, scheduleId: id, status: 'cancelled' });
+	} catch (err) {
+		logger.error('Scheduled email cancel error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error cancelling email',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
+/**
+ * POST /api/v1/webhooks/bounces/:provider
+ *
+ * Headers:
+ *   X-Webhook-Token               // required (or ?token=) - BOUNCE_WEBHOOK_TOKEN
+ *
+ * :provider picks the payload adapter (see lib/bounces.js): 'normalized', 'ses',
+ * 'sendgrid', 'mailgun', 'postmark' or 'resend'. The normalized body is
+ * { type: 'bounce' | 'complaint', email, bounce_type: 'hard' | 'soft', detail?, occurred_at? },
+ * an array of those, or { events: [...] }.
+ *
+ * Hard bounces and complaints add the address to the suppression list; soft bounces
+ * are only counted. Responds 200 { success, received, suppressed, ignored }.
+ */
+app.post('/api/v1/webhooks/bounces/:provider', requireWebhookToken, express.text({ type: 'text/plain' }), async (req, res) => {
+	try {
+		const { events, error } = parseBounceEvents(req.params.provider, req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				error
+			});
+		}
+
+		let suppressed = 0;
+		for (const bounceEvent of events) {
+			const reason = suppressionReason(bounceEvent);
+			if (!reason) continue;
+
+			await suppressions.add({
+				email: bounceEvent.email,
+				reason,
+				provider: bounceEvent.provider,
+				detail: bounceEvent.detail
+			});
+			suppressed += 1;
+			logger.info('Address suppressed', { email: bounceEvent.email, reason, provider: bounceEvent.provider });
+		}
+
+		return res.json({
+			success: true,
+			received: events.length,
+			suppressed,
+			ignored: events.length - suppressed
+		});
+	} catch (err) {
+		logger.error('Bounce webhook error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error processing bounce webhook',
+			details: err?.message ?? String(err)
+		});
 	}
-	
-	return `<!doctype html>
-<html>
-	<head>
-		<meta charset="utf-8"/>
-		<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
-		<link href="https://fonts.googleapis.com/css2?family=Sono:wght@400;500;600;700&display=swap" rel="stylesheet">
-		<style>
-			body {
-				margin: 0;
-				padding: 0;
-				background-color: #e8f4f8;
-				font-family: 'Sono', Arial, sans-serif;
-			}
-		</style>
-	</head>
-	<body style="margin: 0; padding: 0; background-color: #e8f4f8; font-family: 'Sono', Arial, sans-serif;">
-		<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #e8f4f8; padding: 40px 20px;">
-			<tr>
-				<td align="center">
-					<!-- Main container with dark blue border -->
-					<table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="max-width: 600px; border-radius: 20px; overflow: hidden; border: 4px solid #0437F2; box-shadow: 0 8px 32px rgba(4, 55, 242, 0.15);">
-						
-						<!-- Header with light blue to green gradient and icons -->
-						<tr>
-							<td align="center" style="background: linear-gradient(135deg, #d4ebf7 0%, #c8e6d5 100%); padding: 40px 30px 30px 30px;">
-								<!-- Status Icon Circle -->
-								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto 20px;">
-									<tr>
-										<td align="center" style="background: ${iconBgColor}; width: 100px; height: 100px; border-radius: 50%; box-shadow: 0 6px 20px ${iconShadow};">
-											${isRejected || isVerificationRejected ? `
-											<span style="display: inline-block; font-size: 50px; margin-top: 25px;">❌</span>
-											` : isVerified ? `
-											<span style="display: inline-block; font-size: 50px; margin-top: 25px;">✅</span>
-											` : `
-											<img src="cid:checkmark-icon" alt="Success" style="width: 60px; height: 60px; margin-top: 20px;"/>
-											`}
-										</td>
-									</tr>
-								</table>
-								
-								<!-- MyStay Branding -->
-								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto;">
-									<tr>
-										<td align="center">
-											<img src="cid:mystay-icon" alt="MyStay App Icon" style="width: 48px; height: 48px; border-radius: 10px; vertical-align: middle; margin-right: 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);"/>
-											<span style="font-size: 26px; font-weight: 700; color: #0437F2; font-family: 'Sono', Arial, sans-serif; vertical-align: middle;">MyStay App</span>
-										</td>
-									</tr>
-								</table>
-							</td>
-						</tr>
-						
-						<!-- Status Message Banner -->
-						<tr>
-							<td align="center" style="background: ${bannerColor}; padding: 16px 30px;">
-								<h2 style="margin: 0; font-size: 20px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">${bannerText}</h2>
-							</td>
-						</tr>
-						
-						<!-- Main content with light blue-green gradient -->
-						<tr>
-							<td style="background: linear-gradient(180deg, #e0f2fe 0%, #d1fae5 100%); padding: 40px 30px;">
-								<p style="margin: 0 0 20px 0; font-size: 15px; color: #1e40af; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">
-									Hi <strong>${escapeHtml(hostName || 'there')}</strong>,
-								</p>
-								
-								${isVerified ? `
-								<p style="margin: 0 0 32px 0; font-size: 14px; color: #166534; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									Congratulations! Your host account has been <strong style="color: #0437F2;">successfully verified</strong>. You can now start creating and managing your listings on MyStay App.
-								</p>
-								<p style="margin: 0 0 32px 0; font-size: 14px; color: #166534; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									Welcome to the MyStay community! We're excited to have you as part of our platform.
-								</p>
-								` : isVerificationRejected ? `
-								<p style="margin: 0 0 24px 0; font-size: 14px; color: #991b1b; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									We're sorry to inform you that your <strong style="color: #0437F2;">host verification request</strong> was not approved after review.
-								</p>
-								` : isPublished ? `
-								<p style="margin: 0 0 32px 0; font-size: 14px; color: #166534; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									We are pleased to inform you that your submission <strong style="color: #0437F2;">'${escapeHtml(listingName)}'</strong> was just published on our app. Thank you.
-								</p>
-								` : isRejected ? `
-								<p style="margin: 0 0 24px 0; font-size: 14px; color: #991b1b; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									We're sorry to inform you that your listing <strong style="color: #0437F2;">'${escapeHtml(listingName)}'</strong> was not approved after review.
-								</p>
-								` : `
-								<p style="margin: 0 0 32px 0; font-size: 14px; color: #166534; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									Thank you for submitting your listing <strong style="color: #0437F2;">'${escapeHtml(listingName)}'</strong>.
-								</p>
-								`}
-								
-								${isVerified || isVerificationRejected ? `
-								<!-- Verification details card -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #ffffff; border-radius: 12px; overflow: hidden; border: 2px solid #0437F2; box-shadow: 0 4px 12px rgba(4, 55, 242, 0.1);">
-									<tr>
-										<td style="padding: 0;">
-											<!-- Details header -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="background: linear-gradient(90deg, #0437F2 0%, #0284c7 100%); padding: 14px 24px;">
-														<span style="font-size: 14px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">${isVerified ? 'Verification Status' : 'Verification Information'}</span>
-													</td>
-												</tr>
-											</table>
-											
-											<!-- Details content -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												${isVerified ? `
-												<tr>
-													<td style="padding: 20px 24px;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #1e40af; font-family: 'Sono', Arial, sans-serif; margin-bottom: 8px;">✅ Account Status</span>
-														<span style="display: block; font-size: 18px; font-weight: 700; color: #10b981; font-family: 'Sono', Arial, sans-serif;">Verified</span>
-													</td>
-												</tr>
-												` : ''}
-												${isVerificationRejected && verificationRejectionReason ? `
-												<tr>
-													<td style="padding: 20px 24px;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #991b1b; font-family: 'Sono', Arial, sans-serif; margin-bottom: 8px;">📋 Rejection Reason</span>
-														<span style="display: block; font-size: 14px; color: #7f1d1d; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(verificationRejectionReason)}</span>
-													</td>
-												</tr>
-												` : ''}
-											</table>
-										</td>
-									</tr>
-								</table>
-								` : `
-								<!-- Listing details card -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #ffffff; border-radius: 12px; overflow: hidden; border: 2px solid #0437F2; box-shadow: 0 4px 12px rgba(4, 55, 242, 0.1);">
-									<tr>
-										<td style="padding: 0;">
-											<!-- Details header -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="background: linear-gradient(90deg, #0437F2 0%, #0284c7 100%); padding: 14px 24px;">
-														<span style="font-size: 14px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">Listing Information</span>
-													</td>
-												</tr>
-											</table>
-											
-											<!-- Details content -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="padding: 20px 24px; ${isRejected ? 'border-bottom: 1px solid #fee2e2;' : ''}">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #1e40af; font-family: 'Sono', Arial, sans-serif; margin-bottom: 8px;">${iconEmoji} Listing Name</span>
-														<span style="display: block; font-size: 18px; font-weight: 700; color: #0437F2; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(listingName)}</span>
-													</td>
-												</tr>
-												${isRejected && rejectionReason ? `
-												<tr>
-													<td style="padding: 20px 24px;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #991b1b; font-family: 'Sono', Arial, sans-serif; margin-bottom: 8px;">📋 Rejection Reason</span>
-														<span style="display: block; font-size: 14px; color: #7f1d1d; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(rejectionReason)}</span>
-													</td>
-												</tr>
-												` : ''}
-											</table>
-										</td>
-									</tr>
-								</table>
-								`}
-								
-								${isRejected || isVerificationRejected ? `
-								<!-- Rejection notice box -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 24px; background: linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%); border-radius: 10px; border: 2px solid #ef4444; border-left: 6px solid #dc2626;">
-									<tr>
-										<td style="padding: 18px 24px;">
-											<p style="margin: 0; font-size: 13px; color: #991b1b; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">
-												<strong style="color: #dc2626; font-size: 14px;">💡 Next Steps:</strong><br/>
-												<span style="margin-top: 6px; display: inline-block; font-size: 13px;">${isVerificationRejected ? 'If you\'d like more information or wish to resubmit your verification request with corrections, please contact our support team. We\'re here to help!' : 'If you\'d like more information or wish to resubmit your listing with corrections, please contact our support team. We\'re here to help!'}</span>
-											</p>
-										</td>
-									</tr>
-								</table>
-								` : ''}
-								
-								<!-- Call to action -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 32px;">
-									<tr>
-										<td align="center" style="padding: 18px 24px; background: ${isRejected || isVerificationRejected ? 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)' : 'linear-gradient(135deg, #0437F2 0%, #0284c7 100%)'}; border-radius: 10px; box-shadow: 0 4px 12px ${isRejected || isVerificationRejected ? 'rgba(239, 68, 68, 0.3)' : 'rgba(4, 55, 242, 0.3)'};">
-											<p style="margin: 0; font-size: 13px; color: #ffffff; line-height: 1.6; font-family: 'Sono', Arial, sans-serif; font-weight: 500;">
-												${isVerified ? '🎉 Welcome to MyStay! You can now start creating your first listing and begin hosting guests.' : isVerificationRejected ? '💙 We appreciate your understanding. Please contact support if you have any questions.' : isPublished ? '🎊 Congratulations! Your listing is now live and visible to guests.' : isRejected ? '💙 We appreciate your understanding. Please contact support if you have any questions.' : '⏳ Your listing is under review. We\'ll notify you once it\'s published.'}
-											</p>
-										</td>
-									</tr>
-								</table>
-							</td>
-						</tr>
-						
-						<!-- Footer -->
-						<tr>
-							<td style="background-color: #f0f9ff; padding: 28px 30px; text-align: center; border-top: 2px solid #bfdbfe;">
-								<p style="margin: 0 0 8px 0; font-size: 12px; color: #1e40af; line-height: 1.6; font-family: 'Sono', Arial, sans-serif; font-weight: 500;">
-									This is an automated notification from MyStay App.<br/>
-									Need help? Contact our support team anytime.
-								</p>
-								<p style="margin: 8px 0 0 0; font-size: 11px; color: #0437F2; font-family: 'Sono', Arial, sans-serif; font-weight: 600;">
-									© ${new Date().getFullYear()} MyStay. All rights reserved.
-								</p>
-							</td>
-						</tr>
-					</table>
-				</td>
-			</tr>
-		</table>
-	</body>
-</html>`;
-}
+});
 
-// HTML email builder for host promotion payment confirmation
-function buildPromotionPaymentHtml({ hostName = '', promotionDetails = {} }) {
-	const {
-		package_name = '',
-		amount = 0,
-		duration_months = 1,
-		expiry_date = '',
-		listings = '',
-		mpesa_receipt = '',
-		listings_count = 0
-	} = promotionDetails;
+// Caller recorded in the delivery log (and counted by the caller rate limits) for webhook-driven emails
+const DB_WEBHOOK_CALLER = 'supabase-webhook';
 
-	return `<!doctype html>
-<html>
-	<head>
-		<meta charset="utf-8"/>
-		<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
-		<link href="https://fonts.googleapis.com/css2?family=Sono:wght@400;500;600;700&display=swap" rel="stylesheet">
-		<style>
-			body {
-				margin: 0;
-				padding: 0;
-				background-color: #e8f4f8;
-				font-family: 'Sono', Arial, sans-serif;
-			}
-		</style>
-	</head>
-	<body style="margin: 0; padding: 0; background-color: #e8f4f8; font-family: 'Sono', Arial, sans-serif;">
-		<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #e8f4f8; padding: 40px 20px;">
-			<tr>
-				<td align="center">
-					<!-- Main container with dark blue border -->
-					<table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="max-width: 600px; border-radius: 20px; overflow: hidden; border: 4px solid #0437F2; box-shadow: 0 8px 32px rgba(4, 55, 242, 0.15);">
-						
-						<!-- Header with gradient and premium icon -->
-						<tr>
-							<td align="center" style="background: linear-gradient(135deg, #fef3c7 0%, #fde68a 50%, #d4ebf7 100%); padding: 40px 30px 30px 30px;">
-								<!-- Premium Star Icon Circle -->
-								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto 20px;">
-									<tr>
-										<td align="center" style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); width: 100px; height: 100px; border-radius: 50%; box-shadow: 0 6px 20px rgba(245, 158, 11, 0.4);">
-											<span style="display: inline-block; font-size: 50px; margin-top: 25px;">⭐</span>
-										</td>
-									</tr>
-								</table>
-								
-								<!-- MyStay Branding -->
-								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto;">
-									<tr>
-										<td align="center">
-											<img src="cid:mystay-icon" alt="MyStay App Icon" style="width: 48px; height: 48px; border-radius: 10px; vertical-align: middle; margin-right: 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);"/>
-											<span style="font-size: 26px; font-weight: 700; color: #0437F2; font-family: 'Sono', Arial, sans-serif; vertical-align: middle;">MyStay App</span>
-										</td>
-									</tr>
-								</table>
-							</td>
-						</tr>
-						
-						<!-- Success Message Banner -->
-						<tr>
-							<td align="center" style="background: linear-gradient(90deg, #f59e0b 0%, #d97706 100%); padding: 16px 30px;">
-								<h2 style="margin: 0; font-size: 20px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">✓ Promotion Payment Confirmed</h2>
-							</td>
-						</tr>
-						
-						<!-- Main content -->
-						<tr>
-							<td style="background: linear-gradient(180deg, #fffbeb 0%, #fef3c7 50%, #e0f2fe 100%); padding: 40px 30px;">
-								<p style="margin: 0 0 20px 0; font-size: 15px; color: #1e40af; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">
-									Hi <strong>${escapeHtml(hostName || 'there')}</strong>,
-								</p>
-								<p style="margin: 0 0 32px 0; font-size: 14px; color: #92400e; line-height: 1.7; font-family: 'Sono', Arial, sans-serif;">
-									Thank you for upgrading to the <strong style="color: #d97706;">${escapeHtml(package_name)}</strong> promotion package! Your payment has been successfully processed. Your listings are now boosted and will receive enhanced visibility.
-								</p>
-								
-								<!-- Package details card -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #ffffff; border-radius: 12px; overflow: hidden; border: 2px solid #f59e0b; box-shadow: 0 4px 12px rgba(245, 158, 11, 0.15);">
-									<tr>
-										<td style="padding: 0;">
-											<!-- Details header -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="background: linear-gradient(90deg, #f59e0b 0%, #d97706 100%); padding: 14px 24px;">
-														<span style="font-size: 14px; font-weight: 700; color: #ffffff; font-family: 'Sono', Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px;">⭐ Promotion Package Details</span>
-													</td>
-												</tr>
-											</table>
-											
-											<!-- Details content -->
-											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-												<tr>
-													<td style="padding: 16px 24px; border-bottom: 1px solid #fef3c7;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #92400e; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">🏆 Package</span>
-														<span style="display: block; font-size: 20px; font-weight: 700; color: #d97706; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(package_name)}</span>
-													</td>
-												</tr>
-												<tr>
-													<td style="padding: 16px 24px; border-bottom: 1px solid #fef3c7;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #92400e; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">💰 Amount Paid</span>
-														<span style="display: block; font-size: 22px; font-weight: 700; color: #10b981; font-family: 'Sono', Arial, sans-serif;">KES ${escapeHtml(String(amount))}</span>
-													</td>
-												</tr>
-												${mpesa_receipt ? `
-												<tr>
-													<td style="padding: 16px 24px; border-bottom: 1px solid #fef3c7;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #92400e; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">📱 M-Pesa Receipt</span>
-														<span style="display: block; font-size: 15px; font-weight: 600; color: #0437F2; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(mpesa_receipt)}</span>
-													</td>
-												</tr>
-												` : ''}
-												<tr>
-													<td style="padding: 16px 24px; border-bottom: 1px solid #fef3c7;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #92400e; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">⏱️ Duration</span>
-														<span style="display: block; font-size: 15px; font-weight: 600; color: #0437F2; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(String(duration_months))} month${duration_months > 1 ? 's' : ''}</span>
-													</td>
-												</tr>
-												<tr>
-													<td style="padding: 16px 24px; border-bottom: 1px solid #fef3c7;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #92400e; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">📅 Expires On</span>
-														<span style="display: block; font-size: 15px; font-weight: 600; color: #0437F2; font-family: 'Sono', Arial, sans-serif;">${escapeHtml(expiry_date)}</span>
-													</td>
-												</tr>
-												<tr>
-													<td style="padding: 16px 24px;">
-														<span style="display: block; font-size: 13px; font-weight: 600; color: #92400e; font-family: 'Sono', Arial, sans-serif; margin-bottom: 4px;">🏠 Promoted Listings (${escapeHtml(String(listings_count))})</span>
-														<span style="display: block; font-size: 14px; font-weight: 500; color: #0437F2; font-family: 'Sono', Arial, sans-serif; line-height: 1.5;">${escapeHtml(listings)}</span>
-													</td>
-												</tr>
-											</table>
-										</td>
-									</tr>
-								</table>
-								
-								<!-- Benefits notice -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 24px; background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%); border-radius: 10px; border: 2px solid #f59e0b; border-left: 6px solid #d97706;">
-									<tr>
-										<td style="padding: 18px 24px;">
-											<p style="margin: 0; font-size: 13px; color: #92400e; line-height: 1.6; font-family: 'Sono', Arial, sans-serif;">
-												<strong style="color: #d97706; font-size: 14px;">🚀 Your Promotion Benefits:</strong><br/>
-												<span style="margin-top: 6px; display: inline-block; font-size: 13px;">Your listings will appear at the top of search results, get featured on the homepage, and receive a premium badge to attract more guests!</span>
-											</p>
-										</td>
-									</tr>
-								</table>
-								
-								<!-- Call to action -->
-								<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 32px;">
-									<tr>
-										<td align="center" style="padding: 18px 24px; background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); border-radius: 10px; box-shadow: 0 4px 12px rgba(245, 158, 11, 0.3);">
-											<p style="margin: 0; font-size: 13px; color: #ffffff; line-height: 1.6; font-family: 'Sono', Arial, sans-serif; font-weight: 500;">
-												🎉 Congratulations on your upgrade! Your promoted listings are now live and reaching more guests.
-											</p>
-										</td>
-									</tr>
-								</table>
-							</td>
-						</tr>
-						
-						<!-- Footer -->
-						<tr>
-							<td style="background-color: #fffbeb; padding: 28px 30px; text-align: center; border-top: 2px solid #fde68a;">
-								<p style="margin: 0 0 8px 0; font-size: 12px; color: #92400e; line-height: 1.6; font-family: 'Sono', Arial, sans-serif; font-weight: 500;">
-									This is an automated payment confirmation from MyStay App.<br/>
-									Need help? Contact our support team anytime.
-								</p>
-								<p style="margin: 8px 0 0 0; font-size: 11px; color: #d97706; font-family: 'Sono', Arial, sans-serif; font-weight: 600;">
-									© ${new Date().getFullYear()} MyStay. All rights reserved.
-								</p>
-							</td>
-						</tr>
-					</table>
-				</td>
-			</tr>
-		</table>
-	</body>
-</html>`;
-}
+// Result statuses worth Supabase redelivering the change for: in flight, rate limited, lookup or server errors
+const DB_WEBHOOK_RETRY_STATUSES = [409, 429, 500, 503];
 
-function escapeHtml(s) {
-	if (s === null || s === undefined) return '';
-	return String(s)
-		.replaceAll('&', '&amp;')
-		.replaceAll('<', '&lt;')
-		.replaceAll('>', '&gt;')
-		.replaceAll('"', '&quot;')
-		.replaceAll("'", '&#039;');
+/**
+ * Idempotency key a webhook email is reserved under: a guest payment uses /api/v1/email/send's
+ * receipt key, so the M-Pesa callback and the payments webhook send one receipt between them;
+ * anything else the row change (changeKey), so Supabase's retries don't queue it again
+ */
+function dbWebhookIdempotencyKey(rule, body, changeKey) {
+	const paymentKey = rule.group === 'guest' && rule.email_type === 'payment' ? paymentNaturalKey(body) : null;
+	if (paymentKey) return naturalIdempotencyKey('send', paymentKey);
+	return changeKey ? naturalIdempotencyKey('webhooks/supabase', changeKey) : null;
 }
 
-// Create nodemailer transporter
-function createTransporter() {
-	const port = SMTP_PORT ? Number(SMTP_PORT) : 465;
-	const secure = port === 465;
-	return nodemailer.createTransport({
-		host: SMTP_HOST,
-		port,
-		secure,
-		auth: { user: SMTP_USER, pass: SMTP_PASS },
+// Prepare and queue one webhook email; returns its entry in the response's results
+async function queueDbWebhookEmail(rule, body, emailType) {
+	const prepared = await prepareTemplatedEmail(rule.group, body, recipientLookup.lookup);
+	if (prepared.error) {
+		return { email_type: emailType, success: false, status: prepared.status, error: prepared.error, details: prepared.details };
+	}
+
+	const limited = await checkRateLimit({ caller: DB_WEBHOOK_CALLER, email: prepared.email, template: prepared.template });
+	if (limited) {
+		return { email_type: emailType, success: false, status: 429, error: limited.error, retryAfter: limited.retryAfter };
+	}
+
+	const job = await queueTemplatedEmail({
+		endpoint: 'webhooks/supabase',
+		caller: DB_WEBHOOK_CALLER,
+		body,
+		prepared
 	});
+	return { email_type: emailType, success: true, status: 202, to: prepared.email, jobId: job.id };
 }
 
-/**
- * Lookup recipient from database
- * Returns email and name from profiles/guest_profiles or profiles/host_profiles
- */
-async function lookupRecipient(recipientId) {
-	if (!recipientId) return { email: null, name: null };
-
-	try {
-		// Get email from profiles table
-		const { data: profile, error: profileErr } = await supabase
-			.from('profiles')
-			.select('id, email, role')
-			.eq('id', recipientId)
-			.limit(1)
-			.maybeSingle();
-
-		if (profileErr) {
-			console.error('Supabase profiles lookup error:', profileErr);
-			return { email: null, name: null };
-		}
+// One email a database change fired, deduplicated through the idempotency store; returns its result
+async function dbWebhookEmail(change, { rule, recipientId, data, changeKey }) {
+	const emailType = `${rule.group}.${rule.email_type}`;
+	if (!recipientId) {
+		return { email_type: emailType, success: false, status: 400, error: `${change.table}.${rule.recipient} is empty` };
+	}
 
-		const email = profile?.email ?? null;
-		const role = profile?.role;
-		let name = null;
-
-		// Lookup name based on role
-		if (role === 'guest') {
-			const { data: guest, error: guestErr } = await supabase
-				.from('guest_profiles')
-				.select('user_id, full_name')
-				.eq('user_id', recipientId)
-				.limit(1)
-				.maybeSingle();
-
-			if (guestErr && guestErr.code !== 'PGRST116') {
-				console.warn('guest_profiles lookup warning:', guestErr);
-			}
-			name = guest?.full_name ?? null;
-
-		} else if (role === 'host') {
-			const { data: host, error: hostErr } = await supabase
-				.from('host_profiles')
-				.select('user_id, first_name, last_name')
-				.eq('user_id', recipientId)
-				.limit(1)
-				.maybeSingle();
-
-			if (hostErr && hostErr.code !== 'PGRST116') {
-				console.warn('host_profiles lookup warning:', hostErr);
-			}
+	const body = { ...data, email_type: rule.email_type, [RECIPIENT_FIELDS[rule.group].id]: recipientId };
+	const key = dbWebhookIdempotencyKey(rule, body, changeKey);
+	if (!key) return queueDbWebhookEmail(rule, body, emailType);
 
-			if (host) {
-				name = `${host.first_name || ''} ${host.last_name || ''}`.trim();
-			}
-		}
+	const reservation = await idempotencyStore.reserve({
+		key,
+		requestHash: null,
+		expiresAt: new Date(Date.now() + Number(IDEMPOTENCY_WINDOW_SECONDS) * 1000)
+	});
+	if (!reservation.created) {
+		const { record } = reservation;
+		logger.info('Database webhook email already queued', { key, jobId: record.response?.body?.jobId });
+		return record.status === 'completed'
+			? { email_type: emailType, success: true, status: 200, duplicate: true, jobId: record.response?.body?.jobId }
+			: { email_type: emailType, success: false, status: 409, error: 'The same email is still being queued' };
+	}
 
-		return { email, name };
+	let result;
+	try {
+		result = await queueDbWebhookEmail(rule, body, emailType);
 	} catch (err) {
-		console.error('lookupRecipient unexpected error:', err);
-		return { email: null, name: null };
+		await idempotencyStore.release(key).catch(() => {});
+		throw err;
 	}
+
+	// Kept like a /send response, so a later /send with the same receipt replays it; failures free the key
+	const done = result.success
+		? idempotencyStore.complete(key, {
+			status_code: 202,
+			body: { success: true, message: 'Email queued for delivery', to: result.to, jobId: result.jobId }
+		})
+		: idempotencyStore.release(key);
+	await done.catch((err) => logger.warn('Idempotency record update failed', { key, error: err?.message ?? String(err) }));
+	return result;
 }
 
 /**
- * POST /api/v1/email/send
+ * POST /api/v1/webhooks/supabase
  *
- * Body:
+ * Headers:
+ *   X-Webhook-Token               // required (or ?token=) - DB_WEBHOOK_SECRET
+ *
+ * Body: a Supabase database webhook (set it up on listings, host_profiles, payments, ...)
  * {
- *   mpesa_receipt,              // optional - M-Pesa transaction code
- *   payment_title,              // required - email subject
- *   amount,                     // required - formatted amount string
- *   booking_id,                 // optional - booking reference
- *   email,                      // optional (if provided, used directly)
- *   recipient_id,               // optional (uuid to lookup in profiles)
- *   recipient_name,             // optional (if provided, used; otherwise looked up)
- *   extra_message               // optional - additional info
+ *   type,                         // 'INSERT', 'UPDATE' or 'DELETE'
+ *   table,                        // e.g. 'listings'
+ *   record,                       // the row after the change
+ *   old_record                    // the row before it (UPDATE)
  * }
+ *
+ * Every DB_WEBHOOK_RULES rule the change matches (e.g. listings.status pending -> published)
+ * queues its email as host/send or guest/send would, with the recipient looked up from the
+ * rule's id column and the template fields taken from the row. Responds
+ *   200 { success, type, table, matched, queued,
+ *         results: [{ email_type, success, status, to?, jobId?, duplicate?, error?, details?, retryAfter? }] }
+ * where each result's status is as for a batch item. Changes no rule matches get matched: 0.
+ * An email already queued inside IDEMPOTENCY_WINDOW_SECONDS - a retried delivery, or a payment
+ * receipt /api/v1/email/send already queued for the same mpesa_receipt - isn't queued again:
+ * its result is { success, status: 200, duplicate: true, jobId? }, or 409 while the first is in flight.
+ * When any email failed with a 409, 429, 500 or 503 the response is 503 with the same body
+ * (success: false, error), so Supabase redelivers the change; the emails already queued come
+ * back as duplicates then.
+ * Changes to profiles, guest_profiles, host_profiles or admin_profiles also drop that user's
+ * cached profile lookup, so add the webhook to those tables as well.
  */
-app.post('/api/v1/email/send', async (req, res) => {
+app.post('/api/v1/webhooks/supabase', requireDbWebhookSecret, async (req, res) => {
 	try {
-		const body = req.body || {};
-		const {
-			mpesa_receipt,
-			payment_title,
-			amount,
-			booking_id,
-			email,
-			recipient_id,
-			recipient_name,
-			extra_message
-		} = body;
-
-		// Validate required fields
-		if (!payment_title || amount === undefined || amount === null) {
+		const { change, emails, error } = emailsForChange(dbWebhookRules, req.body);
+		if (error) {
 			return res.status(400).json({
 				success: false,
-				error: 'Missing required fields: payment_title and amount'
+				error
 			});
 		}
 
-		let targetEmail = email ?? null;
-		let finalRecipientName = recipient_name ?? '';
-
-		// If email not provided, lookup using recipient_id
-		if (!targetEmail) {
-			if (!recipient_id) {
-				return res.status(400).json({
-					success: false,
-					error: 'Provide either email or recipient_id'
-				});
-			}
-
-			const { email: lookedUpEmail, name: lookedUpName } = await lookupRecipient(String(recipient_id));
-
-			if (!lookedUpEmail) {
-				return res.status(404).json({
-					success: false,
-					error: 'Recipient email not found in database'
-				});
-			}
-
-			targetEmail = lookedUpEmail;
-
-			// Use looked up name only if recipient_name wasn't provided
-			if (!finalRecipientName && lookedUpName) {
-				finalRecipientName = lookedUpName;
+		// A changed profile row (email, locale, preferences, name) drops its cached recipient
+		const changedRecipientId = recipientIdForRow(change.table, req.body.record ?? req.body.old_record);
+		if (changedRecipientId) recipientLookup.invalidate(changedRecipientId);
+
+		const results = [];
+		for (const email of emails) {
+			try {
+				results.push(await dbWebhookEmail(change, email));
+			} catch (err) {
+				const emailType = `${email.rule.group}.${email.rule.email_type}`;
+				logger.error('Database webhook email error', { email_type: emailType, error: err?.message ?? String(err) });
+				results.push({ email_type: emailType, success: false, status: 500, error: err?.message ?? String(err) });
 			}
 		}
 
-		console.log('Sending email to:', {
-			email: targetEmail,
-			name: finalRecipientName || '(no name)',
-			mpesa_receipt: mpesa_receipt || '(not provided)',
-			booking_id: booking_id || '(none)'
-		});
-
-		// Build HTML email
-		const html = buildHtml({
-			recipientName: finalRecipientName,
-			paymentTitle: payment_title,
-			mpesaReceipt: mpesa_receipt ?? null,
-			amount,
-			bookingId: booking_id ?? null,
-			extraMessage: extra_message ?? null
-		});
-
-		// Build plain text version
-		const text = `${payment_title}\n\nHi ${finalRecipientName || 'there'},\n\nPayment received.\nAmount: ${amount}\nM-Pesa Receipt: ${mpesa_receipt || 'Processing...'}\n${booking_id ? `Booking ID: ${booking_id}\n` : ''}\n${extra_message ? `\n${extra_message}` : ''}`;
-
-		// Create transporter
-		const transporter = createTransporter();
-
-		// Verify SMTP connection (optional but recommended)
-		try {
-			await transporter.verify();
-			console.log('SMTP connection verified successfully');
-		} catch (verifyErr) {
-			console.warn('SMTP verify warning:', verifyErr?.message || verifyErr);
+		for (const [index, { rule }] of emails.entries()) {
+			metrics.recordSend({
+				endpoint: 'webhooks/supabase',
+				emailType: rule.email_type,
+				status: results[index].status,
+				replayed: Boolean(results[index].duplicate)
+			});
 		}
 
-		// Prepare mail options
-		const mailOptions = {
-			from: `${FROM_NAME || 'MyStay'} <${FROM_EMAIL || SMTP_USER}>`,
-			to: targetEmail,
-			subject: payment_title,
-			text,
-			html,
-			attachments: [
-				{
-					filename: 'mystay-icon.png',
-					path: path.join(__dirname, 'mystay-icon.png'),
-					cid: 'mystay-icon' // Content-ID for embedding in HTML
-				},
-				{
-					filename: 'checkmark.png',
-					path: path.join(__dirname, 'checkmark.png'),
-					cid: 'checkmark-icon' // Content-ID for embedding in HTML
-				}
-			]
-		};
-
-		// Send email
-		const info = await transporter.sendMail(mailOptions);
-
-		console.log('Email sent successfully:', {
-			to: targetEmail,
-			messageId: info?.messageId,
-			response: info?.response
-		});
+		const queued = results.filter((result) => result.success && !result.duplicate).length;
+		if (results.length > 0) {
+			logger.info('Database webhook emails', { ...change, matched: results.length, queued });
+		}
 
-		return res.status(200).json({
-			success: true,
-			message: 'Email sent successfully',
-			to: targetEmail,
-			messageId: info?.messageId ?? null
+		const retryable = results.filter((result) => DB_WEBHOOK_RETRY_STATUSES.includes(result.status)).length;
+		return res.status(retryable > 0 ? 503 : 200).json({
+			success: retryable === 0,
+			...(retryable > 0 && { error: `${retryable} of ${results.length} emails failed; retry the webhook` }),
+			...change,
+			matched: results.length,
+			queued,
+			results
 		});
-
 	} catch (err) {
-		console.error('Email service error:', err);
+		logger.error('Database webhook error', { error: err });
 		return res.status(500).json({
 			success: false,
-			error: 'Server error sending email',
+			error: 'Server error processing database webhook',
 			details: err?.message ?? String(err)
 		});
 	}
 });
 
 /**
- * POST /api/v1/email/host/send
+ * GET /api/v1/suppressions/:email
  *
- * Body:
- * {
- *   host_id,                      // optional (uuid to lookup host email and name)
- *   host_email,                   // optional (if provided, used directly)
- *   host_name,                    // optional (if provided, used; otherwise looked up)
- *   listing_name,                // required for listing emails, optional for verification emails
- *   email_type,                   // required - 'submitted', 'published', 'rejected', 'verified', or 'verification_rejected'
- *   rejection_reason,             // optional - required if email_type is 'rejected'
- *   verification_rejection_reason // optional - required if email_type is 'verification_rejected'
- * }
+ * Whether (and why) an address is suppressed.
  */
-app.post('/api/v1/email/host/send', async (req, res) => {
+app.get('/api/v1/suppressions/:email', requireApiKey, async (req, res) => {
 	try {
-		const body = req.body || {};
-		const {
-			host_id,
-			host_email,
-			host_name,
-			listing_name,
-			email_type,
-			rejection_reason,
-			verification_rejection_reason
-		} = body;
-
-		// Validate required fields
-		const isVerificationEmail = email_type === 'verified' || email_type === 'verification_rejected';
-		const isListingEmail = email_type === 'submitted' || email_type === 'published' || email_type === 'rejected';
-		
-		if (!email_type) {
-			return res.status(400).json({
+		const suppression = await suppressions.get(req.params.email);
+		if (!suppression) {
+			return res.status(404).json({
 				success: false,
-				error: 'Missing required field: email_type'
+				error: 'Address is not suppressed'
 			});
 		}
 
-		if (isListingEmail && !listing_name) {
-			return res.status(400).json({
-				success: false,
-				error: 'Missing required field: listing_name (required for listing emails)'
-			});
-		}
+		return res.json({ success: true, suppression });
+	} catch (err) {
+		logger.error('Suppression lookup error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error looking up suppression',
+			details: err?.message ?? String(err)
+		});
+	}
+});
 
-		// Validate email_type
-		const validEmailTypes = ['submitted', 'published', 'rejected', 'verified', 'verification_rejected', 'promotion_payment'];
-		if (!validEmailTypes.includes(email_type)) {
-			return res.status(400).json({
+/**
+ * DELETE /api/v1/suppressions/:email
+ *
+ * Lift a suppression (e.g. the guest fixed their mailbox or asked to be reinstated).
+ */
+app.delete('/api/v1/suppressions/:email', requireApiKey, async (req, res) => {
+	try {
+		const removed = await suppressions.remove(req.params.email);
+		if (!removed) {
+			return res.status(404).json({
 				success: false,
-				error: `email_type must be one of: ${validEmailTypes.join(', ')}`
+				error: 'Address is not suppressed'
 			});
 		}
 
-		// Validate rejection_reason if email_type is 'rejected'
-		if (email_type === 'rejected' && !rejection_reason) {
-			return res.status(400).json({
-				success: false,
-				error: 'rejection_reason is required when email_type is "rejected"'
-			});
-		}
+		return res.json({ success: true, email: req.params.email });
+	} catch (err) {
+		logger.error('Suppression remove error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error removing suppression',
+			details: err?.message ?? String(err)
+		});
+	}
+});
 
-		// Validate verification_rejection_reason if email_type is 'verification_rejected'
-		if (email_type === 'verification_rejected' && !verification_rejection_reason) {
-			return res.status(400).json({
-				success: false,
-				error: 'verification_rejection_reason is required when email_type is "verification_rejected"'
-			});
-		}
+// Minimal page for people who open an unsubscribe link in a browser
+function unsubscribePage(heading, message, form = '') {
+	return `<!doctype html>
+<html lang="en">
+	<head>
+		<meta charset="utf-8"/>
+		<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+		<title>MyStay - ${heading}</title>
+	</head>
+	<body style="margin: 0; padding: 60px 20px; background-color: #e8f4f8; font-family: 'Sono', Arial, sans-serif; text-align: center;">
+		<h2 style="color: #0437F2;">${heading}</h2>
+		<p style="color: #1e40af; font-size: 15px;">${message}</p>${form}
+	</body>
+</html>`;
+}
 
-		// Validate promotion_details if email_type is 'promotion_payment'
-		const promotion_details = body.promotion_details;
-		if (email_type === 'promotion_payment') {
-			if (!promotion_details) {
-				return res.status(400).json({
-					success: false,
-					error: 'promotion_details is required when email_type is "promotion_payment"'
-				});
-			}
-			if (!promotion_details.package_name || !promotion_details.amount || !promotion_details.expiry_date) {
-				return res.status(400).json({
-					success: false,
-					error: 'promotion_details must include package_name, amount, and expiry_date'
-				});
-			}
-		}
+// Confirmation form on the GET page; it POSTs the token back
+function unsubscribeForm(token) {
+	return `
+		<form method="post" action="/api/v1/unsubscribe">
+			<input type="hidden" name="token" value="${escapeHtml(token)}"/>
+			<button type="submit" style="margin-top: 12px; padding: 12px 28px; border: 0; border-radius: 8px; background-color: #0437F2; color: #ffffff; font-size: 15px; font-weight: 600; cursor: pointer;">Unsubscribe</button>
+		</form>`;
+}
 
-		let targetEmail = host_email ?? null;
-		let finalHostName = host_name ?? '';
+function categoryName(category) {
+	return createI18n('en').t(`common.categories.${category}`);
+}
 
-		// If email not provided, lookup using host_id
-		if (!targetEmail) {
-			if (!host_id) {
-				return res.status(400).json({
-					success: false,
-					error: 'Provide either host_email or host_id'
-				});
-			}
+// Used by POST, from the confirmation form and from List-Unsubscribe one-click
+async function unsubscribe(token) {
+	const claims = unsubscribeLinks.verify(token);
+	if (!claims) {
+		return { status: 400, error: 'Invalid or missing unsubscribe token' };
+	}
 
-			const { email: lookedUpEmail, name: lookedUpName } = await lookupRecipient(String(host_id));
+	const preferences = await updatePreferences(claims.recipientId, { [claims.category]: false });
+	recipientLookup.invalidate(claims.recipientId);
+	if (!preferences) {
+		return { status: 404, error: 'Recipient not found' };
+	}
 
-			if (!lookedUpEmail) {
-				return res.status(404).json({
-					success: false,
-					error: 'Host email not found in database'
-				});
-			}
+	logger.info('Recipient unsubscribed', claims);
+	return { status: 200, category: claims.category, preferences };
+}
 
-			targetEmail = lookedUpEmail;
+/**
+ * GET /api/v1/unsubscribe?token=...
+ *
+ * The unsubscribe link in the email footer. Only shows a confirmation page: link scanners
+ * and prefetchers open links nobody clicked, so the form on it POSTs the token to turn the
+ * category off.
+ */
+app.get('/api/v1/unsubscribe', (req, res) => {
+	const claims = unsubscribeLinks.verify(req.query.token);
+	if (!claims) {
+		return res.status(400).send(unsubscribePage('Unsubscribe failed', 'This unsubscribe link is invalid or no longer matches an account.'));
+	}
 
-			// Use looked up name only if host_name wasn't provided
-			if (!finalHostName && lookedUpName) {
-				finalHostName = lookedUpName;
+	return res.send(unsubscribePage(
+		'Unsubscribe from MyStay emails?',
+		`You'll stop receiving ${categoryName(claims.category)} emails from MyStay. Booking, payment and account emails will still reach you.`,
+		unsubscribeForm(req.query.token)
+	));
+});
+
+/**
+ * POST /api/v1/unsubscribe
+ *
+ * One-click unsubscribe (RFC 8058): mail clients POST "List-Unsubscribe=One-Click" to the
+ * List-Unsubscribe URL, so the token comes from the query string (or a JSON/form `token`).
+ * Also the target of the GET page's confirmation form.
+ *
+ * Responds 200 { success, category, preferences }, or a confirmation page when the
+ * request prefers HTML (the form, submitted from a browser).
+ */
+app.post('/api/v1/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+	const wantsPage = req.accepts(['json', 'html']) === 'html';
+	try {
+		const result = await unsubscribe(req.query.token || req.body?.token);
+		if (result.error) {
+			if (wantsPage) {
+				return res.status(result.status).send(unsubscribePage('Unsubscribe failed', 'This unsubscribe link is invalid or no longer matches an account.'));
 			}
+			return res.status(result.status).json({
+				success: false,
+				error: result.error
+			});
 		}
 
-		console.log('Sending host email to:', {
-			email: targetEmail,
-			name: finalHostName || '(no name)',
-			listing_name: listing_name || '(N/A - verification/promotion email)',
-			email_type: email_type,
-			rejection_reason: email_type === 'rejected' ? (rejection_reason || '(not provided)') : '(N/A)',
-			verification_rejection_reason: email_type === 'verification_rejected' ? (verification_rejection_reason || '(not provided)') : '(N/A)',
-			promotion_details: email_type === 'promotion_payment' ? promotion_details : '(N/A)'
+		if (wantsPage) {
+			return res.send(unsubscribePage(
+				'You have been unsubscribed',
+				`You won't receive ${categoryName(result.category)} emails from MyStay any more. Booking, payment and account emails will still reach you.`
+			));
+		}
+		return res.json({
+			success: true,
+			category: result.category,
+			preferences: result.preferences
 		});
-
-		// Build HTML email
-		let html;
-		if (email_type === 'promotion_payment') {
-			html = buildPromotionPaymentHtml({
-				hostName: finalHostName,
-				promotionDetails: promotion_details
-			});
-		} else {
-			html = buildHostHtml({
-				hostName: finalHostName,
-				listingName: listing_name || '',
-				emailType: email_type,
-				rejectionReason: rejection_reason || null,
-				verificationRejectionReason: verification_rejection_reason || null
-			});
+	} catch (err) {
+		logger.error('Unsubscribe error', { error: err });
+		if (wantsPage) {
+			return res.status(500).send(unsubscribePage('Something went wrong', 'Please try again in a few minutes.'));
 		}
+		return res.status(500).json({
+			success: false,
+			error: 'Server error updating preferences',
+			details: err?.message ?? String(err)
+		});
+	}
+});
 
-		// Build plain text version for all email types
-		let subject, text;
-
-		if (email_type === 'published') {
-			subject = `Your listing '${listing_name}' has been published`;
-			text = `Hi ${finalHostName || 'there'},\n\nWe are pleased to inform you that your submission '${listing_name}' was just published on our app. Thank you.`;
-		} else if (email_type === 'submitted') {
-			subject = `Your listing '${listing_name}' has been submitted`;
-			text = `Hi ${finalHostName || 'there'},\n\nThank you for submitting your listing '${listing_name}'.`;
-		} else if (email_type === 'rejected') {
-			subject = `Your listing '${listing_name}' was not approved`;
-			text = `Hi ${finalHostName || 'there'},\n\nWe're sorry to inform you that your listing '${listing_name}' was not approved after review.\n\nReason: ${rejection_reason}\n\nIf you'd like more information or wish to try again, please contact our support team.`;
-		} else if (email_type === 'verified') {
-			subject = `Your host account has been verified`;
-			text = `Hi ${finalHostName || 'there'},\n\nCongratulations! Your host account has been successfully verified. You can now start creating and managing your listings on MyStay App.\n\nWelcome to the MyStay community!`;
-		} else if (email_type === 'verification_rejected') {
-			subject = `Host verification not approved`;
-			text = `Hi ${finalHostName || 'there'},\n\nWe're sorry to inform you that your host verification request was not approved.\n\nReason: ${verification_rejection_reason}\n\nIf you'd like more information or wish to resubmit your verification, please contact our support team.`;
-		} else if (email_type === 'promotion_payment') {
-			const { package_name, amount, duration_months, expiry_date, listings, mpesa_receipt, listings_count } = promotion_details;
-			subject = `Promotion Payment Confirmed - ${package_name} Package`;
-			text = `Hi ${finalHostName || 'there'},\n\nThank you for upgrading to the ${package_name} promotion package!\n\nPayment Details:\n- Package: ${package_name}\n- Amount: KES ${amount}\n- M-Pesa Receipt: ${mpesa_receipt || 'Processing...'}\n- Duration: ${duration_months} month${duration_months > 1 ? 's' : ''}\n- Expires: ${expiry_date}\n- Promoted Listings (${listings_count}): ${listings}\n\nYour listings are now boosted and will receive enhanced visibility. Congratulations!`;
-		}
+// Template previews are on by default outside production
+const previewEnabled = TEMPLATE_PREVIEW_ENABLED
+	? TEMPLATE_PREVIEW_ENABLED === 'true'
+	: NODE_ENV !== 'production';
 
-		// Create transporter
-		const transporter = createTransporter();
+function requirePreviewEnabled(req, res, next) {
+	if (!previewEnabled) {
+		return res.status(404).json({ error: 'Route not found' });
+	}
+	return next();
+}
 
-		// Verify SMTP connection (optional but recommended)
-		try {
-			await transporter.verify();
-			console.log('SMTP connection verified successfully');
-		} catch (verifyErr) {
-			console.warn('SMTP verify warning:', verifyErr?.message || verifyErr);
-		}
+/**
+ * GET /api/v1/templates
+ *
+ * HTML index linking a preview of every template variant.
+ */
+app.get('/api/v1/templates', requirePreviewEnabled, (req, res) => {
+	res.type('html').send(galleryHtml('/api/v1/templates'));
+});
 
-		// Prepare mail options
-		const mailOptions = {
-			from: `${FROM_NAME || 'MyStay'} <${FROM_EMAIL || SMTP_USER}>`,
-			to: targetEmail,
-			subject: subject,
-			text,
-			html,
-			attachments: [
-				{
-					filename: 'mystay-icon.png',
-					path: path.join(__dirname, 'mystay-icon.png'),
-					cid: 'mystay-icon'
-				},
-				{
-					filename: 'checkmark.png',
-					path: path.join(__dirname, 'checkmark.png'),
-					cid: 'checkmark-icon'
-				}
-			]
-		};
+/**
+ * GET /api/v1/templates/:type/preview
+ *
+ * :type is a template id ('host.rejected') or a bare type ('payment', 'promotion_payment').
+ *
+ * Query:
+ *   variant                       // optional - sample data set, default 'default' (e.g. 'refund' for payment)
+ *   format                        // optional - 'html' (default) or 'text'
+ *   ...                           // any other field overrides the sample data, e.g. recipient_name=Jane or locale=sw
+ *
+ * Renders with sample data only; never touches SMTP or Supabase.
+ */
+app.get('/api/v1/templates/:type/preview', requirePreviewEnabled, (req, res) => {
+	try {
+		const { variant = 'default', format = 'html', ...overrides } = req.query;
 
-		// Send email
-		const info = await transporter.sendMail(mailOptions);
+		const template = findTemplate(req.params.type);
+		if (!template) {
+			return res.status(404).json({
+				success: false,
+				error: `Unknown template: ${req.params.type}`,
+				templates: listTemplates().map((t) => t.id)
+			});
+		}
 
-		console.log('Host email sent successfully:', {
-			to: targetEmail,
-			messageId: info?.messageId,
-			response: info?.response
-		});
+		if (format !== 'html' && format !== 'text') {
+			return res.status(400).json({
+				success: false,
+				error: 'format must be one of: html, text'
+			});
+		}
 
-		return res.status(200).json({
-			success: true,
-			message: 'Host email sent successfully',
-			to: targetEmail,
-			messageId: info?.messageId ?? null
-		});
+		const preview = renderPreview(template, { variant, format, overrides });
+		if (!preview) {
+			return res.status(404).json({
+				success: false,
+				error: `Unknown variant "${variant}" for template ${template.id}`,
+				variants: Object.keys(template.samples)
+			});
+		}
 
+		return res.type(preview.contentType).send(preview.body);
 	} catch (err) {
-		console.error('Host email service error:', err);
+		logger.error('Template preview error', { error: err });
 		return res.status(500).json({
 			success: false,
-			error: 'Server error sending host email',
+			error: 'Server error rendering preview',
 			details: err?.message ?? String(err)
 		});
 	}
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+	// Verified at startup; a cold serverless instance checks on its first health call
+	let providers = providerStatus();
+	if (providers.some((provider) => provider.state === 'unverified')) providers = await verifyProviders();
+
 	res.json({
 		ok: true,
 		service: 'MyStay Email Service',
-		timestamp: new Date().toISOString()
+		timestamp: new Date().toISOString(),
+		providers
 	});
 });
 
+/**
+ * GET /metrics
+ *
+ * Headers:
+ *   Authorization: Bearer <token>  // required when METRICS_TOKEN is set
+ *
+ * Prometheus text format: send volume and outcomes, delivery latency, recipient lookup
+ * failures and outbox depth (see lib/metrics.js).
+ */
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+	try {
+		const body = await metrics.metrics();
+		return res.type(metrics.contentType).send(body);
+	} catch (err) {
+		logger.error('Metrics error', { error: err });
+		return res.status(500).json({
+			success: false,
+			error: 'Server error collecting metrics',
+			details: err?.message ?? String(err)
+		});
+	}
+});
+
 // API info endpoint
 app.get('/api/v1/info', (req, res) => {
 	res.json({
@@ -1100,18 +1711,56 @@ app.get('/api/v1/info', (req, res) => {
 		version: '2.1',
 		endpoints: {
 			send: 'POST /api/v1/email/send',
+			guestSend: 'POST /api/v1/email/guest/send',
 			hostSend: 'POST /api/v1/email/host/send',
-			health: 'GET /health'
+			batch: 'POST /api/v1/email/batch',
+			processOutbox: 'POST /api/v1/outbox/process',
+			processPromotionReminders: 'POST /api/v1/promotions/reminders/process',
+			bounceWebhook: `POST /api/v1/webhooks/bounces/:provider (${BOUNCE_ADAPTERS.join(', ')})`,
+			databaseWebhook: 'POST /api/v1/webhooks/supabase',
+			suppression: 'GET /api/v1/suppressions/:email',
+			removeSuppression: 'DELETE /api/v1/suppressions/:email',
+			unsubscribe: 'GET/POST /api/v1/unsubscribe?token=...',
+			emailStatus: 'GET /api/v1/email/:id',
+			cancelScheduled: 'DELETE /api/v1/email/scheduled/:id',
+			listEmails: 'GET /api/v1/emails',
+			templates: 'GET /api/v1/templates',
+			templatePreview: 'GET /api/v1/templates/:type/preview',
+			health: 'GET /health',
+			metrics: 'GET /metrics'
 		},
 		features: [
 			'Guest and Host email support',
-			'Automatic name lookup from database',
+			'Automatic name lookup from database (cached; guest, host and admin profiles)',
 			'M-Pesa receipt display',
 			'Booking reference tracking',
 			'Custom messages support',
+			'Guest booking confirmed, cancelled, check-in reminder and review request emails',
+			'Explicit transaction types (payment, refund, deposit, payout, chargeback) for guests and hosts',
+			'API key authentication with optional HMAC request signing',
+			'Durable outbox with retries and dead-lettering',
+			'Idempotency keys for retried payment callbacks',
+			'Delivery log with per-attempt status lookup',
 			'Host listing submission notifications',
 			'Host listing published notifications',
-			'Host promotion payment confirmation'
+			'Host promotion payment confirmation',
+			'Promotion expiry reminders and expired notices',
+			'Host new booking, booking cancelled and payout notifications',
+			'Batch sends with per-item results',
+			'Pooled SMTP connections verified at startup (status in /health)',
+			'Multiple delivery providers (SMTP, HTTP API) with priority failover',
+			'Bounce and complaint webhooks with a suppression list',
+			'Emails from Supabase database webhooks (listing, verification and payment status changes)',
+			'Per-category email preferences with one-click unsubscribe',
+			'Optional PDF receipts for payments, refunds and promotion purchases',
+			'Calendar invites (.ics) for booking emails',
+			'Scheduled sends (send_at) with cancellation',
+			'Rate limits per API caller and per recipient (429 with Retry-After)',
+			'Structured JSON logs with X-Request-Id correlation and PII redaction',
+			'Prometheus metrics (GET /metrics) for send volume, latency and failures',
+			'Template registry with shared layout partials',
+			`Localised emails (${LOCALES.join(', ')}) with KES and date formatting`,
+			'Template preview gallery'
 		]
 	});
 });
@@ -1122,8 +1771,24 @@ app.use((req, res) => {
 		error: 'Route not found',
 		availableRoutes: [
 			'POST /api/v1/email/send',
+			'POST /api/v1/email/guest/send',
 			'POST /api/v1/email/host/send',
+			'POST /api/v1/email/batch',
+			'POST /api/v1/outbox/process',
+			'POST /api/v1/promotions/reminders/process',
+			'POST /api/v1/webhooks/bounces/:provider',
+			'POST /api/v1/webhooks/supabase',
+			'GET /api/v1/suppressions/:email',
+			'DELETE /api/v1/suppressions/:email',
+			'GET /api/v1/unsubscribe',
+			'POST /api/v1/unsubscribe',
+			'GET /api/v1/email/:id',
+			'DELETE /api/v1/email/scheduled/:id',
+			'GET /api/v1/emails',
+			'GET /api/v1/templates',
+			'GET /api/v1/templates/:type/preview',
 			'GET /health',
+			'GET /metrics',
 			'GET /api/v1/info'
 		]
 	});
@@ -1131,45 +1796,47 @@ app.use((req, res) => {
 
 // Start server
 const server = app.listen(Number(PORT), () => {
-	console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-	console.log(`  MyStay Email Service Started Successfully`);
-	console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-	console.log(`  Port: ${PORT}`);
-	console.log(`  SMTP Host: ${SMTP_HOST || '(not configured)'}`);
-	console.log(`  From Email: ${FROM_EMAIL || SMTP_USER}`);
-	console.log(`  Supabase: ${SUPABASE_URL ? '✓ Connected' : '✗ Not configured'}`);
-	console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+	logger.info('MyStay Email Service started', {
+		port: Number(PORT),
+		providers: providerStatus().map((provider) => `${provider.name} (${provider.type})`),
+		from: fromAddress(),
+		supabase: SUPABASE_URL ? 'configured' : 'not configured',
+		outbox: `${outbox.driver}${outbox.file ? ` (${outbox.file})` : ''}`,
+		databaseWebhookRules: dbWebhookRules.length,
+		rateLimits: rateLimiter.rules.length > 0 ? rateLimiter.rules.map(describeRule) : 'off',
+		promotionReminders: PROMOTION_REMINDERS_ENABLED === 'true'
+			? `every ${PROMOTION_REMINDER_INTERVAL_MS}ms (${PROMOTION_REMINDER_OFFSETS_DAYS} days)`
+			: 'on demand only'
+	});
+	verifyProviders().then((providers) => {
+		for (const { name, state, lastError } of providers) {
+			if (state === 'ok') logger.info('Email provider verified', { provider: name });
+			else logger.error('Email provider verification failed', { provider: name, error: lastError });
+		}
+	});
+	outboxWorker.start();
+	if (PROMOTION_REMINDERS_ENABLED === 'true') promotionReminders.start();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-	console.log('\nShutting down gracefully...');
+	logger.info('SIGINT received, shutting down');
+	outboxWorker.stop();
+	promotionReminders.stop();
+	closeProviders();
 	server.close(() => {
-		console.log('Server closed');
+		logger.info('Server closed');
 		process.exit(0);
 	});
 });
 
 process.on('SIGTERM', () => {
-	console.log('\nSIGTERM received, shutting down...');
+	logger.info('SIGTERM received, shutting down');
+	outboxWorker.stop();
+	promotionReminders.stop();
+	closeProviders();
 	server.close(() => {
-		console.log('Server closed');
+		logger.info('Server closed');
 		process.exit(0);
 	});
 });
-
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// KEY IMPROVEMENTS IN THIS VERSION:
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-//
-// 1. ✅ Supports both guest_profiles (full_name) and host_profiles (first_name + last_name)
-// 2. ✅ Accepts recipient_name from frontend to avoid lookup delays
-// 3. ✅ M-Pesa receipt shows "Processing..." instead of "-" when not available yet
-// 4. ✅ Better error logging and debugging
-// 5. ✅ Role-based name lookup (guest vs host)
-// 6. ✅ Info endpoint for API documentation
-// 7. ✅ Improved HTML template with better styling
-// 8. ✅ Graceful shutdown handlers
-//
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
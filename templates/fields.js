@@ -0,0 +1,34 @@
+// templates/fields.js - Field rules shared by several template schemas (see lib/schema.js)
+const { string, number, object } = require('../lib/schema');
+
+// Each takes the rule options, e.g. listingName({ required: true })
+const listingName = (options) => string({ max: 200, ...options });
+const bookingId = (options) => string({ max: 64, ...options });
+const mpesaReceipt = (options) => string({ max: 32, ...options });
+const personName = (options) => string({ max: 200, ...options });
+// ISO dates ('2025-11-14') or dates the caller already formatted ('Fri, 14 Nov 2025')
+const date = (options) => string({ max: 64, ...options });
+const address = (options) => string({ max: 500, ...options });
+// Reasons, instructions and other free text
+const longText = (options) => string({ max: 2000, ...options });
+const url = (options) => string({ max: 2000, format: 'url', ...options });
+
+// promotion_details of the promotion_expiring / promotion_expired reminders
+const promotionPeriod = (options) => object({
+	package_name: string({ required: true, max: 100 }),
+	expiry_date: date({ required: true }),
+	listings: longText(),
+	listings_count: number({ integer: true, min: 0 })
+}, options);
+
+module.exports = {
+	listingName,
+	bookingId,
+	mpesaReceipt,
+	personName,
+	date,
+	address,
+	longText,
+	url,
+	promotionPeriod
+};
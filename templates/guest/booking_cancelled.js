@@ -0,0 +1,86 @@
+// templates/guest/booking_cancelled.js - Booking cancelled by the guest or by the host
+const { layout, title, greeting, paragraph, highlight, detailsCard, referenceRows, noteBox, callToAction } = require('../partials');
+const { string, amount } = require('../../lib/schema');
+const { listingName, bookingId, mpesaReceipt, date, longText } = require('../fields');
+
+const CANCELLED_BY = ['guest', 'host'];
+
+module.exports = {
+	group: 'guest',
+	type: 'booking_cancelled',
+	critical: true,
+	schema: {
+		booking_id: bookingId({ required: true }),
+		listing_name: listingName({ required: true }),
+		cancelled_by: string({ required: true, values: CANCELLED_BY }),
+		cancellation_reason: longText(),
+		refund_amount: amount(),
+		check_in: date(),
+		check_out: date(),
+		mpesa_receipt: mpesaReceipt()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Amina Wanjiru',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			cancelled_by: 'guest',
+			check_in: 'Fri, 14 Nov 2025',
+			check_out: 'Mon, 17 Nov 2025',
+			refund_amount: 'KES 12,500'
+		},
+		by_host: {
+			recipient_name: 'Amina Wanjiru',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			cancelled_by: 'host',
+			check_in: 'Fri, 14 Nov 2025',
+			check_out: 'Mon, 17 Nov 2025',
+			cancellation_reason: 'The cottage needs urgent roof repairs and cannot host guests on these dates.',
+			refund_amount: 'KES 12,500',
+			mpesa_receipt: 'SGJ3M8N1RT'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	// The opening line (intro.guest / intro.host) depends on who cancelled
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'danger',
+			icon: { emoji: '❌' },
+			banner: t('banner'),
+			content: [
+				title(t('title')),
+				greeting(data.recipient_name, i18n),
+				paragraph('danger', `${t(`intro.${data.cancelled_by}`, { listing: highlight('danger', `'${data.listing_name}'`) })} ${t('details')}`, { marginBottom: 24 }),
+				detailsCard('danger', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listing'), value: data.listing_name, style: 'headline' },
+						data.check_in && { label: t('checkIn'), value: i18n.date(data.check_in) },
+						data.check_out && { label: t('checkOut'), value: i18n.date(data.check_out) },
+						{ label: t('cancelledBy'), value: t(`cancelledByValue.${data.cancelled_by}`), style: 'status' },
+						data.cancellation_reason && { label: t('reason'), value: data.cancellation_reason, style: 'reason', labelColor: '#991b1b' },
+						data.refund_amount && { label: t('refundAmount'), value: i18n.amount(data.refund_amount), style: 'amount' },
+						referenceRows(data, i18n)
+					]
+				}),
+				data.refund_amount && noteBox('danger', { heading: t('refundHeading'), message: t('refundMessage') }),
+				callToAction('danger', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		return `${t('title')}\n\n${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t(`intro.${data.cancelled_by}`, { listing: `'${data.listing_name}'` })}\n\n${data.cancellation_reason ? `${t('common.reason')}: ${data.cancellation_reason}\n` : ''}${data.refund_amount ? `${t('textRefundAmount')}: ${i18n.amount(data.refund_amount)}\n` : ''}${data.mpesa_receipt ? `${t('common.mpesaReceipt')}: ${data.mpesa_receipt}\n` : ''}${t('common.bookingId')}: ${data.booking_id}\n\n${t('textClosing')}`;
+	},
+
+	// Calendar invite (lib/calendar.js)
+	calendar: (data, { t }) => ({ summary: t('common.calendar.stay', { listing: data.listing_name }), cancelled: true })
+};
@@ -0,0 +1,71 @@
+// templates/guest/booking_confirmed.js - Booking confirmed, with stay dates and payment references
+const { layout, title, greeting, paragraph, highlight, detailsCard, referenceRows, callToAction } = require('../partials');
+const { string, amount, number, oneOf } = require('../../lib/schema');
+const { listingName, bookingId, mpesaReceipt, date, address } = require('../fields');
+
+module.exports = {
+	group: 'guest',
+	type: 'booking_confirmed',
+	critical: true,
+	schema: {
+		booking_id: bookingId({ required: true }),
+		listing_name: listingName({ required: true }),
+		check_in: date({ required: true }),
+		check_out: date({ required: true }),
+		address: address(),
+		guests: oneOf([string({ max: 100 }), number({ integer: true, min: 1 })]),
+		amount: amount(),
+		mpesa_receipt: mpesaReceipt()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Amina Wanjiru',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			check_in: 'Fri, 14 Nov 2025',
+			check_out: 'Mon, 17 Nov 2025',
+			guests: '2 adults',
+			amount: 'KES 12,500',
+			mpesa_receipt: 'SGH7K2L9QP'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'success',
+			banner: t('banner'),
+			footerNote: t('common.automatedConfirmation'),
+			content: [
+				title(t('title')),
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', { listing: highlight('success', `'${data.listing_name}'`) })),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listing'), value: data.listing_name, style: 'headline' },
+						{ label: t('checkIn'), value: i18n.date(data.check_in) },
+						{ label: t('checkOut'), value: i18n.date(data.check_out) },
+						data.guests && { label: t('guests'), value: data.guests },
+						data.amount && { label: t('amountPaid'), value: i18n.amount(data.amount), style: 'amount' },
+						referenceRows(data, i18n)
+					]
+				}),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		return `${t('title')}\n\n${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { listing: `'${data.listing_name}'` })}\n\n${t('common.checkIn')}: ${i18n.date(data.check_in)}\n${t('common.checkOut')}: ${i18n.date(data.check_out)}\n${data.guests ? `${t('common.guests')}: ${data.guests}\n` : ''}${data.amount ? `${t('textAmountPaid')}: ${i18n.amount(data.amount)}\n` : ''}${data.mpesa_receipt ? `${t('common.mpesaReceipt')}: ${data.mpesa_receipt}\n` : ''}${t('common.bookingId')}: ${data.booking_id}\n\n${t('textClosing')}`;
+	},
+
+	// Calendar invite (lib/calendar.js)
+	calendar: (data, { t }) => ({ summary: t('common.calendar.stay', { listing: data.listing_name }) })
+};
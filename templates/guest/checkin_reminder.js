@@ -0,0 +1,83 @@
+// templates/guest/checkin_reminder.js - Upcoming stay reminder with address and host contact
+const { layout, title, greeting, paragraph, highlight, detailsCard, referenceRows, noteBox, callToAction } = require('../partials');
+const { string } = require('../../lib/schema');
+const { listingName, bookingId, personName, date, address, longText } = require('../fields');
+
+module.exports = {
+	group: 'guest',
+	type: 'checkin_reminder',
+	category: 'reminders',
+	schema: {
+		listing_name: listingName({ required: true }),
+		check_in: date({ required: true }),
+		address: address({ required: true }),
+		check_in_time: string({ max: 50 }),
+		host_name: personName(),
+		host_phone: string({ max: 30 }),
+		checkin_instructions: longText(),
+		booking_id: bookingId()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Amina Wanjiru',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			check_in: 'Fri, 14 Nov 2025',
+			check_in_time: 'from 2:00 PM',
+			address: 'Plot 42, Diani Beach Road, Kwale',
+			host_name: 'Brian Otieno',
+			host_phone: '+254 712 345 678',
+			checkin_instructions: 'The caretaker will meet you at the gate with the keys.'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+		const checkIn = data.check_in_time ? `${i18n.date(data.check_in)} ${data.check_in_time}` : i18n.date(data.check_in);
+
+		return layout({
+			i18n,
+			theme: 'success',
+			icon: { emoji: '🧳' },
+			banner: t('banner'),
+			content: [
+				title(t('title')),
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', { listing: highlight('success', `'${data.listing_name}'`) })),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listing'), value: data.listing_name, style: 'headline' },
+						{ label: t('checkIn'), value: checkIn },
+						{ label: t('address'), value: data.address },
+						data.host_name && { label: t('host'), value: data.host_name },
+						data.host_phone && { label: t('hostPhone'), value: data.host_phone },
+						referenceRows(data, i18n)
+					]
+				}),
+				data.checkin_instructions && noteBox('success', { heading: t('instructions'), message: data.checkin_instructions }),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		return `${t('title')}\n\n${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { listing: `'${data.listing_name}'` })}\n\n${t('common.checkIn')}: ${i18n.date(data.check_in)}${data.check_in_time ? ` ${data.check_in_time}` : ''}\n${t('textAddress')}: ${data.address}\n${data.host_name ? `${t('textHost')}: ${data.host_name}\n` : ''}${data.host_phone ? `${t('textHostPhone')}: ${data.host_phone}\n` : ''}${data.booking_id ? `${t('common.bookingId')}: ${data.booking_id}\n` : ''}${data.checkin_instructions ? `\n${data.checkin_instructions}\n` : ''}\n${t('textClosing')}`;
+	},
+
+	// Calendar invite (lib/calendar.js)
+	calendar(data, { t }) {
+		return {
+			summary: t('common.calendar.stay', { listing: data.listing_name }),
+			details: [
+				data.check_in_time && `${t('common.checkIn')}: ${data.check_in_time}`,
+				data.host_name && `${t('textHost')}: ${data.host_name}`,
+				data.host_phone && `${t('textHostPhone')}: ${data.host_phone}`
+			]
+		};
+	}
+};
@@ -0,0 +1,185 @@
+// templates/guest/payment.js - Transaction confirmation (POST /api/v1/email/send)
+//
+// The wording depends on transaction_type and audience. Callers that don't send
+// transaction_type get the old behaviour: "refund" words in payment_title mean a
+// refund, anything else a payment, and payment_title is the subject.
+const { layout, title, greeting, paragraph, detailsCard, referenceRows, noteBox, callToAction } = require('../partials');
+const { string, boolean, amount } = require('../../lib/schema');
+const { listingName, bookingId, mpesaReceipt, date, address, longText } = require('../fields');
+
+const TRANSACTION_TYPES = ['payment', 'refund', 'partial_refund', 'deposit', 'payout', 'chargeback'];
+const AUDIENCES = ['guest', 'host'];
+
+// Money the recipient paid or got back gets a PDF receipt; payouts and chargebacks don't
+const RECEIPT_TYPES = ['payment', 'refund', 'partial_refund', 'deposit'];
+// Payments towards a stay get a calendar invite when check_in is sent
+const CALENDAR_TYPES = ['payment', 'deposit'];
+
+// Theme and icon per transaction type. The wording is in the catalogues under
+// guest.payment.transactions.<type>: headings and receipt labels per type, and the
+// banner, amount label, subject, intro and closing per <type>.<audience>
+const TRANSACTIONS = {
+	payment: { theme: 'success' },
+	refund: { theme: 'success' },
+	partial_refund: { theme: 'success' },
+	deposit: { theme: 'success' },
+	payout: { theme: 'success' },
+	chargeback: { theme: 'danger', icon: { emoji: '⚠️' } }
+};
+
+// Fallback for callers that don't send transaction_type: look for refund words in the title
+function sniffTransactionType(paymentTitle) {
+	const lower = String(paymentTitle || '').toLowerCase();
+	const isRefund = lower.includes('refund') || lower.includes('reversal') || lower.includes('reimbursement');
+	return isRefund ? 'refund' : 'payment';
+}
+
+function transactionCopy(data, { t }) {
+	const kind = data.transaction_type || sniffTransactionType(data.payment_title);
+	const audience = data.audience || 'guest';
+	const key = (name) => t(`transactions.${kind}.${name}`);
+	const audienceKey = (name) => t(`transactions.${kind}.${audience}.${name}`);
+
+	return {
+		...TRANSACTIONS[kind],
+		heading: key('heading'),
+		banner: audienceKey('banner'),
+		amountLabel: audienceKey('amountLabel'),
+		summary: audienceKey('summary'),
+		subject: audienceKey('subject'),
+		intro: audienceKey('intro'),
+		closing: audienceKey('closing')
+	};
+}
+
+module.exports = {
+	group: 'guest',
+	type: 'payment',
+	critical: true,
+	schema: {
+		// payment_title is only needed when there's no transaction_type to derive the subject from
+		payment_title: string({ required: (data) => !data.transaction_type }),
+		amount: amount({ required: true }),
+		transaction_type: string({ values: TRANSACTION_TYPES }),
+		audience: string({ values: AUDIENCES }),
+		booking_id: bookingId(),
+		mpesa_receipt: mpesaReceipt(),
+		extra_message: longText(),
+		// Stay details for the calendar invite
+		listing_name: listingName(),
+		check_in: date(),
+		check_out: date(),
+		address: address(),
+		attach_receipt: boolean(),
+		receipt_number: string({ max: 64 })
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Amina Wanjiru',
+			payment_title: 'Booking Payment Received',
+			amount: 'KES 12,500',
+			mpesa_receipt: 'SGH7K2L9QP',
+			booking_id: 'BK-20481'
+		},
+		refund: {
+			recipient_name: 'Amina Wanjiru',
+			payment_title: 'Refund for Cancelled Booking',
+			amount: 'KES 12,500',
+			mpesa_receipt: 'SGJ3M8N1RT',
+			booking_id: 'BK-20481',
+			extra_message: 'Refunds usually reflect in your M-Pesa account within 24 hours.'
+		},
+		partial_refund: {
+			recipient_name: 'Amina Wanjiru',
+			transaction_type: 'partial_refund',
+			amount: 'KES 4,000',
+			mpesa_receipt: 'SGJ3M8N1RU',
+			booking_id: 'BK-20481'
+		},
+		deposit: {
+			recipient_name: 'Amina Wanjiru',
+			transaction_type: 'deposit',
+			amount: 'KES 3,000',
+			mpesa_receipt: 'SGH7K2L9QA',
+			booking_id: 'BK-20481'
+		},
+		host_payout: {
+			recipient_name: 'Brian Otieno',
+			transaction_type: 'payout',
+			audience: 'host',
+			amount: 'KES 38,250',
+			mpesa_receipt: 'SGL2T6V4YZ'
+		},
+		chargeback: {
+			recipient_name: 'Brian Otieno',
+			transaction_type: 'chargeback',
+			audience: 'host',
+			amount: 'KES 12,500',
+			booking_id: 'BK-20481'
+		}
+	},
+
+	// Explicit transaction types get their own subject; legacy callers keep payment_title
+	subject: (data, i18n) => (data.transaction_type ? transactionCopy(data, i18n).subject : data.payment_title),
+
+	html(data, i18n) {
+		const { t } = i18n;
+		const copy = transactionCopy(data, i18n);
+
+		return layout({
+			i18n,
+			theme: copy.theme,
+			icon: copy.icon,
+			banner: copy.banner,
+			footerNote: t('common.automatedConfirmation'),
+			content: [
+				title(data.payment_title || copy.subject),
+				greeting(data.recipient_name, i18n),
+				paragraph(copy.theme, copy.intro),
+				detailsCard(copy.theme, {
+					heading: copy.heading,
+					rows: [
+						{ label: copy.amountLabel, value: i18n.amount(data.amount), style: 'amount' },
+						referenceRows(data, i18n)
+					]
+				}),
+				data.extra_message && noteBox(copy.theme, { heading: t('importantNote'), message: data.extra_message }),
+				callToAction(copy.theme, copy.closing)
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		const copy = transactionCopy(data, i18n);
+		const name = data.recipient_name || t('common.there');
+		return `${data.payment_title || copy.subject}\n\n${t('common.greeting', { name })}\n\n${copy.summary}\n${t('amount')}: ${i18n.amount(data.amount)}\n${t('common.mpesaReceipt')}: ${data.mpesa_receipt || t('common.processing')}\n${data.booking_id ? `${t('common.bookingId')}: ${data.booking_id}\n` : ''}\n${data.extra_message ? `\n${data.extra_message}` : ''}`;
+	},
+
+	// PDF receipt (lib/receipts.js), attached when the request sends attach_receipt: true
+	receipt(data, i18n) {
+		const { t } = i18n;
+		const kind = data.transaction_type || sniffTransactionType(data.payment_title);
+		if (!RECEIPT_TYPES.includes(kind)) return null;
+
+		return {
+			title: t(`transactions.${kind}.receiptTitle`),
+			amountLabel: t(`transactions.${kind}.receiptAmount`),
+			amount: i18n.amount(data.amount),
+			rows: [
+				data.payment_title && { label: t('common.receipt.description'), value: data.payment_title },
+				{ label: t('common.mpesaReceipt'), value: data.mpesa_receipt || t('common.processing') },
+				data.booking_id && { label: t('common.bookingId'), value: data.booking_id }
+			].filter(Boolean),
+			reference: data.mpesa_receipt
+		};
+	},
+
+	// Calendar invite (lib/calendar.js)
+	calendar(data, { t }) {
+		const kind = data.transaction_type || sniffTransactionType(data.payment_title);
+		if (!CALENDAR_TYPES.includes(kind)) return null;
+		return { summary: t('common.calendar.stay', { listing: data.listing_name || 'MyStay' }) };
+	}
+};
@@ -0,0 +1,60 @@
+// templates/guest/review_request.js - Post-stay request to review the listing
+const { layout, title, greeting, paragraph, highlight, detailsCard, referenceRows, linkButton, callToAction } = require('../partials');
+const { listingName, bookingId, mpesaReceipt, date, url } = require('../fields');
+
+module.exports = {
+	group: 'guest',
+	type: 'review_request',
+	category: 'reminders',
+	schema: {
+		listing_name: listingName({ required: true }),
+		// review_url ends up in an href, so only web links are accepted
+		review_url: url(),
+		check_out: date(),
+		booking_id: bookingId(),
+		mpesa_receipt: mpesaReceipt()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Amina Wanjiru',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			check_out: 'Mon, 17 Nov 2025',
+			review_url: 'https://mystay.app/bookings/BK-20481/review'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'success',
+			icon: { emoji: '⭐' },
+			banner: t('banner'),
+			content: [
+				title(t('title')),
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', { listing: highlight('success', `'${data.listing_name}'`) })),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listing'), value: data.listing_name, style: 'headline' },
+						data.check_out && { label: t('checkedOut'), value: i18n.date(data.check_out) },
+						referenceRows(data, i18n)
+					]
+				}),
+				data.review_url && linkButton('success', { href: data.review_url, label: t('button') }),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		return `${t('title')}\n\n${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { listing: `'${data.listing_name}'` })}\n${data.review_url ? `\n${t('textReview')}: ${data.review_url}\n` : ''}${data.booking_id ? `\n${t('common.bookingId')}: ${data.booking_id}\n` : ''}\n${t('textClosing')}`;
+	}
+};
@@ -0,0 +1,86 @@
+// templates/host/booking_cancelled.js - A booking on the host's listing was cancelled
+const { layout, greeting, paragraph, highlight, detailsCard, referenceRows, noteBox, callToAction } = require('../partials');
+const { string } = require('../../lib/schema');
+const { listingName, bookingId, personName, date, longText } = require('../fields');
+
+const CANCELLED_BY = ['guest', 'host'];
+
+module.exports = {
+	group: 'host',
+	type: 'booking_cancelled',
+	critical: true,
+	schema: {
+		booking_id: bookingId({ required: true }),
+		listing_name: listingName({ required: true }),
+		cancelled_by: string({ required: true, values: CANCELLED_BY }),
+		cancellation_reason: longText(),
+		check_in: date(),
+		check_out: date(),
+		guest_name: personName()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			cancelled_by: 'guest',
+			guest_name: 'Amina Wanjiru',
+			check_in: 'Fri, 14 Nov 2025',
+			check_out: 'Mon, 17 Nov 2025',
+			cancellation_reason: 'Change of travel plans.'
+		},
+		by_host: {
+			recipient_name: 'Brian Otieno',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			cancelled_by: 'host',
+			guest_name: 'Amina Wanjiru',
+			check_in: 'Fri, 14 Nov 2025',
+			check_out: 'Mon, 17 Nov 2025'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { booking: data.booking_id, listing: data.listing_name }),
+
+	// The opening line (intro.guest / intro.host) depends on who cancelled
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'danger',
+			icon: { emoji: '❌' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('danger', t(`intro.${data.cancelled_by}`, {
+					listing: highlight('danger', `'${data.listing_name}'`),
+					guest: data.guest_name ? highlight('danger', data.guest_name) : t('yourGuest')
+				}), { marginBottom: 24 }),
+				detailsCard('danger', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listing'), value: data.listing_name, style: 'headline' },
+						data.guest_name && { label: t('guest'), value: data.guest_name },
+						data.check_in && { label: t('checkIn'), value: i18n.date(data.check_in) },
+						data.check_out && { label: t('checkOut'), value: i18n.date(data.check_out) },
+						{ label: t('cancelledBy'), value: t(`cancelledByValue.${data.cancelled_by}`), style: 'status' },
+						data.cancellation_reason && { label: t('reason'), value: data.cancellation_reason, style: 'reason', labelColor: '#991b1b' },
+						referenceRows(data, i18n)
+					]
+				}),
+				noteBox('danger', { heading: t('nextStepsHeading'), message: t('nextSteps') }),
+				callToAction('danger', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t(`intro.${data.cancelled_by}`, { listing: `'${data.listing_name}'`, guest: data.guest_name || t('yourGuest') })}\n\n${data.check_in ? `${t('common.checkIn')}: ${i18n.date(data.check_in)}\n` : ''}${data.check_out ? `${t('common.checkOut')}: ${i18n.date(data.check_out)}\n` : ''}${data.cancellation_reason ? `${t('common.reason')}: ${data.cancellation_reason}\n` : ''}${t('common.bookingId')}: ${data.booking_id}\n\n${t('textClosing')}`;
+	},
+
+	// Calendar invite (lib/calendar.js)
+	calendar: (data, { t }) => ({ summary: t('common.calendar.hostedStay', { listing: data.listing_name }), cancelled: true })
+};
@@ -0,0 +1,84 @@
+// templates/host/new_booking.js - A guest booked one of the host's listings
+const { layout, greeting, paragraph, highlight, detailsCard, referenceRows, callToAction } = require('../partials');
+const { string, amount, number, oneOf } = require('../../lib/schema');
+const { listingName, bookingId, mpesaReceipt, personName, date, address } = require('../fields');
+
+module.exports = {
+	group: 'host',
+	type: 'new_booking',
+	critical: true,
+	schema: {
+		booking_id: bookingId({ required: true }),
+		listing_name: listingName({ required: true }),
+		check_in: date({ required: true }),
+		check_out: date({ required: true }),
+		address: address(),
+		guest_name: personName(),
+		guests: oneOf([string({ max: 100 }), number({ integer: true, min: 1 })]),
+		amount: amount(),
+		payout_amount: amount(),
+		mpesa_receipt: mpesaReceipt()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			booking_id: 'BK-20481',
+			listing_name: 'Ocean View Cottage, Diani',
+			guest_name: 'Amina Wanjiru',
+			guests: '2 adults',
+			check_in: 'Fri, 14 Nov 2025',
+			check_out: 'Mon, 17 Nov 2025',
+			amount: 'KES 12,500',
+			payout_amount: 'KES 11,250',
+			mpesa_receipt: 'SGH7K2L9QP'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'success',
+			icon: { emoji: '🛎️' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', {
+					guest: data.guest_name ? highlight('success', data.guest_name) : t('aGuest'),
+					listing: highlight('success', `'${data.listing_name}'`)
+				})),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listing'), value: data.listing_name, style: 'headline' },
+						data.guest_name && { label: t('guest'), value: data.guest_name },
+						data.guests && { label: t('guests'), value: data.guests },
+						{ label: t('checkIn'), value: i18n.date(data.check_in) },
+						{ label: t('checkOut'), value: i18n.date(data.check_out) },
+						data.amount && { label: t('bookingAmount'), value: i18n.amount(data.amount), style: 'amount' },
+						data.payout_amount && { label: t('earnings'), value: i18n.amount(data.payout_amount), style: 'amount' },
+						referenceRows(data, i18n)
+					]
+				}),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { guest: data.guest_name || t('aGuest'), listing: `'${data.listing_name}'` })}\n\n${t('common.checkIn')}: ${i18n.date(data.check_in)}\n${t('common.checkOut')}: ${i18n.date(data.check_out)}\n${data.guests ? `${t('common.guests')}: ${data.guests}\n` : ''}${data.amount ? `${t('textBookingAmount')}: ${i18n.amount(data.amount)}\n` : ''}${data.payout_amount ? `${t('textEarnings')}: ${i18n.amount(data.payout_amount)}\n` : ''}${t('common.bookingId')}: ${data.booking_id}\n\n${t('textClosing')}`;
+	},
+
+	// Calendar invite (lib/calendar.js)
+	calendar(data, { t }) {
+		return {
+			summary: t('common.calendar.hostedStay', { listing: data.listing_name }),
+			details: [data.guest_name && `${t('common.calendar.guest')}: ${data.guest_name}`]
+		};
+	}
+};
@@ -0,0 +1,107 @@
+// templates/host/payout_sent.js - Host earnings paid out to M-Pesa or a bank account
+const { layout, greeting, paragraph, highlight, detailsCard, noteBox, callToAction } = require('../partials');
+const { string, amount, array, object, oneOf } = require('../../lib/schema');
+const { bookingId, date } = require('../fields');
+
+const METHODS = ['mpesa', 'bank'];
+
+// Amounts may arrive as numbers or numeric strings ('12,500')
+function toNumber(value) {
+	return Number(String(value).replace(/,/g, ''));
+}
+
+function details(data) {
+	const {
+		amount = 0,
+		fees = 0,
+		method = 'mpesa',
+		reference = '',
+		booking_ids = [],
+		payout_date = ''
+	} = data.payout_details || {};
+
+	const bookingIds = Array.isArray(booking_ids) ? booking_ids : [booking_ids].filter(Boolean);
+	// Gross is what the bookings earned before MyStay fees were deducted
+	const gross = toNumber(amount) + toNumber(fees);
+
+	return { amount, fees, gross, method, reference, bookingIds, payout_date };
+}
+
+module.exports = {
+	group: 'host',
+	type: 'payout_sent',
+	critical: true,
+	schema: {
+		payout_details: object({
+			amount: amount({ required: true, exclusiveMin: 0 }),
+			reference: string({ required: true, max: 100 }),
+			fees: amount({ min: 0 }),
+			method: string({ values: METHODS }),
+			booking_ids: oneOf([array(bookingId(), { max: 500 }), bookingId()]),
+			payout_date: date()
+		}, { required: true })
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			payout_details: {
+				amount: 38250,
+				fees: 4250,
+				method: 'mpesa',
+				reference: 'SGL2T6V4YZ',
+				booking_ids: ['BK-20481', 'BK-20502', 'BK-20517'],
+				payout_date: '2025-11-20'
+			}
+		},
+		bank: {
+			recipient_name: 'Brian Otieno',
+			payout_details: {
+				amount: 152000,
+				fees: 16800,
+				method: 'bank',
+				reference: 'FT25324KQ81M',
+				booking_ids: ['BK-20610', 'BK-20633'],
+				payout_date: '2025-11-28'
+			}
+		}
+	},
+
+	subject: (data, i18n) => i18n.t('subject', { amount: i18n.amount(details(data).amount) }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+		const payout = details(data);
+
+		return layout({
+			i18n,
+			theme: 'success',
+			icon: { emoji: '💸' },
+			banner: t('banner'),
+			footerNote: t('common.automatedPaymentConfirmation'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', { amount: highlight('success', i18n.amount(payout.amount)) })),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('amountPaidOut'), value: i18n.amount(payout.amount), style: 'amount' },
+						{ label: t('bookingEarnings'), value: i18n.amount(payout.gross) },
+						{ label: t('feesDeducted'), value: i18n.amount(payout.fees) },
+						{ label: t(`reference.${payout.method}`), value: payout.reference },
+						payout.payout_date && { label: t('payoutDate'), value: i18n.date(payout.payout_date) },
+						payout.bookingIds.length > 0 && { label: t('bookings', { count: payout.bookingIds.length }), value: payout.bookingIds.join(', '), style: 'list' }
+					]
+				}),
+				noteBox('success', { heading: t('noteHeading'), message: t(`note.${payout.method}`) }),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		const { amount, fees, gross, method, reference, bookingIds, payout_date } = details(data);
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { amount: i18n.amount(amount) })}\n\n${t('textDetails')}\n- ${t('textAmountPaidOut')}: ${i18n.amount(amount)}\n- ${t('textBookingEarnings')}: ${i18n.amount(gross)}\n- ${t('textFeesDeducted')}: ${i18n.amount(fees)}\n- ${t(`textReference.${method}`)}: ${reference}\n${payout_date ? `- ${t('textPayoutDate')}: ${i18n.date(payout_date)}\n` : ''}${bookingIds.length > 0 ? `- ${t('textBookings', { count: bookingIds.length })}: ${bookingIds.join(', ')}\n` : ''}\n${t('textClosing')}`;
+	}
+};
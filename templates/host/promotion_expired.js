@@ -0,0 +1,60 @@
+// templates/host/promotion_expired.js - Promotion package has ended
+const { layout, greeting, paragraph, highlight, detailsCard, linkButton, callToAction } = require('../partials');
+const { url, promotionPeriod } = require('../fields');
+
+module.exports = {
+	group: 'host',
+	type: 'promotion_expired',
+	category: 'promotions',
+	schema: {
+		promotion_details: promotionPeriod({ required: true }),
+		renew_url: url()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			renew_url: 'https://mystay.app/host/promotions/renew',
+			promotion_details: {
+				package_name: 'Gold',
+				expiry_date: '2027-01-19',
+				listings: 'Ocean View Cottage, Diani; Garden Studio, Kilimani',
+				listings_count: 2
+			}
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { package: data.promotion_details.package_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+		const { package_name, expiry_date, listings, listings_count } = data.promotion_details;
+
+		return layout({
+			i18n,
+			theme: 'promotion',
+			icon: { emoji: '⌛' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('promotion', t('intro', { package: highlight('promotion', package_name) })),
+				detailsCard('promotion', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('package'), value: package_name, style: 'package' },
+						{ label: t('endedOn'), value: i18n.date(expiry_date) },
+						listings && { label: `${t('listings')}${listings_count ? ` (${listings_count})` : ''}`, value: listings, style: 'list' }
+					]
+				}),
+				data.renew_url && linkButton('promotion', { href: data.renew_url, label: t('button') }),
+				callToAction('promotion', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		const { package_name, expiry_date, listings } = data.promotion_details;
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { package: package_name, date: i18n.date(expiry_date) })}\n${listings ? `\n${t('textListings')}: ${listings}\n` : ''}${data.renew_url ? `\n${t('textPromote')}: ${data.renew_url}\n` : ''}`;
+	}
+};
@@ -0,0 +1,81 @@
+// templates/host/promotion_expiring.js - Promotion package is about to run out
+const { layout, greeting, paragraph, highlight, detailsCard, noteBox, linkButton, callToAction } = require('../partials');
+const { number } = require('../../lib/schema');
+const { url, promotionPeriod } = require('../fields');
+
+module.exports = {
+	group: 'host',
+	type: 'promotion_expiring',
+	category: 'promotions',
+	schema: {
+		promotion_details: promotionPeriod({ required: true }),
+		days_left: number({ required: true, integer: true, min: 0 }),
+		renew_url: url()
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			days_left: 7,
+			renew_url: 'https://mystay.app/host/promotions/renew',
+			promotion_details: {
+				package_name: 'Gold',
+				expiry_date: '2027-01-19',
+				listings: 'Ocean View Cottage, Diani; Garden Studio, Kilimani',
+				listings_count: 2
+			}
+		},
+		last_day: {
+			recipient_name: 'Brian Otieno',
+			days_left: 1,
+			renew_url: 'https://mystay.app/host/promotions/renew',
+			promotion_details: {
+				package_name: 'Gold',
+				expiry_date: '2027-01-19',
+				listings: 'Ocean View Cottage, Diani; Garden Studio, Kilimani',
+				listings_count: 2
+			}
+		}
+	},
+
+	subject: (data, { t }) => t('subject', {
+		package: data.promotion_details.package_name,
+		days: t('common.days', { count: data.days_left })
+	}),
+
+	html(data, i18n) {
+		const { t } = i18n;
+		const { package_name, expiry_date, listings, listings_count } = data.promotion_details;
+		const days = t('common.days', { count: data.days_left });
+
+		return layout({
+			i18n,
+			theme: 'promotion',
+			icon: { emoji: '⏳' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('promotion', t('intro', { package: highlight('promotion', package_name), days: highlight('promotion', days) })),
+				detailsCard('promotion', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('package'), value: package_name, style: 'package' },
+						{ label: t('timeLeft'), value: days },
+						{ label: t('expiresOn'), value: i18n.date(expiry_date) },
+						listings && { label: `${t('promotedListings')}${listings_count ? ` (${listings_count})` : ''}`, value: listings, style: 'list' }
+					]
+				}),
+				data.renew_url && linkButton('promotion', { href: data.renew_url, label: t('button') }),
+				noteBox('promotion', { heading: t('nextStepsHeading'), message: t('nextSteps') }),
+				callToAction('promotion', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		const { package_name, expiry_date, listings } = data.promotion_details;
+		const days = t('common.days', { count: data.days_left });
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { package: package_name, days, date: i18n.date(expiry_date) })}\n${listings ? `\n${t('textPromotedListings')}: ${listings}\n` : ''}${data.renew_url ? `\n${t('textRenew')}: ${data.renew_url}\n` : ''}\n${t('textClosing')}`;
+	}
+};
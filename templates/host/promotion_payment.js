@@ -0,0 +1,110 @@
+// templates/host/promotion_payment.js - Promotion package purchase confirmation
+const { layout, greeting, paragraph, highlight, detailsCard, noteBox, callToAction } = require('../partials');
+const { string, boolean, amount, number, object } = require('../../lib/schema');
+const { mpesaReceipt, date, longText } = require('../fields');
+
+function details(data) {
+	const {
+		package_name = '',
+		amount = 0,
+		duration_months = 1,
+		expiry_date = '',
+		listings = '',
+		mpesa_receipt = '',
+		listings_count = 0
+	} = data.promotion_details || {};
+
+	return { package_name, amount, duration_months, expiry_date, listings, mpesa_receipt, listings_count };
+}
+
+module.exports = {
+	group: 'host',
+	type: 'promotion_payment',
+	critical: true,
+	schema: {
+		promotion_details: object({
+			package_name: string({ required: true, max: 100 }),
+			amount: amount({ required: true }),
+			duration_months: number({ integer: true, min: 1, max: 36 }),
+			expiry_date: date({ required: true }),
+			listings: longText(),
+			listings_count: number({ integer: true, min: 0 }),
+			mpesa_receipt: mpesaReceipt()
+		}, { required: true }),
+		attach_receipt: boolean(),
+		receipt_number: string({ max: 64 })
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			promotion_details: {
+				package_name: 'Gold',
+				amount: 3000,
+				duration_months: 3,
+				expiry_date: '2027-01-19',
+				listings: 'Ocean View Cottage, Diani; Garden Studio, Kilimani',
+				mpesa_receipt: 'SGK5P2Q7WX',
+				listings_count: 2
+			}
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { package: details(data).package_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+		const promotion = details(data);
+
+		return layout({
+			i18n,
+			theme: 'promotion',
+			icon: { emoji: '⭐' },
+			banner: t('banner'),
+			footerNote: t('common.automatedPaymentConfirmation'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('promotion', t('intro', { package: highlight('promotion', promotion.package_name) })),
+				detailsCard('promotion', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('package'), value: promotion.package_name, style: 'package' },
+						{ label: t('amountPaid'), value: i18n.amount(promotion.amount), style: 'amount' },
+						promotion.mpesa_receipt && { label: t('mpesaReceipt'), value: promotion.mpesa_receipt },
+						{ label: t('duration'), value: t('common.months', { count: promotion.duration_months }) },
+						{ label: t('expiresOn'), value: i18n.date(promotion.expiry_date) },
+						{ label: t('promotedListings', { count: promotion.listings_count }), value: promotion.listings, style: 'list' }
+					]
+				}),
+				noteBox('promotion', { heading: t('benefitsHeading'), message: t('benefits') }),
+				callToAction('promotion', t('closing'))
+			]
+		});
+	},
+
+	text(data, i18n) {
+		const { t } = i18n;
+		const { package_name, amount, duration_months, expiry_date, listings, mpesa_receipt, listings_count } = details(data);
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro', { package: package_name })}\n\n${t('textDetails')}\n- ${t('textPackage')}: ${package_name}\n- ${t('textAmount')}: ${i18n.amount(amount)}\n- ${t('common.mpesaReceipt')}: ${mpesa_receipt || t('common.processing')}\n- ${t('textDuration')}: ${t('common.months', { count: duration_months })}\n- ${t('textExpires')}: ${i18n.date(expiry_date)}\n- ${t('textPromotedListings', { count: listings_count })}: ${listings}\n\n${t('textClosing')}`;
+	},
+
+	// PDF receipt (lib/receipts.js), attached when the request sends attach_receipt: true
+	receipt(data, i18n) {
+		const { t } = i18n;
+		const promotion = details(data);
+
+		return {
+			title: t('receipt.title'),
+			amountLabel: t('receipt.amount'),
+			amount: i18n.amount(promotion.amount),
+			rows: [
+				{ label: t('receipt.package'), value: promotion.package_name },
+				promotion.mpesa_receipt && { label: t('common.mpesaReceipt'), value: promotion.mpesa_receipt },
+				{ label: t('receipt.duration'), value: t('common.months', { count: promotion.duration_months }) },
+				{ label: t('receipt.validUntil'), value: i18n.date(promotion.expiry_date) },
+				promotion.listings && { label: t('receipt.listings', { count: promotion.listings_count }), value: promotion.listings }
+			].filter(Boolean),
+			reference: promotion.mpesa_receipt
+		};
+	}
+};
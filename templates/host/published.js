@@ -0,0 +1,43 @@
+// templates/host/published.js - Listing approved and live
+const { layout, greeting, paragraph, highlight, detailsCard, callToAction } = require('../partials');
+const { listingName } = require('../fields');
+
+module.exports = {
+	group: 'host',
+	type: 'published',
+	category: 'listing_updates',
+	schema: {
+		listing_name: listingName({ required: true })
+	},
+
+	samples: {
+		default: { recipient_name: 'Brian Otieno', listing_name: 'Ocean View Cottage, Diani' }
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'success',
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', { listing: highlight('success', `'${data.listing_name}'`) })),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listingName'), value: data.listing_name, style: 'headline' }
+					]
+				}),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, { t }) {
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('intro', { listing: `'${data.listing_name}'` })}`;
+	}
+};
@@ -0,0 +1,51 @@
+// templates/host/rejected.js - Listing not approved after review
+const { layout, greeting, paragraph, highlight, detailsCard, noteBox, callToAction } = require('../partials');
+const { listingName, longText } = require('../fields');
+
+module.exports = {
+	group: 'host',
+	type: 'rejected',
+	category: 'listing_updates',
+	schema: {
+		listing_name: listingName({ required: true }),
+		rejection_reason: longText({ required: true })
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			listing_name: 'Ocean View Cottage, Diani',
+			rejection_reason: 'The photos are too dark to show the rooms clearly. Please upload brighter photos of each room.'
+		}
+	},
+
+	subject: (data, { t }) => t('subject', { listing: data.listing_name }),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'danger',
+			icon: { emoji: '❌' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('danger', t('intro', { listing: highlight('danger', `'${data.listing_name}'`) }), { marginBottom: 24 }),
+				detailsCard('danger', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('listingName'), value: data.listing_name, style: 'headline' },
+						{ label: t('rejectionReason'), value: data.rejection_reason, style: 'reason', labelColor: '#991b1b' }
+					]
+				}),
+				noteBox('danger', { heading: t('nextStepsHeading'), message: t('nextSteps') }),
+				callToAction('danger', t('closing'))
+			]
+		});
+	},
+
+	text(data, { t }) {
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('intro', { listing: `'${data.listing_name}'` })}\n\n${t('common.reason')}: ${data.rejection_reason}\n\n${t('textNextSteps')}`;
+	}
+};
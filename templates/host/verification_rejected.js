@@ -0,0 +1,47 @@
+// templates/host/verification_rejected.js - Host account verification not approved
+const { layout, greeting, paragraph, highlight, detailsCard, noteBox, callToAction } = require('../partials');
+const { longText } = require('../fields');
+
+module.exports = {
+	group: 'host',
+	type: 'verification_rejected',
+	schema: {
+		verification_rejection_reason: longText({ required: true })
+	},
+
+	samples: {
+		default: {
+			recipient_name: 'Brian Otieno',
+			verification_rejection_reason: 'The ID document uploaded has expired. Please submit a valid national ID or passport.'
+		}
+	},
+
+	subject: (data, { t }) => t('subject'),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'danger',
+			icon: { emoji: '❌' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('danger', t('intro', { request: highlight('danger', t('request')) }), { marginBottom: 24 }),
+				detailsCard('danger', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('rejectionReason'), value: data.verification_rejection_reason, style: 'reason', labelColor: '#991b1b' }
+					]
+				}),
+				noteBox('danger', { heading: t('nextStepsHeading'), message: t('nextSteps') }),
+				callToAction('danger', t('closing'))
+			]
+		});
+	},
+
+	text(data, { t }) {
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('textIntro')}\n\n${t('common.reason')}: ${data.verification_rejection_reason}\n\n${t('textNextSteps')}`;
+	}
+};
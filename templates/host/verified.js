@@ -0,0 +1,39 @@
+// templates/host/verified.js - Host account verification approved
+const { layout, greeting, paragraph, highlight, detailsCard, callToAction } = require('../partials');
+
+module.exports = {
+	group: 'host',
+	type: 'verified',
+	samples: {
+		default: { recipient_name: 'Brian Otieno' }
+	},
+
+	subject: (data, { t }) => t('subject'),
+
+	html(data, i18n) {
+		const { t } = i18n;
+
+		return layout({
+			i18n,
+			theme: 'success',
+			icon: { emoji: '✅' },
+			banner: t('banner'),
+			content: [
+				greeting(data.recipient_name, i18n),
+				paragraph('success', t('intro', { verified: highlight('success', t('verified')) })),
+				paragraph('success', t('welcome')),
+				detailsCard('success', {
+					heading: t('heading'),
+					rows: [
+						{ label: t('accountStatus'), value: t('status'), style: 'status' }
+					]
+				}),
+				callToAction('success', t('closing'))
+			]
+		});
+	},
+
+	text(data, { t }) {
+		return `${t('common.greeting', { name: data.recipient_name || t('common.there') })}\n\n${t('intro', { verified: t('verified') })}\n\n${t('textWelcome')}`;
+	}
+};
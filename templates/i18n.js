@@ -0,0 +1,106 @@
+// templates/i18n.js - Message catalogues and locale-aware formatting for the email templates
+//
+// Catalogues live in templates/locales/<locale>.js, one section per template id
+// ('host.rejected' -> { host: { rejected: { ... } } }) plus a shared `common` section.
+// Strings may contain {placeholders}; a { one, other } entry is picked by params.count.
+// Anything missing from a locale falls back to English.
+const { logger } = require('../lib/logger');
+
+const CATALOGUES = {
+	en: require('./locales/en'),
+	sw: require('./locales/sw')
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = Object.keys(CATALOGUES);
+
+// Intl tags used for number and date formatting
+const INTL_TAGS = {
+	en: 'en-KE',
+	sw: 'sw-KE'
+};
+
+// 'sw', 'SW', 'sw-KE', 'sw_TZ' -> 'sw'; anything unsupported -> null
+function normalizeLocale(value) {
+	if (typeof value !== 'string') return null;
+	const language = value.trim().toLowerCase().split(/[-_]/)[0];
+	return LOCALES.includes(language) ? language : null;
+}
+
+function readPath(catalogue, keyPath) {
+	return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), catalogue);
+}
+
+function interpolate(message, params) {
+	return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// KES amounts: numbers (or numeric strings) get grouped, anything else is shown as sent ('KES 12,500')
+function formatAmount(value, locale) {
+	const number = typeof value === 'number' ? value : Number(String(value ?? '').replace(/,/g, '').trim());
+	if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+		return value == null ? '' : String(value);
+	}
+	return `KES ${new Intl.NumberFormat(INTL_TAGS[locale], { maximumFractionDigits: 2 }).format(number)}`;
+}
+
+// ISO dates ('2027-01-19' or a full timestamp) become '19 January 2027' / '19 Januari 2027';
+// dates the caller already formatted ('Fri, 14 Nov 2025') are shown as sent
+function formatDate(value, locale) {
+	if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+		return value == null ? '' : String(value);
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) return value;
+
+	const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+	return new Intl.DateTimeFormat(INTL_TAGS[locale], {
+		dateStyle: 'long',
+		// Bare dates are calendar days; timestamps are shown in Kenyan time
+		timeZone: dateOnly ? 'UTC' : 'Africa/Nairobi'
+	}).format(date);
+}
+
+/**
+ * Translation helpers for one render
+ * Returns { locale, t(key, params), amount(value), date(value) }.
+ * With a section ('host.rejected'), t() looks keys up in that section first and then
+ * from the catalogue root, so templates write t('subject') and t('common.there').
+ */
+function createI18n(locale, section) {
+	const resolved = normalizeLocale(locale) || DEFAULT_LOCALE;
+
+	function lookup(key) {
+		for (const catalogue of [CATALOGUES[resolved], CATALOGUES[DEFAULT_LOCALE]]) {
+			const entry = (section && readPath(catalogue, `${section}.${key}`)) ?? readPath(catalogue, key);
+			if (entry !== undefined) return entry;
+		}
+		return undefined;
+	}
+
+	function t(key, params = {}) {
+		let entry = lookup(key);
+		if (entry && typeof entry === 'object' && 'other' in entry) {
+			entry = Number(params.count) === 1 ? entry.one : entry.other;
+		}
+		if (typeof entry !== 'string') {
+			logger.warn('Missing email copy', { key: `${section ? `${section}.` : ''}${key}`, locale: resolved });
+			return key;
+		}
+		return interpolate(entry, params);
+	}
+
+	return {
+		locale: resolved,
+		t,
+		amount: (value) => formatAmount(value, resolved),
+		date: (value) => formatDate(value, resolved)
+	};
+}
+
+module.exports = {
+	LOCALES,
+	DEFAULT_LOCALE,
+	normalizeLocale,
+	createI18n
+};
@@ -0,0 +1,115 @@
+// templates/index.js - Email template registry
+//
+// Each template module exports:
+//   group      // 'guest' or 'host' - which audience/endpoint family it belongs to
+//   type       // email type within the group (the guest/host endpoints' email_type)
+//   category   // optional - preference category: 'transactional' (default, always sent),
+//              //   'listing_updates', 'promotions' or 'reminders' (users can opt out, see lib/preferences.js)
+//   critical   // optional - true for receipts and booking/payout changes, which are still sent
+//              //   to suppressed (bounced/complained) addresses; everything else is refused
+//   schema     // optional - { field: rule } for the template's own request fields, built with
+//              //   lib/schema.js (shared field rules in templates/fields.js)
+//   samples    // { default: data, <variant>: data } - used by the preview endpoint
+//   subject    // (data, i18n) => string
+//   html       // (data, i18n) => string
+//   text       // (data, i18n) => string
+//   receipt    // optional (data, i18n) => receipt fields | null - PDF receipt, see lib/receipts.js
+//   calendar   // optional (data, i18n) => event fields | null - .ics invite, see lib/calendar.js
+//
+// `data` is the request body plus `recipient_name` (provided or looked up), `locale`
+// and `unsubscribe_url` (opt-out categories, when links are configured). `i18n` is
+// { locale, t, amount, date } from templates/i18n.js, with t() scoped to the
+// template's catalogue section, plus `unsubscribe` ({ url, label } or null) for the footer.
+// To add an email, create the module, add its copy to templates/locales/en.js (and
+// sw.js), and list it below; the route handlers pick templates up from the registry.
+
+const { LOCALES, normalizeLocale, createI18n } = require('./i18n');
+const { validate } = require('../lib/schema');
+
+// Preference categories; everything but transactional can be turned off per user
+const CATEGORIES = ['transactional', 'listing_updates', 'promotions', 'reminders'];
+
+const TEMPLATE_MODULES = [
+	require('./guest/payment'),
+	require('./guest/booking_confirmed'),
+	require('./guest/booking_cancelled'),
+	require('./guest/checkin_reminder'),
+	require('./guest/review_request'),
+	require('./host/submitted'),
+	require('./host/published'),
+	require('./host/rejected'),
+	require('./host/verified'),
+	require('./host/verification_rejected'),
+	require('./host/promotion_payment'),
+	require('./host/promotion_expiring'),
+	require('./host/promotion_expired'),
+	require('./host/new_booking'),
+	require('./host/booking_cancelled'),
+	require('./host/payout_sent')
+];
+
+const registry = new Map();
+
+function templateId(group, type) {
+	return `${group}.${type}`;
+}
+
+function register(template) {
+	const id = templateId(template.group, template.type);
+	if (registry.has(id)) {
+		throw new Error(`Duplicate email template: ${id}`);
+	}
+	if (template.category && !CATEGORIES.includes(template.category)) {
+		throw new Error(`Email template ${id} has unknown category "${template.category}"`);
+	}
+	registry.set(id, { id, category: 'transactional', critical: false, schema: {}, samples: {}, ...template });
+}
+
+TEMPLATE_MODULES.forEach(register);
+
+function getTemplate(group, type) {
+	return registry.get(templateId(group, type)) || null;
+}
+
+// Look up by full id ('host.rejected') or by a bare type when only one group has it ('rejected')
+function findTemplate(idOrType) {
+	if (registry.has(idOrType)) return registry.get(idOrType);
+	const matches = [...registry.values()].filter((template) => template.type === idOrType);
+	return matches.length === 1 ? matches[0] : null;
+}
+
+function listTemplates(group) {
+	const all = [...registry.values()];
+	return group ? all.filter((template) => template.group === group) : all;
+}
+
+// Problems with the template's fields, [] when the request is valid (see lib/schema.js)
+function validateTemplate(template, data) {
+	return validate(template.schema, data);
+}
+
+// Unsupported or missing locales render in English
+function renderTemplate(template, data) {
+	const i18n = createI18n(data.locale, template.id);
+	i18n.unsubscribe = data.unsubscribe_url
+		? { url: data.unsubscribe_url, label: i18n.t('common.unsubscribe', { category: i18n.t(`common.categories.${template.category}`) }) }
+		: null;
+
+	return {
+		locale: i18n.locale,
+		subject: template.subject(data, i18n),
+		html: template.html(data, i18n),
+		text: template.text(data, i18n) + (i18n.unsubscribe ? `\n\n${i18n.unsubscribe.label}: ${i18n.unsubscribe.url}` : '')
+	};
+}
+
+module.exports = {
+	LOCALES,
+	CATEGORIES,
+	normalizeLocale,
+	getTemplate,
+	findTemplate,
+	listTemplates,
+	validateTemplate,
+	renderTemplate
+};
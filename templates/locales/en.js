@@ -0,0 +1,461 @@
+// templates/locales/en.js - English email copy (the fallback for every other locale)
+//
+// Sections are keyed by template id. HTML strings may contain markup placeholders
+// (e.g. {listing} is a highlighted value); labels carry their emoji.
+module.exports = {
+	common: {
+		greeting: 'Hi {name},',
+		there: 'there',
+		footerHelp: 'Need help? Contact our support team anytime.',
+		copyright: 'MyStay. All rights reserved.',
+		automatedNotification: 'This is an automated notification from MyStay App.',
+		automatedConfirmation: 'This is an automated confirmation from MyStay App.',
+		automatedPaymentConfirmation: 'This is an automated payment confirmation from MyStay App.',
+		mpesaReceipt: 'M-Pesa Receipt',
+		bookingReference: 'Booking Reference',
+		bookingId: 'Booking ID',
+		processing: 'Processing...',
+		reason: 'Reason',
+		checkIn: 'Check-in',
+		checkOut: 'Check-out',
+		guests: 'Guests',
+		days: { one: '{count} day', other: '{count} days' },
+		months: { one: '{count} month', other: '{count} months' },
+		unsubscribe: 'Unsubscribe from {category} emails',
+		// Calendar invites (lib/calendar.js)
+		calendar: {
+			stay: 'Stay at {listing}',
+			hostedStay: 'Guest stay at {listing}',
+			guest: 'Guest'
+		},
+		// PDF receipts (lib/receipts.js) use Helvetica, so no emoji in receipt copy
+		receipt: {
+			number: 'Receipt No.',
+			issued: 'Date Issued',
+			issuedTo: 'Issued To',
+			description: 'Description',
+			footer: 'Thank you for choosing MyStay. Please keep this receipt for your records.'
+		},
+		categories: {
+			transactional: 'account',
+			listing_updates: 'listing update',
+			promotions: 'promotion',
+			reminders: 'reminder'
+		}
+	},
+
+	guest: {
+		payment: {
+			importantNote: '📌 Important Note:',
+			amount: 'Amount',
+			transactions: {
+				payment: {
+					heading: 'Payment Details',
+					receiptTitle: 'Payment Receipt',
+					receiptAmount: 'Amount Paid',
+					guest: {
+						banner: '✓ Transaction Successful',
+						amountLabel: '💰 Amount Paid',
+						summary: 'Payment received.',
+						subject: 'Payment received - thank you for booking with MyStay',
+						intro: 'Thank you for using MyStay App. Your payment has been processed successfully. Below are the details:',
+						closing: '🎉 You\'re all set! We hope you enjoy your stay.'
+					},
+					host: {
+						banner: '✓ Payment Processed',
+						amountLabel: '💰 Amount Charged',
+						summary: 'Your payment has been processed.',
+						subject: 'Payment received',
+						intro: 'Thank you for using MyStay App. Your payment has been processed successfully. Below are the details:',
+						closing: '🎉 You\'re all set! Happy hosting.'
+					}
+				},
+				refund: {
+					heading: 'Refund Details',
+					receiptTitle: 'Refund Receipt',
+					receiptAmount: 'Refund Amount',
+					guest: {
+						banner: '✓ Refund Processed',
+						amountLabel: '💵 Refund Amount',
+						summary: 'Refund processed.',
+						subject: 'Your refund has been processed',
+						intro: 'Your refund has been processed successfully. Below are the details:',
+						closing: '💙 Thank you for your understanding. We look forward to serving you again!'
+					},
+					host: {
+						banner: '✓ Refund Processed on Your Account',
+						amountLabel: '💵 Amount Refunded',
+						summary: 'A refund was processed on your account.',
+						subject: 'A refund has been processed',
+						intro: 'A refund has been processed on your MyStay account. Below are the details:',
+						closing: '💙 Thank you for your understanding. Please contact support if you have any questions.'
+					}
+				},
+				partial_refund: {
+					heading: 'Refund Details',
+					receiptTitle: 'Refund Receipt',
+					receiptAmount: 'Amount Refunded',
+					guest: {
+						banner: '✓ Partial Refund Processed',
+						amountLabel: '💵 Amount Refunded',
+						summary: 'Partial refund processed.',
+						subject: 'Your partial refund has been processed',
+						intro: 'Part of your payment has been refunded. Below are the details:',
+						closing: '💙 Thank you for your understanding. We look forward to serving you again!'
+					},
+					host: {
+						banner: '✓ Partial Refund on Your Account',
+						amountLabel: '💵 Amount Refunded',
+						summary: 'A partial refund was processed on your account.',
+						subject: 'A partial refund has been processed',
+						intro: 'A partial refund has been processed on your MyStay account. Below are the details:',
+						closing: '💙 Thank you for your understanding. Please contact support if you have any questions.'
+					}
+				},
+				deposit: {
+					heading: 'Deposit Details',
+					receiptTitle: 'Deposit Receipt',
+					receiptAmount: 'Deposit Paid',
+					guest: {
+						banner: '✓ Deposit Received',
+						amountLabel: '💰 Deposit Paid',
+						summary: 'Deposit received.',
+						subject: 'Your deposit has been received',
+						intro: 'Thank you! We have received your deposit. Below are the details:',
+						closing: '🎉 Your deposit is secured. We look forward to hosting you!'
+					},
+					host: {
+						banner: '✓ Guest Deposit Received',
+						amountLabel: '💰 Deposit Received',
+						summary: 'A deposit was received on your account.',
+						subject: 'Deposit received',
+						intro: 'A deposit has been received on your MyStay account. Below are the details:',
+						closing: '🎉 You\'re all set! Happy hosting.'
+					}
+				},
+				payout: {
+					heading: 'Payout Details',
+					guest: {
+						banner: '✓ Payout Sent',
+						amountLabel: '💸 Amount Paid Out',
+						summary: 'Payout sent.',
+						subject: 'Your payout has been sent',
+						intro: 'A payout from MyStay has been sent to you. Below are the details:',
+						closing: '💙 Thank you for using MyStay App.'
+					},
+					host: {
+						banner: '✓ Earnings Paid Out',
+						amountLabel: '💸 Earnings Paid Out',
+						summary: 'Your earnings have been paid out.',
+						subject: 'Your payout has been sent',
+						intro: 'Your earnings have been paid out. Below are the details:',
+						closing: '🎉 Thank you for hosting with MyStay!'
+					}
+				},
+				chargeback: {
+					heading: 'Chargeback Details',
+					guest: {
+						banner: '⚠ Chargeback Recorded',
+						amountLabel: '↩️ Amount Reversed',
+						summary: 'Chargeback recorded.',
+						subject: 'A chargeback was recorded on your payment',
+						intro: 'A chargeback has been recorded for one of your MyStay payments. Below are the details:',
+						closing: '💙 If you did not request this reversal, please contact our support team.'
+					},
+					host: {
+						banner: '⚠ Chargeback on a Booking Payment',
+						amountLabel: '↩️ Amount Reversed from Your Earnings',
+						summary: 'A guest payment for your listing was reversed.',
+						subject: 'A chargeback was recorded on a booking payment',
+						intro: 'A guest payment linked to your listing was reversed through a chargeback. Below are the details:',
+						closing: '💙 Our support team will contact you if any action is needed.'
+					}
+				}
+			}
+		},
+
+		booking_confirmed: {
+			subject: 'Your booking at \'{listing}\' is confirmed',
+			banner: '✓ Booking Confirmed',
+			title: 'Booking Confirmed',
+			intro: 'Great news! Your booking at {listing} is confirmed. Below are the details:',
+			heading: 'Booking Details',
+			listing: '🏡 Listing',
+			checkIn: '📅 Check-in',
+			checkOut: '📅 Check-out',
+			guests: '👥 Guests',
+			amountPaid: '💰 Amount Paid',
+			closing: '🎉 You\'re all set! We hope you enjoy your stay.',
+			textIntro: 'Your booking at {listing} is confirmed.',
+			textAmountPaid: 'Amount Paid',
+			textClosing: 'We hope you enjoy your stay.'
+		},
+
+		booking_cancelled: {
+			subject: 'Your booking at \'{listing}\' has been cancelled',
+			banner: '⚠ Booking Cancelled',
+			title: 'Booking Cancelled',
+			intro: {
+				guest: 'As requested, your booking at {listing} has been cancelled.',
+				host: 'We\'re sorry to let you know that the host has cancelled your booking at {listing}.'
+			},
+			details: 'Below are the details:',
+			heading: 'Cancellation Details',
+			listing: '🏡 Listing',
+			checkIn: '📅 Check-in',
+			checkOut: '📅 Check-out',
+			cancelledBy: '🙋 Cancelled By',
+			cancelledByValue: {
+				guest: 'You',
+				host: 'Host'
+			},
+			reason: '📋 Reason',
+			refundAmount: '💵 Refund Amount',
+			refundHeading: '💡 About Your Refund:',
+			refundMessage: 'Your refund is being processed. Refunds usually reflect in your M-Pesa account within 24 hours.',
+			closing: '💙 We hope to host you again soon. Please contact support if you have any questions.',
+			textRefundAmount: 'Refund Amount',
+			textClosing: 'Please contact our support team if you have any questions.'
+		},
+
+		checkin_reminder: {
+			subject: 'Check-in reminder: your stay at \'{listing}\'',
+			banner: '🧳 Your Stay Is Coming Up',
+			title: 'Check-in Reminder',
+			intro: 'Your stay at {listing} is coming up. Here is everything you need for check-in:',
+			heading: 'Check-in Details',
+			listing: '🏡 Listing',
+			checkIn: '📅 Check-in',
+			address: '📍 Address',
+			host: '👤 Host',
+			hostPhone: '📞 Host Phone',
+			instructions: '📌 Check-in Instructions:',
+			closing: '🎉 Safe travels! We hope you enjoy your stay.',
+			textIntro: 'Your stay at {listing} is coming up.',
+			textAddress: 'Address',
+			textHost: 'Host',
+			textHostPhone: 'Host Phone',
+			textClosing: 'Safe travels!'
+		},
+
+		review_request: {
+			subject: 'How was your stay at \'{listing}\'?',
+			banner: '⭐ Share Your Experience',
+			title: 'How Was Your Stay?',
+			intro: 'Thank you for staying at {listing}. We\'d love to hear how it went - your review helps other guests choose and helps hosts improve.',
+			heading: 'Your Stay',
+			listing: '🏡 Listing',
+			checkedOut: '📅 Checked Out',
+			button: 'Leave a Review',
+			closing: '💙 Thank you for choosing MyStay. We look forward to hosting you again!',
+			textIntro: 'Thank you for staying at {listing}. We\'d love to hear how it went.',
+			textReview: 'Leave a review',
+			textClosing: 'Thank you for choosing MyStay.'
+		}
+	},
+
+	host: {
+		submitted: {
+			subject: 'Your listing \'{listing}\' has been submitted',
+			banner: '✓ Listing Submitted',
+			intro: 'Thank you for submitting your listing {listing}.',
+			heading: 'Listing Information',
+			listingName: '📝 Listing Name',
+			closing: '⏳ Your listing is under review. We\'ll notify you once it\'s published.'
+		},
+
+		published: {
+			subject: 'Your listing \'{listing}\' has been published',
+			banner: '✓ Listing Published',
+			intro: 'We are pleased to inform you that your submission {listing} was just published on our app. Thank you.',
+			heading: 'Listing Information',
+			listingName: '🎉 Listing Name',
+			closing: '🎊 Congratulations! Your listing is now live and visible to guests.'
+		},
+
+		rejected: {
+			subject: 'Your listing \'{listing}\' was not approved',
+			banner: '⚠ Listing Not Approved',
+			intro: 'We\'re sorry to inform you that your listing {listing} was not approved after review.',
+			heading: 'Listing Information',
+			listingName: '❌ Listing Name',
+			rejectionReason: '📋 Rejection Reason',
+			nextStepsHeading: '💡 Next Steps:',
+			nextSteps: 'If you\'d like more information or wish to resubmit your listing with corrections, please contact our support team. We\'re here to help!',
+			closing: '💙 We appreciate your understanding. Please contact support if you have any questions.',
+			textNextSteps: 'If you\'d like more information or wish to try again, please contact our support team.'
+		},
+
+		verified: {
+			subject: 'Your host account has been verified',
+			banner: '✓ Host Verified',
+			intro: 'Congratulations! Your host account has been {verified}. You can now start creating and managing your listings on MyStay App.',
+			verified: 'successfully verified',
+			welcome: 'Welcome to the MyStay community! We\'re excited to have you as part of our platform.',
+			heading: 'Verification Status',
+			accountStatus: '✅ Account Status',
+			status: 'Verified',
+			closing: '🎉 Welcome to MyStay! You can now start creating your first listing and begin hosting guests.',
+			textWelcome: 'Welcome to the MyStay community!'
+		},
+
+		verification_rejected: {
+			subject: 'Host verification not approved',
+			banner: '⚠ Verification Not Approved',
+			intro: 'We\'re sorry to inform you that your {request} was not approved after review.',
+			request: 'host verification request',
+			heading: 'Verification Information',
+			rejectionReason: '📋 Rejection Reason',
+			nextStepsHeading: '💡 Next Steps:',
+			nextSteps: 'If you\'d like more information or wish to resubmit your verification request with corrections, please contact our support team. We\'re here to help!',
+			closing: '💙 We appreciate your understanding. Please contact support if you have any questions.',
+			textIntro: 'We\'re sorry to inform you that your host verification request was not approved.',
+			textNextSteps: 'If you\'d like more information or wish to resubmit your verification, please contact our support team.'
+		},
+
+		promotion_payment: {
+			subject: 'Promotion Payment Confirmed - {package} Package',
+			banner: '✓ Promotion Payment Confirmed',
+			intro: 'Thank you for upgrading to the {package} promotion package! Your payment has been successfully processed. Your listings are now boosted and will receive enhanced visibility.',
+			heading: '⭐ Promotion Package Details',
+			package: '🏆 Package',
+			amountPaid: '💰 Amount Paid',
+			mpesaReceipt: '📱 M-Pesa Receipt',
+			duration: '⏱️ Duration',
+			expiresOn: '📅 Expires On',
+			promotedListings: '🏠 Promoted Listings ({count})',
+			benefitsHeading: '🚀 Your Promotion Benefits:',
+			benefits: 'Your listings will appear at the top of search results, get featured on the homepage, and receive a premium badge to attract more guests!',
+			closing: '🎉 Congratulations on your upgrade! Your promoted listings are now live and reaching more guests.',
+			textIntro: 'Thank you for upgrading to the {package} promotion package!',
+			textDetails: 'Payment Details:',
+			textPackage: 'Package',
+			textAmount: 'Amount',
+			textDuration: 'Duration',
+			textExpires: 'Expires',
+			textPromotedListings: 'Promoted Listings ({count})',
+			textClosing: 'Your listings are now boosted and will receive enhanced visibility. Congratulations!',
+			receipt: {
+				title: 'Promotion Receipt',
+				package: 'Package',
+				duration: 'Duration',
+				validUntil: 'Valid Until',
+				listings: 'Promoted Listings ({count})',
+				amount: 'Amount Paid'
+			}
+		},
+
+		promotion_expiring: {
+			subject: 'Your {package} promotion ends in {days}',
+			banner: '⏳ Promotion Ending Soon',
+			intro: 'Your {package} promotion package ends in {days}. Renew now to keep your listings at the top of search results.',
+			heading: '⭐ Promotion Package Details',
+			package: '🏆 Package',
+			timeLeft: '⏳ Time Left',
+			expiresOn: '📅 Expires On',
+			promotedListings: '🏠 Promoted Listings',
+			button: 'Renew Promotion',
+			nextStepsHeading: '💡 What Happens Next:',
+			nextSteps: 'When the promotion ends, your listings stay live but lose their top placement, homepage feature and premium badge.',
+			closing: '🚀 Thank you for promoting your listings with MyStay!',
+			textIntro: 'Your {package} promotion package ends in {days} ({date}).',
+			textPromotedListings: 'Promoted Listings',
+			textRenew: 'Renew now',
+			textClosing: 'When the promotion ends, your listings stay live but lose their top placement and premium badge.'
+		},
+
+		promotion_expired: {
+			subject: 'Your {package} promotion has ended',
+			banner: '⌛ Promotion Ended',
+			intro: 'Your {package} promotion package has ended. Your listings are still live, but they no longer get boosted placement.',
+			heading: '⭐ Promotion Package Details',
+			package: '🏆 Package',
+			endedOn: '📅 Ended On',
+			listings: '🏠 Listings',
+			button: 'Promote Again',
+			closing: '🚀 Promote again any time to get your listings back in front of more guests.',
+			textIntro: 'Your {package} promotion package ended on {date}. Your listings are still live, but they no longer get boosted placement.',
+			textListings: 'Listings',
+			textPromote: 'Promote again'
+		},
+
+		new_booking: {
+			subject: 'New booking for \'{listing}\'',
+			banner: '✓ New Booking Received',
+			intro: 'Good news! {guest} has booked your listing {listing}. Below are the details:',
+			aGuest: 'A guest',
+			heading: 'Booking Details',
+			listing: '🏡 Listing',
+			guest: '👤 Guest',
+			guests: '👥 Guests',
+			checkIn: '📅 Check-in',
+			checkOut: '📅 Check-out',
+			bookingAmount: '💰 Booking Amount',
+			earnings: '💸 Your Earnings',
+			closing: '🎉 Please get your listing ready for your guest. Happy hosting!',
+			textIntro: '{guest} has booked your listing {listing}.',
+			textBookingAmount: 'Booking Amount',
+			textEarnings: 'Your Earnings',
+			textClosing: 'Happy hosting!'
+		},
+
+		booking_cancelled: {
+			subject: 'Booking {booking} for \'{listing}\' has been cancelled',
+			banner: '⚠ Booking Cancelled',
+			intro: {
+				guest: '{guest} has cancelled their booking for {listing}.',
+				host: 'As requested, the booking for {listing} has been cancelled and the guest has been notified.'
+			},
+			yourGuest: 'Your guest',
+			heading: 'Cancellation Details',
+			listing: '🏡 Listing',
+			guest: '👤 Guest',
+			checkIn: '📅 Check-in',
+			checkOut: '📅 Check-out',
+			cancelledBy: '🙋 Cancelled By',
+			cancelledByValue: {
+				guest: 'Guest',
+				host: 'You'
+			},
+			reason: '📋 Reason',
+			nextStepsHeading: '💡 What Happens Next:',
+			nextSteps: 'These dates are open again on your calendar. Any refund due to the guest is handled by MyStay.',
+			closing: '💙 Please contact support if you have any questions.',
+			textClosing: 'These dates are open again on your calendar.'
+		},
+
+		payout_sent: {
+			subject: 'Payout Sent - {amount}',
+			banner: '✓ Payout Sent',
+			intro: 'Your earnings of {amount} have been paid out. Below are the details:',
+			heading: 'Payout Details',
+			amountPaidOut: '💸 Amount Paid Out',
+			bookingEarnings: '💰 Booking Earnings',
+			feesDeducted: '🧾 Fees Deducted',
+			reference: {
+				mpesa: '📱 M-Pesa Receipt',
+				bank: '🏦 Bank Reference'
+			},
+			payoutDate: '📅 Payout Date',
+			bookings: '🏠 Bookings ({count})',
+			noteHeading: '📌 Please Note:',
+			note: {
+				mpesa: 'M-Pesa payouts usually reflect in your account within a few minutes.',
+				bank: 'Bank transfers can take up to 2 business days to reflect in your account.'
+			},
+			closing: '🎉 Thank you for hosting with MyStay!',
+			textIntro: 'Your earnings of {amount} have been paid out.',
+			textDetails: 'Payout Details:',
+			textAmountPaidOut: 'Amount Paid Out',
+			textBookingEarnings: 'Booking Earnings',
+			textFeesDeducted: 'Fees Deducted',
+			textReference: {
+				mpesa: 'M-Pesa Receipt',
+				bank: 'Bank Reference'
+			},
+			textPayoutDate: 'Payout Date',
+			textBookings: 'Bookings ({count})',
+			textClosing: 'Thank you for hosting with MyStay!'
+		}
+	}
+};
@@ -0,0 +1,456 @@
+// templates/locales/sw.js - Swahili email copy (missing keys fall back to en.js)
+module.exports = {
+	common: {
+		greeting: 'Habari {name},',
+		there: 'rafiki',
+		footerHelp: 'Unahitaji msaada? Wasiliana na timu yetu ya usaidizi wakati wowote.',
+		copyright: 'MyStay. Haki zote zimehifadhiwa.',
+		automatedNotification: 'Huu ni ujumbe wa kiotomatiki kutoka MyStay App.',
+		automatedConfirmation: 'Huu ni uthibitisho wa kiotomatiki kutoka MyStay App.',
+		automatedPaymentConfirmation: 'Huu ni uthibitisho wa malipo wa kiotomatiki kutoka MyStay App.',
+		mpesaReceipt: 'Risiti ya M-Pesa',
+		bookingReference: 'Namba ya Uhifadhi',
+		bookingId: 'Namba ya Uhifadhi',
+		processing: 'Inashughulikiwa...',
+		reason: 'Sababu',
+		checkIn: 'Kuingia',
+		checkOut: 'Kuondoka',
+		guests: 'Wageni',
+		days: { one: 'siku {count}', other: 'siku {count}' },
+		months: { one: 'mwezi {count}', other: 'miezi {count}' },
+		unsubscribe: 'Jiondoe kwenye barua pepe za {category}',
+		calendar: {
+			stay: 'Malazi katika {listing}',
+			hostedStay: 'Mgeni katika {listing}',
+			guest: 'Mgeni'
+		},
+		receipt: {
+			number: 'Namba ya Risiti',
+			issued: 'Tarehe ya Kutolewa',
+			issuedTo: 'Imetolewa Kwa',
+			description: 'Maelezo',
+			footer: 'Asante kwa kuchagua MyStay. Tafadhali hifadhi risiti hii kwa kumbukumbu zako.'
+		},
+		categories: {
+			transactional: 'akaunti',
+			listing_updates: 'masasisho ya matangazo',
+			promotions: 'promosheni',
+			reminders: 'vikumbusho'
+		}
+	},
+
+	guest: {
+		payment: {
+			importantNote: '📌 Taarifa Muhimu:',
+			amount: 'Kiasi',
+			transactions: {
+				payment: {
+					heading: 'Maelezo ya Malipo',
+					receiptTitle: 'Risiti ya Malipo',
+					receiptAmount: 'Kiasi Kilicholipwa',
+					guest: {
+						banner: '✓ Muamala Umefanikiwa',
+						amountLabel: '💰 Kiasi Kilicholipwa',
+						summary: 'Malipo yamepokelewa.',
+						subject: 'Malipo yamepokelewa - asante kwa kuhifadhi na MyStay',
+						intro: 'Asante kwa kutumia MyStay App. Malipo yako yameshughulikiwa kikamilifu. Haya ndiyo maelezo:',
+						closing: '🎉 Kila kitu kiko tayari! Tunakutakia makazi mema.'
+					},
+					host: {
+						banner: '✓ Malipo Yameshughulikiwa',
+						amountLabel: '💰 Kiasi Kilichotozwa',
+						summary: 'Malipo yako yameshughulikiwa.',
+						subject: 'Malipo yamepokelewa',
+						intro: 'Asante kwa kutumia MyStay App. Malipo yako yameshughulikiwa kikamilifu. Haya ndiyo maelezo:',
+						closing: '🎉 Kila kitu kiko tayari! Ukaribishaji mwema.'
+					}
+				},
+				refund: {
+					heading: 'Maelezo ya Marejesho',
+					receiptTitle: 'Risiti ya Marejesho',
+					receiptAmount: 'Kiasi cha Marejesho',
+					guest: {
+						banner: '✓ Marejesho Yamefanyika',
+						amountLabel: '💵 Kiasi cha Marejesho',
+						summary: 'Marejesho yamefanyika.',
+						subject: 'Marejesho yako yamefanyika',
+						intro: 'Marejesho yako yamefanyika kikamilifu. Haya ndiyo maelezo:',
+						closing: '💙 Asante kwa kuelewa. Tunatarajia kukuhudumia tena!'
+					},
+					host: {
+						banner: '✓ Marejesho Kwenye Akaunti Yako',
+						amountLabel: '💵 Kiasi Kilichorejeshwa',
+						summary: 'Marejesho yamefanyika kwenye akaunti yako.',
+						subject: 'Marejesho yamefanyika',
+						intro: 'Marejesho yamefanyika kwenye akaunti yako ya MyStay. Haya ndiyo maelezo:',
+						closing: '💙 Asante kwa kuelewa. Tafadhali wasiliana na timu ya usaidizi ukiwa na maswali yoyote.'
+					}
+				},
+				partial_refund: {
+					heading: 'Maelezo ya Marejesho',
+					receiptTitle: 'Risiti ya Marejesho',
+					receiptAmount: 'Kiasi Kilichorejeshwa',
+					guest: {
+						banner: '✓ Sehemu ya Marejesho Imefanyika',
+						amountLabel: '💵 Kiasi Kilichorejeshwa',
+						summary: 'Sehemu ya marejesho imefanyika.',
+						subject: 'Sehemu ya marejesho yako imefanyika',
+						intro: 'Sehemu ya malipo yako imerejeshwa. Haya ndiyo maelezo:',
+						closing: '💙 Asante kwa kuelewa. Tunatarajia kukuhudumia tena!'
+					},
+					host: {
+						banner: '✓ Sehemu ya Marejesho Kwenye Akaunti Yako',
+						amountLabel: '💵 Kiasi Kilichorejeshwa',
+						summary: 'Sehemu ya marejesho imefanyika kwenye akaunti yako.',
+						subject: 'Sehemu ya marejesho imefanyika',
+						intro: 'Sehemu ya marejesho imefanyika kwenye akaunti yako ya MyStay. Haya ndiyo maelezo:',
+						closing: '💙 Asante kwa kuelewa. Tafadhali wasiliana na timu ya usaidizi ukiwa na maswali yoyote.'
+					}
+				},
+				deposit: {
+					heading: 'Maelezo ya Amana',
+					receiptTitle: 'Risiti ya Amana',
+					receiptAmount: 'Amana Iliyolipwa',
+					guest: {
+						banner: '✓ Amana Imepokelewa',
+						amountLabel: '💰 Amana Iliyolipwa',
+						summary: 'Amana imepokelewa.',
+						subject: 'Amana yako imepokelewa',
+						intro: 'Asante! Tumepokea amana yako. Haya ndiyo maelezo:',
+						closing: '🎉 Amana yako imehifadhiwa. Tunatarajia kukukaribisha!'
+					},
+					host: {
+						banner: '✓ Amana ya Mgeni Imepokelewa',
+						amountLabel: '💰 Amana Iliyopokelewa',
+						summary: 'Amana imepokelewa kwenye akaunti yako.',
+						subject: 'Amana imepokelewa',
+						intro: 'Amana imepokelewa kwenye akaunti yako ya MyStay. Haya ndiyo maelezo:',
+						closing: '🎉 Kila kitu kiko tayari! Ukaribishaji mwema.'
+					}
+				},
+				payout: {
+					heading: 'Maelezo ya Malipo',
+					guest: {
+						banner: '✓ Malipo Yametumwa',
+						amountLabel: '💸 Kiasi Kilicholipwa',
+						summary: 'Malipo yametumwa.',
+						subject: 'Malipo yako yametumwa',
+						intro: 'Malipo kutoka MyStay yametumwa kwako. Haya ndiyo maelezo:',
+						closing: '💙 Asante kwa kutumia MyStay App.'
+					},
+					host: {
+						banner: '✓ Mapato Yamelipwa',
+						amountLabel: '💸 Mapato Yaliyolipwa',
+						summary: 'Mapato yako yamelipwa.',
+						subject: 'Malipo yako yametumwa',
+						intro: 'Mapato yako yamelipwa. Haya ndiyo maelezo:',
+						closing: '🎉 Asante kwa kukaribisha wageni na MyStay!'
+					}
+				},
+				chargeback: {
+					heading: 'Maelezo ya Ubatilishaji',
+					guest: {
+						banner: '⚠ Malipo Yamebatilishwa',
+						amountLabel: '↩️ Kiasi Kilichobatilishwa',
+						summary: 'Ubatilishaji wa malipo umerekodiwa.',
+						subject: 'Malipo yako yamebatilishwa',
+						intro: 'Mojawapo ya malipo yako ya MyStay yamebatilishwa. Haya ndiyo maelezo:',
+						closing: '💙 Ikiwa hukuomba ubatilishaji huu, tafadhali wasiliana na timu yetu ya usaidizi.'
+					},
+					host: {
+						banner: '⚠ Malipo ya Uhifadhi Yamebatilishwa',
+						amountLabel: '↩️ Kiasi Kilichoondolewa Kwenye Mapato',
+						summary: 'Malipo ya mgeni kwa tangazo lako yamebatilishwa.',
+						subject: 'Malipo ya uhifadhi yamebatilishwa',
+						intro: 'Malipo ya mgeni yanayohusiana na tangazo lako yamebatilishwa. Haya ndiyo maelezo:',
+						closing: '💙 Timu yetu ya usaidizi itawasiliana nawe ikiwa hatua yoyote itahitajika.'
+					}
+				}
+			}
+		},
+
+		booking_confirmed: {
+			subject: 'Uhifadhi wako katika \'{listing}\' umethibitishwa',
+			banner: '✓ Uhifadhi Umethibitishwa',
+			title: 'Uhifadhi Umethibitishwa',
+			intro: 'Habari njema! Uhifadhi wako katika {listing} umethibitishwa. Haya ndiyo maelezo:',
+			heading: 'Maelezo ya Uhifadhi',
+			listing: '🏡 Tangazo',
+			checkIn: '📅 Kuingia',
+			checkOut: '📅 Kuondoka',
+			guests: '👥 Wageni',
+			amountPaid: '💰 Kiasi Kilicholipwa',
+			closing: '🎉 Kila kitu kiko tayari! Tunakutakia makazi mema.',
+			textIntro: 'Uhifadhi wako katika {listing} umethibitishwa.',
+			textAmountPaid: 'Kiasi Kilicholipwa',
+			textClosing: 'Tunakutakia makazi mema.'
+		},
+
+		booking_cancelled: {
+			subject: 'Uhifadhi wako katika \'{listing}\' umeghairiwa',
+			banner: '⚠ Uhifadhi Umeghairiwa',
+			title: 'Uhifadhi Umeghairiwa',
+			intro: {
+				guest: 'Kama ulivyoomba, uhifadhi wako katika {listing} umeghairiwa.',
+				host: 'Tunasikitika kukujulisha kwamba mwenyeji ameghairi uhifadhi wako katika {listing}.'
+			},
+			details: 'Haya ndiyo maelezo:',
+			heading: 'Maelezo ya Kughairi',
+			listing: '🏡 Tangazo',
+			checkIn: '📅 Kuingia',
+			checkOut: '📅 Kuondoka',
+			cancelledBy: '🙋 Aliyeghairi',
+			cancelledByValue: {
+				guest: 'Wewe',
+				host: 'Mwenyeji'
+			},
+			reason: '📋 Sababu',
+			refundAmount: '💵 Kiasi cha Marejesho',
+			refundHeading: '💡 Kuhusu Marejesho Yako:',
+			refundMessage: 'Marejesho yako yanashughulikiwa. Kwa kawaida marejesho huonekana kwenye akaunti yako ya M-Pesa ndani ya saa 24.',
+			closing: '💙 Tunatumaini kukukaribisha tena hivi karibuni. Tafadhali wasiliana na timu ya usaidizi ukiwa na maswali yoyote.',
+			textRefundAmount: 'Kiasi cha Marejesho',
+			textClosing: 'Tafadhali wasiliana na timu yetu ya usaidizi ukiwa na maswali yoyote.'
+		},
+
+		checkin_reminder: {
+			subject: 'Kikumbusho cha kuingia: makazi yako katika \'{listing}\'',
+			banner: '🧳 Makazi Yako Yanakaribia',
+			title: 'Kikumbusho cha Kuingia',
+			intro: 'Makazi yako katika {listing} yanakaribia. Hiki ndicho unachohitaji ili kuingia:',
+			heading: 'Maelezo ya Kuingia',
+			listing: '🏡 Tangazo',
+			checkIn: '📅 Kuingia',
+			address: '📍 Anwani',
+			host: '👤 Mwenyeji',
+			hostPhone: '📞 Simu ya Mwenyeji',
+			instructions: '📌 Maelekezo ya Kuingia:',
+			closing: '🎉 Safari njema! Tunakutakia makazi mema.',
+			textIntro: 'Makazi yako katika {listing} yanakaribia.',
+			textAddress: 'Anwani',
+			textHost: 'Mwenyeji',
+			textHostPhone: 'Simu ya Mwenyeji',
+			textClosing: 'Safari njema!'
+		},
+
+		review_request: {
+			subject: 'Makazi yako katika \'{listing}\' yalikuwaje?',
+			banner: '⭐ Tueleze Uzoefu Wako',
+			title: 'Makazi Yako Yalikuwaje?',
+			intro: 'Asante kwa kukaa katika {listing}. Tungependa kusikia ilivyokuwa - maoni yako huwasaidia wageni wengine kuchagua na wenyeji kuboresha huduma.',
+			heading: 'Makazi Yako',
+			listing: '🏡 Tangazo',
+			checkedOut: '📅 Uliondoka',
+			button: 'Toa Maoni',
+			closing: '💙 Asante kwa kuchagua MyStay. Tunatarajia kukukaribisha tena!',
+			textIntro: 'Asante kwa kukaa katika {listing}. Tungependa kusikia ilivyokuwa.',
+			textReview: 'Toa maoni',
+			textClosing: 'Asante kwa kuchagua MyStay.'
+		}
+	},
+
+	host: {
+		submitted: {
+			subject: 'Tangazo lako \'{listing}\' limewasilishwa',
+			banner: '✓ Tangazo Limewasilishwa',
+			intro: 'Asante kwa kuwasilisha tangazo lako {listing}.',
+			heading: 'Taarifa za Tangazo',
+			listingName: '📝 Jina la Tangazo',
+			closing: '⏳ Tangazo lako linakaguliwa. Tutakujulisha litakapochapishwa.'
+		},
+
+		published: {
+			subject: 'Tangazo lako \'{listing}\' limechapishwa',
+			banner: '✓ Tangazo Limechapishwa',
+			intro: 'Tunafurahi kukujulisha kwamba tangazo lako {listing} limechapishwa kwenye programu yetu. Asante.',
+			heading: 'Taarifa za Tangazo',
+			listingName: '🎉 Jina la Tangazo',
+			closing: '🎊 Hongera! Tangazo lako sasa liko hewani na wageni wanaweza kuliona.'
+		},
+
+		rejected: {
+			subject: 'Tangazo lako \'{listing}\' halijaidhinishwa',
+			banner: '⚠ Tangazo Halijaidhinishwa',
+			intro: 'Tunasikitika kukujulisha kwamba tangazo lako {listing} halijaidhinishwa baada ya ukaguzi.',
+			heading: 'Taarifa za Tangazo',
+			listingName: '❌ Jina la Tangazo',
+			rejectionReason: '📋 Sababu ya Kukataliwa',
+			nextStepsHeading: '💡 Hatua Zinazofuata:',
+			nextSteps: 'Ikiwa ungependa maelezo zaidi au kuwasilisha upya tangazo lako baada ya marekebisho, tafadhali wasiliana na timu yetu ya usaidizi. Tuko hapa kukusaidia!',
+			closing: '💙 Tunashukuru kwa kuelewa. Tafadhali wasiliana na timu ya usaidizi ukiwa na maswali yoyote.',
+			textNextSteps: 'Ikiwa ungependa maelezo zaidi au kujaribu tena, tafadhali wasiliana na timu yetu ya usaidizi.'
+		},
+
+		verified: {
+			subject: 'Akaunti yako ya mwenyeji imethibitishwa',
+			banner: '✓ Mwenyeji Amethibitishwa',
+			intro: 'Hongera! Akaunti yako ya mwenyeji {verified}. Sasa unaweza kuanza kuunda na kusimamia matangazo yako kwenye MyStay App.',
+			verified: 'imethibitishwa kikamilifu',
+			welcome: 'Karibu kwenye jumuiya ya MyStay! Tunafurahi kuwa nawe kwenye jukwaa letu.',
+			heading: 'Hali ya Uthibitisho',
+			accountStatus: '✅ Hali ya Akaunti',
+			status: 'Imethibitishwa',
+			closing: '🎉 Karibu MyStay! Sasa unaweza kuunda tangazo lako la kwanza na kuanza kukaribisha wageni.',
+			textWelcome: 'Karibu kwenye jumuiya ya MyStay!'
+		},
+
+		verification_rejected: {
+			subject: 'Uthibitisho wa mwenyeji haujaidhinishwa',
+			banner: '⚠ Uthibitisho Haujaidhinishwa',
+			intro: 'Tunasikitika kukujulisha kwamba {request} haijaidhinishwa baada ya ukaguzi.',
+			request: 'ombi lako la uthibitisho wa mwenyeji',
+			heading: 'Taarifa za Uthibitisho',
+			rejectionReason: '📋 Sababu ya Kukataliwa',
+			nextStepsHeading: '💡 Hatua Zinazofuata:',
+			nextSteps: 'Ikiwa ungependa maelezo zaidi au kuwasilisha upya ombi lako la uthibitisho baada ya marekebisho, tafadhali wasiliana na timu yetu ya usaidizi. Tuko hapa kukusaidia!',
+			closing: '💙 Tunashukuru kwa kuelewa. Tafadhali wasiliana na timu ya usaidizi ukiwa na maswali yoyote.',
+			textIntro: 'Tunasikitika kukujulisha kwamba ombi lako la uthibitisho wa mwenyeji halijaidhinishwa.',
+			textNextSteps: 'Ikiwa ungependa maelezo zaidi au kuwasilisha upya ombi lako la uthibitisho, tafadhali wasiliana na timu yetu ya usaidizi.'
+		},
+
+		promotion_payment: {
+			subject: 'Malipo ya Promosheni Yamethibitishwa - Kifurushi cha {package}',
+			banner: '✓ Malipo ya Promosheni Yamethibitishwa',
+			intro: 'Asante kwa kupandisha hadi kifurushi cha promosheni cha {package}! Malipo yako yameshughulikiwa kikamilifu. Matangazo yako sasa yamepewa kipaumbele na yataonekana zaidi.',
+			heading: '⭐ Maelezo ya Kifurushi cha Promosheni',
+			package: '🏆 Kifurushi',
+			amountPaid: '💰 Kiasi Kilicholipwa',
+			mpesaReceipt: '📱 Risiti ya M-Pesa',
+			duration: '⏱️ Muda',
+			expiresOn: '📅 Kinaisha Tarehe',
+			promotedListings: '🏠 Matangazo Yaliyopandishwa ({count})',
+			benefitsHeading: '🚀 Faida za Promosheni Yako:',
+			benefits: 'Matangazo yako yataonekana juu kwenye matokeo ya utafutaji, yataangaziwa kwenye ukurasa wa mwanzo, na yatapata beji maalum ili kuvutia wageni zaidi!',
+			closing: '🎉 Hongera kwa kupandisha! Matangazo yako yaliyopandishwa sasa yako hewani na yanawafikia wageni wengi zaidi.',
+			textIntro: 'Asante kwa kupandisha hadi kifurushi cha promosheni cha {package}!',
+			textDetails: 'Maelezo ya Malipo:',
+			textPackage: 'Kifurushi',
+			textAmount: 'Kiasi',
+			textDuration: 'Muda',
+			textExpires: 'Kinaisha',
+			textPromotedListings: 'Matangazo Yaliyopandishwa ({count})',
+			textClosing: 'Matangazo yako sasa yamepewa kipaumbele na yataonekana zaidi. Hongera!',
+			receipt: {
+				title: 'Risiti ya Promosheni',
+				package: 'Kifurushi',
+				duration: 'Muda',
+				validUntil: 'Inatumika Hadi',
+				listings: 'Matangazo Yaliyopandishwa ({count})',
+				amount: 'Kiasi Kilicholipwa'
+			}
+		},
+
+		promotion_expiring: {
+			subject: 'Promosheni yako ya {package} inaisha baada ya {days}',
+			banner: '⏳ Promosheni Inaisha Hivi Karibuni',
+			intro: 'Kifurushi chako cha promosheni cha {package} kinaisha baada ya {days}. Kifanye upya sasa ili matangazo yako yaendelee kuonekana juu kwenye matokeo ya utafutaji.',
+			heading: '⭐ Maelezo ya Kifurushi cha Promosheni',
+			package: '🏆 Kifurushi',
+			timeLeft: '⏳ Muda Uliobaki',
+			expiresOn: '📅 Kinaisha Tarehe',
+			promotedListings: '🏠 Matangazo Yaliyopandishwa',
+			button: 'Fanya Upya Promosheni',
+			nextStepsHeading: '💡 Nini Kitafuata:',
+			nextSteps: 'Promosheni ikiisha, matangazo yako yataendelea kuwa hewani lakini yatapoteza nafasi ya juu, kuangaziwa kwenye ukurasa wa mwanzo na beji maalum.',
+			closing: '🚀 Asante kwa kupandisha matangazo yako na MyStay!',
+			textIntro: 'Kifurushi chako cha promosheni cha {package} kinaisha baada ya {days} ({date}).',
+			textPromotedListings: 'Matangazo Yaliyopandishwa',
+			textRenew: 'Fanya upya sasa',
+			textClosing: 'Promosheni ikiisha, matangazo yako yataendelea kuwa hewani lakini yatapoteza nafasi ya juu na beji maalum.'
+		},
+
+		promotion_expired: {
+			subject: 'Promosheni yako ya {package} imeisha',
+			banner: '⌛ Promosheni Imeisha',
+			intro: 'Kifurushi chako cha promosheni cha {package} kimeisha. Matangazo yako bado yako hewani, lakini hayapewi tena kipaumbele.',
+			heading: '⭐ Maelezo ya Kifurushi cha Promosheni',
+			package: '🏆 Kifurushi',
+			endedOn: '📅 Kiliisha Tarehe',
+			listings: '🏠 Matangazo',
+			button: 'Pandisha Tena',
+			closing: '🚀 Pandisha tena wakati wowote ili matangazo yako yawafikie wageni wengi zaidi.',
+			textIntro: 'Kifurushi chako cha promosheni cha {package} kiliisha tarehe {date}. Matangazo yako bado yako hewani, lakini hayapewi tena kipaumbele.',
+			textListings: 'Matangazo',
+			textPromote: 'Pandisha tena'
+		},
+
+		new_booking: {
+			subject: 'Uhifadhi mpya wa \'{listing}\'',
+			banner: '✓ Uhifadhi Mpya Umepokelewa',
+			intro: 'Habari njema! {guest} amehifadhi tangazo lako {listing}. Haya ndiyo maelezo:',
+			aGuest: 'Mgeni',
+			heading: 'Maelezo ya Uhifadhi',
+			listing: '🏡 Tangazo',
+			guest: '👤 Mgeni',
+			guests: '👥 Wageni',
+			checkIn: '📅 Kuingia',
+			checkOut: '📅 Kuondoka',
+			bookingAmount: '💰 Kiasi cha Uhifadhi',
+			earnings: '💸 Mapato Yako',
+			closing: '🎉 Tafadhali andaa tangazo lako kwa ajili ya mgeni wako. Ukaribishaji mwema!',
+			textIntro: '{guest} amehifadhi tangazo lako {listing}.',
+			textBookingAmount: 'Kiasi cha Uhifadhi',
+			textEarnings: 'Mapato Yako',
+			textClosing: 'Ukaribishaji mwema!'
+		},
+
+		booking_cancelled: {
+			subject: 'Uhifadhi {booking} wa \'{listing}\' umeghairiwa',
+			banner: '⚠ Uhifadhi Umeghairiwa',
+			intro: {
+				guest: '{guest} ameghairi uhifadhi wake wa {listing}.',
+				host: 'Kama ulivyoomba, uhifadhi wa {listing} umeghairiwa na mgeni amejulishwa.'
+			},
+			yourGuest: 'Mgeni wako',
+			heading: 'Maelezo ya Kughairi',
+			listing: '🏡 Tangazo',
+			guest: '👤 Mgeni',
+			checkIn: '📅 Kuingia',
+			checkOut: '📅 Kuondoka',
+			cancelledBy: '🙋 Aliyeghairi',
+			cancelledByValue: {
+				guest: 'Mgeni',
+				host: 'Wewe'
+			},
+			reason: '📋 Sababu',
+			nextStepsHeading: '💡 Nini Kitafuata:',
+			nextSteps: 'Tarehe hizi ziko wazi tena kwenye kalenda yako. Marejesho yoyote anayostahili mgeni yanashughulikiwa na MyStay.',
+			closing: '💙 Tafadhali wasiliana na timu ya usaidizi ukiwa na maswali yoyote.',
+			textClosing: 'Tarehe hizi ziko wazi tena kwenye kalenda yako.'
+		},
+
+		payout_sent: {
+			subject: 'Malipo Yametumwa - {amount}',
+			banner: '✓ Malipo Yametumwa',
+			intro: 'Mapato yako ya {amount} yamelipwa. Haya ndiyo maelezo:',
+			heading: 'Maelezo ya Malipo',
+			amountPaidOut: '💸 Kiasi Kilicholipwa',
+			bookingEarnings: '💰 Mapato ya Uhifadhi',
+			feesDeducted: '🧾 Ada Zilizokatwa',
+			reference: {
+				mpesa: '📱 Risiti ya M-Pesa',
+				bank: '🏦 Kumbukumbu ya Benki'
+			},
+			payoutDate: '📅 Tarehe ya Malipo',
+			bookings: '🏠 Uhifadhi ({count})',
+			noteHeading: '📌 Tafadhali Kumbuka:',
+			note: {
+				mpesa: 'Kwa kawaida malipo ya M-Pesa huonekana kwenye akaunti yako ndani ya dakika chache.',
+				bank: 'Uhamisho wa benki unaweza kuchukua hadi siku 2 za kazi kuonekana kwenye akaunti yako.'
+			},
+			closing: '🎉 Asante kwa kukaribisha wageni na MyStay!',
+			textIntro: 'Mapato yako ya {amount} yamelipwa.',
+			textDetails: 'Maelezo ya Malipo:',
+			textAmountPaidOut: 'Kiasi Kilicholipwa',
+			textBookingEarnings: 'Mapato ya Uhifadhi',
+			textFeesDeducted: 'Ada Zilizokatwa',
+			textReference: {
+				mpesa: 'Risiti ya M-Pesa',
+				bank: 'Kumbukumbu ya Benki'
+			},
+			textPayoutDate: 'Tarehe ya Malipo',
+			textBookings: 'Uhifadhi ({count})',
+			textClosing: 'Asante kwa kukaribisha wageni na MyStay!'
+		}
+	}
+};
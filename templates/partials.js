@@ -0,0 +1,386 @@
+// templates/partials.js - Shared layout pieces for all MyStay emails
+//
+// Every email is: layout (head, branding header, status banner, content, footer)
+// wrapping a content area built from greeting / paragraph / detailsCard / noteBox /
+// callToAction. Colours come from a theme so a template only picks 'success',
+// 'danger' or 'promotion'.
+//
+// Partials that print fixed copy (layout footer, greeting, reference rows) take the
+// template's i18n helpers (see templates/i18n.js) and default to English.
+const { createI18n } = require('./i18n');
+
+const ENGLISH = createI18n();
+
+const FONT = "font-family: 'Sono', Arial, sans-serif;";
+
+const BLUE_CARD = {
+	border: '#0437F2',
+	shadow: 'rgba(4, 55, 242, 0.1)',
+	headerBackground: 'linear-gradient(90deg, #0437F2 0%, #0284c7 100%)',
+	labelColor: '#1e40af',
+	divider: '#e0f2fe'
+};
+
+const BLUE_FOOTER = {
+	background: '#f0f9ff',
+	border: '#bfdbfe',
+	textColor: '#1e40af',
+	copyrightColor: '#0437F2'
+};
+
+const THEMES = {
+	success: {
+		headerBackground: 'linear-gradient(135deg, #d4ebf7 0%, #c8e6d5 100%)',
+		iconBackground: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+		iconShadow: 'rgba(16, 185, 129, 0.4)',
+		bannerBackground: 'linear-gradient(90deg, #10b981 0%, #059669 100%)',
+		contentBackground: 'linear-gradient(180deg, #e0f2fe 0%, #d1fae5 100%)',
+		textColor: '#166534',
+		highlightColor: '#0437F2',
+		card: BLUE_CARD,
+		note: {
+			background: 'linear-gradient(135deg, #dbeafe 0%, #fef3c7 100%)',
+			border: '#0437F2',
+			borderLeft: '#10b981',
+			textColor: '#1e3a8a',
+			titleColor: '#0437F2'
+		},
+		cta: {
+			background: 'linear-gradient(135deg, #0437F2 0%, #0284c7 100%)',
+			shadow: 'rgba(4, 55, 242, 0.3)'
+		},
+		footer: BLUE_FOOTER
+	},
+	danger: {
+		headerBackground: 'linear-gradient(135deg, #d4ebf7 0%, #c8e6d5 100%)',
+		iconBackground: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
+		iconShadow: 'rgba(239, 68, 68, 0.4)',
+		bannerBackground: 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)',
+		contentBackground: 'linear-gradient(180deg, #e0f2fe 0%, #d1fae5 100%)',
+		textColor: '#991b1b',
+		highlightColor: '#0437F2',
+		card: { ...BLUE_CARD, divider: '#fee2e2' },
+		note: {
+			background: 'linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%)',
+			border: '#ef4444',
+			borderLeft: '#dc2626',
+			textColor: '#991b1b',
+			titleColor: '#dc2626'
+		},
+		cta: {
+			background: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
+			shadow: 'rgba(239, 68, 68, 0.3)'
+		},
+		footer: BLUE_FOOTER
+	},
+	promotion: {
+		headerBackground: 'linear-gradient(135deg, #fef3c7 0%, #fde68a 50%, #d4ebf7 100%)',
+		iconBackground: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
+		iconShadow: 'rgba(245, 158, 11, 0.4)',
+		bannerBackground: 'linear-gradient(90deg, #f59e0b 0%, #d97706 100%)',
+		contentBackground: 'linear-gradient(180deg, #fffbeb 0%, #fef3c7 50%, #e0f2fe 100%)',
+		textColor: '#92400e',
+		highlightColor: '#d97706',
+		card: {
+			border: '#f59e0b',
+			shadow: 'rgba(245, 158, 11, 0.15)',
+			headerBackground: 'linear-gradient(90deg, #f59e0b 0%, #d97706 100%)',
+			labelColor: '#92400e',
+			divider: '#fef3c7'
+		},
+		note: {
+			background: 'linear-gradient(135deg, #fef3c7 0%, #fde68a 100%)',
+			border: '#f59e0b',
+			borderLeft: '#d97706',
+			textColor: '#92400e',
+			titleColor: '#d97706'
+		},
+		cta: {
+			background: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
+			shadow: 'rgba(245, 158, 11, 0.3)'
+		},
+		footer: {
+			background: '#fffbeb',
+			border: '#fde68a',
+			textColor: '#92400e',
+			copyrightColor: '#d97706'
+		}
+	}
+};
+
+// Value presets for detailsCard rows
+const VALUE_STYLES = {
+	amount: 'font-size: 22px; font-weight: 700; color: #10b981;',
+	headline: 'font-size: 18px; font-weight: 700; color: #0437F2;',
+	package: 'font-size: 20px; font-weight: 700; color: #d97706;',
+	status: 'font-size: 18px; font-weight: 700; color: #10b981;',
+	reference: 'font-size: 15px; font-weight: 600; color: #0437F2;',
+	list: 'font-size: 14px; font-weight: 500; color: #0437F2; line-height: 1.5;',
+	reason: 'font-size: 14px; color: #7f1d1d; line-height: 1.6;'
+};
+
+function escapeHtml(s) {
+	if (s === null || s === undefined) return '';
+	return String(s)
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;')
+		.replaceAll("'", '&#039;');
+}
+
+function themeFor(name) {
+	return THEMES[name] || THEMES.success;
+}
+
+// Round status icon: the checkmark image, or an emoji
+function statusIcon(theme, icon) {
+	const inner = icon?.emoji
+		? `<span style="display: inline-block; font-size: 50px; margin-top: 25px;">${icon.emoji}</span>`
+		: '<img src="cid:checkmark-icon" alt="Success" style="width: 60px; height: 60px; margin-top: 20px;"/>';
+
+	return `<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto 20px;">
+									<tr>
+										<td align="center" style="background: ${theme.iconBackground}; width: 100px; height: 100px; border-radius: 50%; box-shadow: 0 6px 20px ${theme.iconShadow};">
+											${inner}
+										</td>
+									</tr>
+								</table>`;
+}
+
+// Branding header: status icon above the MyStay logo
+function header(theme, icon) {
+	return `<tr>
+							<td align="center" style="background: ${theme.headerBackground}; padding: 40px 30px 30px 30px;">
+								${statusIcon(theme, icon)}
+
+								<!-- MyStay Branding -->
+								<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 auto;">
+									<tr>
+										<td align="center">
+											<img src="cid:mystay-icon" alt="MyStay App Icon" style="width: 48px; height: 48px; border-radius: 10px; vertical-align: middle; margin-right: 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);"/>
+											<span style="font-size: 26px; font-weight: 700; color: #0437F2; ${FONT} vertical-align: middle;">MyStay App</span>
+										</td>
+									</tr>
+								</table>
+							</td>
+						</tr>`;
+}
+
+// Coloured strip with the status headline (text is escaped)
+function banner(theme, text) {
+	return `<tr>
+							<td align="center" style="background: ${theme.bannerBackground}; padding: 16px 30px;">
+								<h2 style="margin: 0; font-size: 20px; font-weight: 700; color: #ffffff; ${FONT} text-transform: uppercase; letter-spacing: 0.5px;">${escapeHtml(text)}</h2>
+							</td>
+						</tr>`;
+}
+
+// Footer with the unsubscribe link when the render has one (opt-out categories only)
+function footer(theme, note, { t, unsubscribe }) {
+	const { background, border, textColor, copyrightColor } = theme.footer;
+	const unsubscribeLink = unsubscribe
+		? `
+								<p style="margin: 8px 0 0 0; font-size: 11px; ${FONT}">
+									<a href="${escapeHtml(unsubscribe.url)}" style="color: ${copyrightColor}; text-decoration: underline;">${escapeHtml(unsubscribe.label)}</a>
+								</p>`
+		: '';
+
+	return `<tr>
+							<td style="background-color: ${background}; padding: 28px 30px; text-align: center; border-top: 2px solid ${border};">
+								<p style="margin: 0 0 8px 0; font-size: 12px; color: ${textColor}; line-height: 1.6; ${FONT} font-weight: 500;">
+									${escapeHtml(note)}<br/>
+									${escapeHtml(t('common.footerHelp'))}
+								</p>
+								<p style="margin: 8px 0 0 0; font-size: 11px; color: ${copyrightColor}; ${FONT} font-weight: 600;">
+									© ${new Date().getFullYear()} ${escapeHtml(t('common.copyright'))}
+								</p>${unsubscribeLink}
+							</td>
+						</tr>`;
+}
+
+/**
+ * Full email document
+ * { i18n, theme, icon: { emoji } | undefined, banner, content: [HTML blocks], footerNote }
+ */
+function layout({ i18n = ENGLISH, theme: themeName = 'success', icon, banner: bannerText, content, footerNote }) {
+	const theme = themeFor(themeName);
+	const note = footerNote ?? i18n.t('common.automatedNotification');
+	const blocks = content.filter(Boolean).join('\n\n\t\t\t\t\t\t\t\t');
+
+	return `<!doctype html>
+<html lang="${i18n.locale}">
+	<head>
+		<meta charset="utf-8"/>
+		<meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+		<link href="https://fonts.googleapis.com/css2?family=Sono:wght@400;500;600;700&display=swap" rel="stylesheet">
+		<style>
+			body {
+				margin: 0;
+				padding: 0;
+				background-color: #e8f4f8;
+				font-family: 'Sono', Arial, sans-serif;
+			}
+		</style>
+	</head>
+	<body style="margin: 0; padding: 0; background-color: #e8f4f8; ${FONT}">
+		<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #e8f4f8; padding: 40px 20px;">
+			<tr>
+				<td align="center">
+					<!-- Main container with dark blue border -->
+					<table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="max-width: 600px; border-radius: 20px; overflow: hidden; border: 4px solid #0437F2; box-shadow: 0 8px 32px rgba(4, 55, 242, 0.15);">
+
+						${header(theme, icon)}
+
+						${banner(theme, bannerText)}
+
+						<!-- Main content -->
+						<tr>
+							<td style="background: ${theme.contentBackground}; padding: 40px 30px;">
+								${blocks}
+							</td>
+						</tr>
+
+						${footer(theme, note, i18n)}
+					</table>
+				</td>
+			</tr>
+		</table>
+	</body>
+</html>`;
+}
+
+// Centered heading above the greeting (text is escaped)
+function title(text) {
+	return `<h3 style="margin: 0 0 20px 0; font-size: 20px; font-weight: 600; color: #0437F2; ${FONT} text-align: center;">${escapeHtml(text)}</h3>`;
+}
+
+function greeting(name, { t } = ENGLISH) {
+	const strongName = `<strong>${escapeHtml(name || t('common.there'))}</strong>`;
+	return `<p style="margin: 0 0 20px 0; font-size: 15px; color: #1e40af; line-height: 1.6; ${FONT}">
+									${t('common.greeting', { name: strongName })}
+								</p>`;
+}
+
+// Body paragraph; `html` is trusted markup, escape any user values before passing them in
+function paragraph(themeName, html, { marginBottom = 32 } = {}) {
+	const theme = themeFor(themeName);
+	return `<p style="margin: 0 0 ${marginBottom}px 0; font-size: 14px; color: ${theme.textColor}; line-height: 1.7; ${FONT}">
+									${html}
+								</p>`;
+}
+
+// Emphasised inline value (escaped), for use inside paragraph()
+function highlight(themeName, value) {
+	return `<strong style="color: ${themeFor(themeName).highlightColor};">${escapeHtml(value)}</strong>`;
+}
+
+/**
+ * White card with a coloured header and one row per detail
+ * rows: [{ label, value, style: keyof VALUE_STYLES, labelColor? }], falsy rows are skipped
+ * and nested arrays (e.g. referenceRows()) are flattened
+ */
+function detailsCard(themeName, { heading, rows }) {
+	const { card } = themeFor(themeName);
+	const visibleRows = rows.flat().filter(Boolean);
+
+	const rowsHtml = visibleRows.map((row, index) => {
+		const divider = index < visibleRows.length - 1 ? ` border-bottom: 1px solid ${card.divider};` : '';
+		return `<tr>
+													<td style="padding: 16px 24px;${divider}">
+														<span style="display: block; font-size: 13px; font-weight: 600; color: ${row.labelColor || card.labelColor}; ${FONT} margin-bottom: 4px;">${escapeHtml(row.label)}</span>
+														<span style="display: block; ${VALUE_STYLES[row.style] || VALUE_STYLES.reference} ${FONT}">${escapeHtml(row.value)}</span>
+													</td>
+												</tr>`;
+	}).join('\n												');
+
+	return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color: #ffffff; border-radius: 12px; overflow: hidden; border: 2px solid ${card.border}; box-shadow: 0 4px 12px ${card.shadow};">
+									<tr>
+										<td style="padding: 0;">
+											<!-- Details header -->
+											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+												<tr>
+													<td style="background: ${card.headerBackground}; padding: 14px 24px;">
+														<span style="font-size: 14px; font-weight: 700; color: #ffffff; ${FONT} text-transform: uppercase; letter-spacing: 0.5px;">${escapeHtml(heading)}</span>
+													</td>
+												</tr>
+											</table>
+
+											<!-- Details content -->
+											<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+												${rowsHtml}
+											</table>
+										</td>
+									</tr>
+								</table>`;
+}
+
+// M-Pesa receipt and booking reference rows, shared by every payment/booking card
+function referenceRows({ mpesa_receipt, booking_id }, { t } = ENGLISH) {
+	return [
+		mpesa_receipt && { label: `📱 ${t('common.mpesaReceipt')}`, value: mpesa_receipt },
+		booking_id && { label: `🏠 ${t('common.bookingReference')}`, value: booking_id }
+	];
+}
+
+// Highlighted box with a bold heading and a message (both escaped)
+function noteBox(themeName, { heading, message }) {
+	const { note } = themeFor(themeName);
+	return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 24px; background: ${note.background}; border-radius: 10px; border: 2px solid ${note.border}; border-left: 6px solid ${note.borderLeft};">
+									<tr>
+										<td style="padding: 18px 24px;">
+											<p style="margin: 0; font-size: 13px; color: ${note.textColor}; line-height: 1.6; ${FONT}">
+												<strong style="color: ${note.titleColor}; font-size: 14px;">${escapeHtml(heading)}</strong><br/>
+												<span style="margin-top: 6px; display: inline-block; font-size: 13px;">${escapeHtml(message)}</span>
+											</p>
+										</td>
+									</tr>
+								</table>`;
+}
+
+// Closing call-to-action strip (text is escaped)
+function callToAction(themeName, message) {
+	const { cta } = themeFor(themeName);
+	return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 32px;">
+									<tr>
+										<td align="center" style="padding: 18px 24px; background: ${cta.background}; border-radius: 10px; box-shadow: 0 4px 12px ${cta.shadow};">
+											<p style="margin: 0; font-size: 13px; color: #ffffff; line-height: 1.6; ${FONT} font-weight: 500;">
+												${escapeHtml(message)}
+											</p>
+										</td>
+									</tr>
+								</table>`;
+}
+
+// Links from request data must pass this before going into linkButton() (no javascript: etc.)
+function isHttpUrl(value) {
+	return /^https?:\/\/\S+$/i.test(String(value));
+}
+
+// Button-style link; href and label are escaped, but callers must check the URL scheme
+function linkButton(themeName, { href, label }) {
+	const { cta } = themeFor(themeName);
+	return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 24px;">
+									<tr>
+										<td align="center">
+											<a href="${escapeHtml(href)}" style="display: inline-block; padding: 14px 32px; background: ${cta.background}; color: #ffffff; text-decoration: none; border-radius: 10px; font-size: 14px; font-weight: 700; ${FONT} box-shadow: 0 4px 12px ${cta.shadow};">${escapeHtml(label)}</a>
+										</td>
+									</tr>
+								</table>`;
+}
+
+module.exports = {
+	THEMES,
+	escapeHtml,
+	layout,
+	title,
+	greeting,
+	paragraph,
+	highlight,
+	detailsCard,
+	referenceRows,
+	noteBox,
+	linkButton,
+	callToAction,
+	isHttpUrl
+};